@@ -0,0 +1,188 @@
+/**
+ * Sync server for running more than one till (see src/lib/sync.js).
+ *
+ *   npm run sync-server
+ *
+ * Keeps the latest value of each synced doc ("config", "tab:<id>") with a
+ * revision number, in one JSON file. A write is only accepted against the
+ * revision the server holds, so two tills can't silently overwrite each other;
+ * the loser gets the current doc back (409) and merges on the till.
+ *
+ * A deleted doc (a settled tab) is kept as a null "tombstone" for a week, so
+ * tills that were offline still hear about it, then dropped. A till asking for
+ * changes from before the newest dropped tombstone gets every remaining doc
+ * instead (`full: true`) and treats any doc it knows that isn't there as deleted.
+ *
+ * No dependencies beyond Node itself. Settings come from the environment:
+ *   PORT       port to listen on (default 8787)
+ *   SYNC_DATA  file the docs are kept in (default ./pub-till-sync.json)
+ *   SYNC_KEY   shared key tills must send as X-Till-Key (default: none, open to the network)
+ *
+ * API:
+ *   GET  /docs?since=<seq>&wait=<seconds>  docs changed after `since`: { seq, docs: [{ key, rev, value }] },
+ *                                          or { seq, full: true, docs } with every doc when `since` is too old.
+ *                                          With `wait`, holds the request until something changes (long poll).
+ *   POST /docs { key, baseRev, value }     { rev } when written; 409 { doc } when baseRev is out of date;
+ *                                          413 for a body over 5 MB
+ *   GET  /health                           { ok, seq }
+ */
+
+import { createServer } from "node:http";
+import { existsSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA || "pub-till-sync.json";
+const KEY = process.env.SYNC_KEY || "";
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const MAX_WAIT_S = 30;
+const TOMBSTONE_MS = 7 * 24 * 60 * 60 * 1000;
+const PRUNE_EVERY_MS = 60 * 60 * 1000;
+
+let seq = 0;
+let floor = 0; // newest revision of a dropped tombstone: tills behind it need a full resync
+const docs = new Map(); // key -> { key, rev, value, deletedAt }; value null once deleted (a settled tab)
+const waiting = new Set(); // long polls: { since, send }
+
+if (existsSync(DATA_FILE)) {
+  const saved = JSON.parse(readFileSync(DATA_FILE, "utf8"));
+  seq = saved.seq;
+  floor = saved.floor || 0;
+  // Tombstones saved before they were dated get a week from now
+  for (const doc of saved.docs) docs.set(doc.key, doc.value === null ? { deletedAt: Date.now(), ...doc } : doc);
+}
+
+// Written to a temporary file first so a crash mid-write can't lose everything
+function persist() {
+  writeFileSync(`${DATA_FILE}.tmp`, JSON.stringify({ seq, floor, docs: Array.from(docs.values()) }));
+  renameSync(`${DATA_FILE}.tmp`, DATA_FILE);
+}
+
+/** Drops tombstones older than a week; true if any went. */
+function pruneTombstones() {
+  const cutoff = Date.now() - TOMBSTONE_MS;
+  let pruned = false;
+  for (const doc of Array.from(docs.values())) {
+    if (doc.value !== null || doc.deletedAt > cutoff) continue;
+    docs.delete(doc.key);
+    floor = Math.max(floor, doc.rev);
+    pruned = true;
+  }
+  return pruned;
+}
+
+function changesSince(since) {
+  // Tombstones this till hasn't seen may be gone: send what's left and let it work out the rest
+  if (since < floor) return { seq, full: true, docs: Array.from(docs.values()).filter((d) => d.value !== null) };
+  return { seq, docs: Array.from(docs.values()).filter((d) => d.rev > since) };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Stops reading as soon as a body is too big, rather than taking the whole upload to throw it away
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => Object.assign(new Error("Request too large."), { status: 413 });
+    if (Number(req.headers["content-length"]) > MAX_BODY_BYTES) return reject(tooLarge());
+
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) return chunks.push(chunk);
+      req.pause();
+      reject(tooLarge());
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function getDocs(req, res, url) {
+  const since = Number(url.searchParams.get("since")) || 0;
+  const wait = Math.min(Number(url.searchParams.get("wait")) || 0, MAX_WAIT_S);
+  const changes = changesSince(since);
+  if (changes.full || changes.docs.length || !wait) return send(res, 200, changes);
+
+  const poll = {
+    since,
+    send: () => {
+      clearTimeout(timer);
+      waiting.delete(poll);
+      send(res, 200, changesSince(since));
+    },
+  };
+  const timer = setTimeout(poll.send, wait * 1000);
+  waiting.add(poll);
+  req.on("close", () => {
+    clearTimeout(timer);
+    waiting.delete(poll);
+  });
+}
+
+async function postDoc(req, res) {
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (err) {
+    if (err.status !== 413) return send(res, 400, { error: err.message });
+    // The rest of the upload is never read, so the connection can't be reused
+    res.setHeader("Connection", "close");
+    res.on("finish", () => req.destroy());
+    return send(res, 413, { error: err.message });
+  }
+  const { key, baseRev, value } = body || {};
+  if (typeof key !== "string" || !key || !Number.isInteger(baseRev) || value === undefined) {
+    return send(res, 400, { error: "Expected { key, baseRev, value }." });
+  }
+
+  // A doc the server has never seen (or has lost) has nothing to conflict with...
+  let current = docs.get(key);
+  // ...unless it was deleted and its tombstone dropped: bring the tombstone back so the till merges with it
+  if (!current && baseRev > 0 && baseRev <= floor) {
+    seq += 1;
+    current = { key, rev: seq, value: null, deletedAt: Date.now() };
+    docs.set(key, current);
+    persist();
+  }
+  if (current && current.rev !== baseRev) return send(res, 409, { doc: current });
+
+  seq += 1;
+  docs.set(key, value === null ? { key, rev: seq, value, deletedAt: Date.now() } : { key, rev: seq, value });
+  pruneTombstones();
+  persist();
+  send(res, 200, { rev: seq });
+  for (const poll of Array.from(waiting)) poll.send();
+}
+
+const server = createServer((req, res) => {
+  // Tills are served from elsewhere (and often from the internet to a LAN address)
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Till-Key");
+  res.setHeader("Access-Control-Allow-Private-Network", "true");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const url = new URL(req.url, "http://localhost");
+  if (url.pathname === "/health") return send(res, 200, { ok: true, seq });
+  if (KEY && req.headers["x-till-key"] !== KEY) return send(res, 401, { error: "Wrong or missing till key." });
+
+  if (url.pathname === "/docs" && req.method === "GET") return getDocs(req, res, url);
+  if (url.pathname === "/docs" && req.method === "POST") {
+    return postDoc(req, res).catch((err) => send(res, 500, { error: err.message }));
+  }
+  send(res, 404, { error: "Not found." });
+});
+
+if (pruneTombstones()) persist();
+setInterval(() => pruneTombstones() && persist(), PRUNE_EVERY_MS).unref();
+
+server.listen(PORT, () => {
+  console.log(`Pub Till sync server on port ${PORT}, keeping docs in ${DATA_FILE}${KEY ? "" : " (no SYNC_KEY set)"}`);
+});
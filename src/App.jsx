@@ -1,4 +1,76 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useEffectEvent, useLayoutEffect, useMemo, useRef, useState } from "react";
+import AnalyticsModal from "./components/AnalyticsModal.jsx";
+import BandEditor from "./components/BandEditor.jsx";
+import CategoryLayoutEditor from "./components/CategoryLayoutEditor.jsx";
+import DealEditor from "./components/DealEditor.jsx";
+import DiscountDialog from "./components/DiscountDialog.jsx";
+import DiscountPresetEditor from "./components/DiscountPresetEditor.jsx";
+import DrawerModal from "./components/DrawerModal.jsx";
+import HistoryModal from "./components/HistoryModal.jsx";
+import ImportPreview from "./components/ImportPreview.jsx";
+import ModifierDialog from "./components/ModifierDialog.jsx";
+import ModifierGroupEditor from "./components/ModifierGroupEditor.jsx";
+import MoneyEditor from "./components/MoneyEditor.jsx";
+import PriceRuleEditor from "./components/PriceRuleEditor.jsx";
+import ProductEditor from "./components/ProductEditor.jsx";
+import ReceiptActions from "./components/ReceiptActions.jsx";
+import RepricePanel from "./components/RepricePanel.jsx";
+import ReportsModal from "./components/ReportsModal.jsx";
+import StaffEditor from "./components/StaffEditor.jsx";
+import StaffPinDialog from "./components/StaffPinDialog.jsx";
+import StockItemEditor from "./components/StockItemEditor.jsx";
+import StockModal from "./components/StockModal.jsx";
+import SyncEditor from "./components/SyncEditor.jsx";
+import TabsModal from "./components/TabsModal.jsx";
+import VenueEditor from "./components/VenueEditor.jsx";
+import VoidDialog from "./components/VoidDialog.jsx";
+import { suggestBandId } from "./lib/catalog.js";
+import { buildCodeIndex, dropUnitCodes } from "./lib/codes.js";
+import {
+  CONFIG_VERSION,
+  DEFAULT_DISCOUNT_PRESETS,
+  DEFAULT_SETTINGS,
+  DEFAULT_VENUE,
+  diffConfig,
+  loadSavedConfig,
+  parseConfig,
+} from "./lib/config.js";
+import { downloadCsv, menuFromCsv, menuToCsv } from "./lib/csv.js";
+import { formatPence, parsePounds, penceToInput, setMoneyFormat, uid } from "./lib/helpers.js";
+import { priceBasket } from "./lib/deals.js";
+import {
+  STACKING_MODES,
+  applyDiscounts,
+  authoriseDiscount,
+  describeDiscount,
+  discountPermission,
+  saleDiscounts,
+} from "./lib/discounts.js";
+import { buildRefundRecord, buildSaleRecord, isRefund, recordSale } from "./lib/journal.js";
+import { moveCategory, newCategoryLayout, resolveCategories, updateCategory } from "./lib/layout.js";
+import { buildOptionIndex, modifierGroupsFor, modifierPence, sameModifiers } from "./lib/modifiers.js";
+import { roundCash } from "./lib/money.js";
+import { activeRules, priceWithRules } from "./lib/priceRules.js";
+import { applyUpdate, listenForInstallPrompt, registerServiceWorker } from "./lib/pwa.js";
+import { applyReprice } from "./lib/repricing.js";
+import { MAX_QTY, SHORTCUTS, activatesControl, isTyping, keyAction } from "./lib/shortcuts.js";
+import { PERMISSIONS, ROLES, can, createStaffMember } from "./lib/staff.js";
+import { applyStockMoves, getStockLevels, saleStockMoves, stockStatus } from "./lib/stock.js";
+import {
+  changedDocs,
+  loadSyncSettings,
+  openTillChannel,
+  sameDoc,
+  saveSyncSettings,
+  startSync,
+  syncLabel,
+  whileLeader,
+} from "./lib/sync.js";
+import { createTab, findTabByName, loadTabs, mergeLines, saveTabs } from "./lib/tabs.js";
+import { buildTenders, settleTenders } from "./lib/tenders.js";
+import { buildVoidRecord, isCorrection, recordVoid } from "./lib/voids.js";
+import { vatRateFor } from "./lib/vat.js";
+import { styles } from "./styles.js";
 
 /**
  * Pub Till Prototype (offline-friendly)
@@ -6,118 +78,288 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
  * - Products referencing bands
  * - Overrides for individually-priced items
  * - Basket, Total, Change calculator
+ * - Cash, card or split payments (change only from cash)
+ * - Named open tabs that can be parked, recalled and settled later (see lib/tabs.js)
  * - Bundle deals (e.g. 3 for £7, 2 for £12) auto-applied
- * - Mixer button pinned on Spirits tab
+ * - Mix-and-match deals across products, categories and bands (see lib/deals.js)
+ * - Scheduled happy-hour prices by weekday and time (see lib/priceRules.js)
+ * - Modifier prompts (mixer, ice, garnish) with their own prices and stock use (see lib/modifiers.js)
+ * - Configurable tab order, colours, hidden categories, pinned items and default units (see lib/layout.js)
+ * - PLU codes, barcode scanners and keyboard shortcuts (see lib/codes.js and lib/shortcuts.js)
  * - Mobile-friendly layout + reduced layout shift in basket
- * - Persists config to localStorage
+ * - Config and open tabs synced between tills via a LAN sync server, and between windows (see lib/sync.js)
+ * - Installable PWA that starts offline; updates wait until no sale is in progress (see lib/pwa.js)
+ * - Persists config to localStorage, versioned and validated on load/import (see lib/config.js)
+ * - Completed sales written to an immutable journal in IndexedDB (see lib/journal.js)
+ * - X/Z reports with cash-up by denomination (see lib/reports.js)
+ * - Sales dashboard with hourly takings, product and category mix, deal use and week-on-week comparison (see lib/analytics.js)
+ * - Opening float, pay-ins, pay-outs and safe drops feeding the expected drawer (see lib/drawer.js)
+ * - Staff sign-in with roles and hashed PINs; sales record who served them (see lib/staff.js)
+ * - Stock drawn down by completed sales, deliveries and stock-takes (see lib/stock.js)
+ * - Receipts as 80mm HTML or ESC/POS for thermal printers, reprintable from history (see lib/receipts.js)
+ * - Voids logged with a reason (and supervisor PIN if set); refunds against past sales (see lib/voids.js)
+ * - Manual line and basket discounts with presets, permission-limited (see lib/discounts.js)
+ * - VAT rates per product, band or category, split out by rate on receipts and reports (see lib/vat.js)
+ * - Venue currency and locale, cash rounding and quick-cash/cash-up denominations (see lib/money.js)
+ * - Menu import/export and sales journal export as CSV for spreadsheets and accounts (see lib/csv.js)
  *
  * Money is stored as integer pence to avoid float issues.
  */
 
-// ---------- Helpers ----------
-const GBP = new Intl.NumberFormat("en-GB", { style: "currency", currency: "GBP" });
-const formatPence = (p) => GBP.format((p || 0) / 100);
-
-function uid() {
-  return Math.random().toString(36).slice(2, 10);
-}
-
-/**
- * Calculates best line total given bundle deals.
- * Supports deals shaped like: { type:"bundle", qty:3, pricePence:700 }
- */
-function bestLineTotalWithDeals({ unitPricePence, qty, deals }) {
-  if (!deals || deals.length === 0 || qty <= 0) {
-    return { totalPence: unitPricePence * qty, dealNote: null };
-  }
-
-  const bundleDeals = deals.filter(
-    (d) => d && d.type === "bundle" && Number.isFinite(d.qty) && d.qty > 0 && Number.isFinite(d.pricePence) && d.pricePence >= 0
-  );
-
-  if (bundleDeals.length === 0) {
-    return { totalPence: unitPricePence * qty, dealNote: null };
-  }
-
-  let best = { totalPence: unitPricePence * qty, dealNote: null };
-
-  for (const d of bundleDeals) {
-    const bundles = Math.floor(qty / d.qty);
-    const remainder = qty % d.qty;
-    const total = bundles * d.pricePence + remainder * unitPricePence;
-
-    if (total < best.totalPence) {
-      best = {
-        totalPence: total,
-        dealNote: bundles > 0 ? `${d.qty} for ${formatPence(d.pricePence)} × ${bundles}` : null,
-      };
-    }
-  }
-
-  return best;
-}
-
 // ---------- Default Data Model ----------
 // You can replace this with your imported JSON config if you want.
 const DEFAULT_STATE = {
+  version: CONFIG_VERSION,
+
   bands: [
-    { id: "band-premium", name: "Premium Spirits", units: ["Single", "Double"], pricesPence: { Single: 450, Double: 850 } },
-    { id: "band-topshelf", name: "Top Shelf Spirits", units: ["Single", "Double"], pricesPence: { Single: 550, Double: 1050 } },
-    { id: "band-toptop", name: "Top Top Shelf", units: ["Single", "Double"], pricesPence: { Single: 700, Double: 1350 } },
+    { id: "band-premium", name: "Premium Spirits", units: ["Single", "Double"], pricesPence: { Single: 450, Double: 850 }, modifierGroupIds: ["mg-mixer", "mg-ice"] },
+    { id: "band-topshelf", name: "Top Shelf Spirits", units: ["Single", "Double"], pricesPence: { Single: 550, Double: 1050 }, modifierGroupIds: ["mg-mixer", "mg-ice"] },
+    { id: "band-toptop", name: "Top Top Shelf", units: ["Single", "Double"], pricesPence: { Single: 700, Double: 1350 }, modifierGroupIds: ["mg-mixer", "mg-ice"] },
     { id: "band-lowabv", name: "Low ABV", units: ["Half", "Pint"], pricesPence: { Half: 320, Pint: 620 } }
   ],
 
   products: [
-    { id: "p-gin1", name: "Tanqueray", category: "Spirits", bandId: "band-premium" },
+    { id: "p-gin1", name: "Tanqueray", category: "Spirits", bandId: "band-premium", stock: { itemId: "st-tanqueray", usage: { Single: 25, Double: 50 } } },
     { id: "p-vod1", name: "Smirnoff", category: "Spirits", bandId: "band-premium" },
     { id: "p-vod2", name: "Grey Goose", category: "Spirits", bandId: "band-topshelf" },
     { id: "p-teq1", name: "Don Julio 1942", category: "Spirits", bandId: "band-toptop" },
 
     { id: "p-guin", name: "Guinness", category: "Draft", units: ["Half", "Pint"], pricesPence: { Half: 340, Pint: 660 } },
-    { id: "p-lager", name: "House Lager", category: "Draft", units: ["Half", "Pint"], pricesPence: { Half: 310, Pint: 610 } },
+    { id: "p-lager", name: "House Lager", category: "Draft", units: ["Half", "Pint"], pricesPence: { Half: 310, Pint: 610 }, stock: { itemId: "st-lager-keg", usage: { Half: 284, Pint: 568 } }, modifierGroupIds: ["mg-top"] },
 
     { id: "p-coke", name: "Coke", category: "Softs", units: ["Half", "Pint"], pricesPence: { Half: 160, Pint: 300 } },
 
-    // Mixer charge exists in data but will be pinned on Spirits tab
-    { id: "p-mixer-charge", name: "Mixer Charge", category: "Add-ons", units: ["One"], pricesPence: { One: 70 } },
-
     // Deals example
     { id: "p-bombs", name: "Bombs", category: "Shots", units: ["One"], pricesPence: { One: 290 }, deals: [{ type: "bundle", qty: 3, pricePence: 700 }] },
-    { id: "p-cocktail", name: "Cocktail", category: "Cocktails", units: ["One"], pricesPence: { One: 700 }, deals: [{ type: "bundle", qty: 2, pricePence: 1200 }] }
+    { id: "p-cocktail", name: "Cocktail", category: "Cocktails", units: ["One"], pricesPence: { One: 700 }, deals: [{ type: "bundle", qty: 2, pricePence: 1200 }] },
+
+    { id: "p-burger", name: "Burger", category: "Food", units: ["One"], pricesPence: { One: 900 } }
+  ],
+
+  // Mix-and-match deals that can span basket lines (see lib/deals.js)
+  deals: [
+    {
+      id: "d-pint-burger",
+      name: "Pint + Burger for £10",
+      pricePence: 1000,
+      slots: [
+        { qty: 1, target: { kind: "category", ids: ["Draft"], units: ["Pint"] } },
+        { qty: 1, target: { kind: "products", ids: ["p-burger"] } }
+      ]
+    }
+  ],
+
+  // Timed price rules, e.g. happy hour (see lib/priceRules.js)
+  priceRules: [
+    {
+      id: "r-happy-hour",
+      name: "Happy Hour",
+      days: [1, 2, 3, 4, 5],
+      start: "17:00",
+      end: "19:00",
+      changes: [
+        { kind: "product", id: "p-lager", pricesPence: { Half: 250, Pint: 450 } },
+        { kind: "category", id: "Cocktails", percentOff: 25 }
+      ]
+    }
   ],
 
-  pinEnabled: false,
-  pin: "1234",
+  // What products draw down (see lib/stock.js); levels themselves live in IndexedDB
+  stockItems: [
+    { id: "st-tanqueray", name: "Tanqueray 70cl", measure: "ml", packSize: 700, packName: "bottle", lowPacks: 1 },
+    { id: "st-lager-keg", name: "House Lager 50L", measure: "ml", packSize: 50000, packName: "keg", lowPacks: 0.25 },
+    { id: "st-tonic", name: "Tonic 200ml", measure: "each", packSize: 24, packName: "case", lowPacks: 1 }
+  ],
+
+  // Asked for when an item is tapped; spirit bands ask for a mixer and ice (see lib/modifiers.js)
+  modifierGroups: [
+    {
+      id: "mg-mixer",
+      name: "Mixer",
+      required: true,
+      multiple: false,
+      options: [
+        { id: "mo-mixer-none", name: "No mixer", pricePence: 0 },
+        { id: "mo-coke", name: "Coke", pricePence: 70 },
+        { id: "mo-tonic", name: "Tonic", pricePence: 70, stock: { itemId: "st-tonic", amount: 1 } },
+        { id: "mo-lemonade", name: "Lemonade", pricePence: 70 }
+      ]
+    },
+    {
+      id: "mg-ice",
+      name: "Ice",
+      required: true,
+      multiple: false,
+      options: [
+        { id: "mo-ice", name: "Ice", pricePence: 0 },
+        { id: "mo-no-ice", name: "No ice", pricePence: 0 }
+      ]
+    },
+    {
+      id: "mg-top",
+      name: "Top",
+      required: false,
+      multiple: false,
+      options: [
+        { id: "mo-top-lime", name: "Lime", pricePence: 0 },
+        { id: "mo-top-blackcurrant", name: "Blackcurrant", pricePence: 0 }
+      ]
+    }
+  ],
+
+  // Receipt header/footer and VAT rate
+  venue: DEFAULT_VENUE,
+
+  settings: DEFAULT_SETTINGS,
+
+  // Offered in the Discount dialog alongside one-off amounts (see lib/discounts.js)
+  discountPresets: DEFAULT_DISCOUNT_PRESETS,
+
+  // Tab order, colours and pins (see lib/layout.js); categories not listed go on the end
+  categories: [
+    { name: "Spirits", color: null, hidden: false, pinned: [], defaultUnit: null },
+    { name: "Draft", color: "#d97706", hidden: false, pinned: [], defaultUnit: "Pint" },
+    { name: "Softs", color: null, hidden: false, pinned: [], defaultUnit: null },
+    { name: "Shots", color: null, hidden: false, pinned: [], defaultUnit: null },
+    { name: "Cocktails", color: "#db2777", hidden: false, pinned: [], defaultUnit: null },
+    { name: "Food", color: null, hidden: false, pinned: [], defaultUnit: null }
+  ],
+
+  // Default manager PIN is 1234: change it under Edit Prices → Staff
+  staff: [
+    {
+      id: "s-manager",
+      name: "Manager",
+      role: "manager",
+      pin: {
+        salt: "5fa49468a90d407dcd166a0b4831d857",
+        hash: "0e37e716aff64a1b30077e252092644cdea420e1bae3bd2271eb2edceb5fd030",
+        iterations: 100000
+      }
+    }
+  ],
 };
 
 const LS_KEY = "pub-till-prototype-v1";
 
+const currentMinute = () => Math.floor(Date.now() / 60000);
+
+const EMPTY_KEY_ENTRY = { digits: "", qty: 1, message: null };
+
 export default function App() {
-  const [state, setState] = useState(() => {
-    const saved = localStorage.getItem(LS_KEY);
-    return saved ? JSON.parse(saved) : DEFAULT_STATE;
-  });
+  const [initial] = useState(() => loadSavedConfig(LS_KEY, DEFAULT_STATE));
+  const [state, setState] = useState(initial.state);
+  const [configProblem, setConfigProblem] = useState(initial.problem);
+  const [importPreview, setImportPreview] = useState(null); // { fileName, config, errors, diff }
 
-  const [activeCategory, setActiveCategory] = useState("Spirits");
+  const [activeCategory, setActiveCategory] = useState(null); // null = the first shown tab
   const [search, setSearch] = useState("");
-  const [basket, setBasket] = useState([]); // [{ key, productId, label, unit, pricePence, qty }]
-  const [lastAddKey, setLastAddKey] = useState(null);
+  const [basket, setBasket] = useState([]); // [{ key, productId, label, unit, pricePence, priceRule, qty, discount }]
+  const [basketDiscount, setBasketDiscount] = useState(null);
+  const [discountTarget, setDiscountTarget] = useState(undefined); // line key, null for the basket, undefined = closed
+  const [lastAdd, setLastAdd] = useState(null); // { key, at }: taking it straight back off is a correction, not a void
+  const [keyEntry, setKeyEntry] = useState(EMPTY_KEY_ENTRY); // PLU/barcode digits typed so far, and quantity
+
+  // Open tabs; while a tab is on the till, `basket` is its live contents
+  const [tabs, setTabs] = useState(loadTabs);
+  const [activeTabId, setActiveTabId] = useState(null);
+  const [tabsOpen, setTabsOpen] = useState(false);
 
   const [cashPence, setCashPence] = useState(0);
+  const [cardPence, setCardPence] = useState(0);
   const cashInputRef = useRef(null);
+  const cardInputRef = useRef(null);
+
+  // Till clock for timed prices; only changes state once a minute
+  const [minute, setMinute] = useState(currentMinute);
 
   // Responsive layout
   const [isMobile, setIsMobile] = useState(() => window.matchMedia("(max-width: 900px)").matches);
 
-  // Admin/edit mode
+  // Signed-in staff member, and whoever authorised the open admin modal
+  const [staffId, setStaffId] = useState(null);
+  const [authRequest, setAuthRequest] = useState(null); // { permission, title, resolve }
+  const [voidRequest, setVoidRequest] = useState(null); // { title, lines, resolve }
+  const [modifierPrompt, setModifierPrompt] = useState(null); // { product, unit, qty, groups }
   const [adminOpen, setAdminOpen] = useState(false);
-  const [pinEntry, setPinEntry] = useState("");
-  const [authed, setAuthed] = useState(false);
+  const [adminUser, setAdminUser] = useState(null);
+
+  // Sale journal
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [reportsOpen, setReportsOpen] = useState(false);
+  const [analyticsOpen, setAnalyticsOpen] = useState(false);
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  const [journalVersion, setJournalVersion] = useState(0);
+  const [completing, setCompleting] = useState(false);
+  const [lastSale, setLastSale] = useState(null); // for "Print Receipt" after the basket clears
+
+  // Stock levels from IndexedDB, reloaded whenever stockVersion is bumped
+  const [stockOpen, setStockOpen] = useState(false);
+  const [stockLevels, setStockLevels] = useState({});
+  const [stockVersion, setStockVersion] = useState(0);
+
+  // New app versions (see lib/pwa.js)
+  const [updateWorker, setUpdateWorker] = useState(null);
+  const [reloadPending, setReloadPending] = useState(false);
+  const [installPrompt, setInstallPrompt] = useState(null);
+
+  // Sharing config and tabs with other tills and windows (see lib/sync.js)
+  const [syncSettings, setSyncSettings] = useState(loadSyncSettings);
+  const [syncStatus, setSyncStatus] = useState(null); // null unless this window is the one talking to the server
+  const [syncNotice, setSyncNotice] = useState(null);
+  const syncRef = useRef(null);
+  const channelRef = useRef(null);
+  const seenDocs = useRef(new Map()); // doc key -> value last shared or received, so nothing is echoed back
 
   useEffect(() => {
     localStorage.setItem(LS_KEY, JSON.stringify(state));
   }, [state]);
 
+  // Configs from before staff logins had one shared plain-text PIN: it becomes a manager account
+  useEffect(() => {
+    if (state.staff.length) return;
+    let cancelled = false;
+    createStaffMember({ name: "Manager", role: "manager", pin: state.legacyPin || "1234" }).then((manager) => {
+      if (cancelled) return;
+      setState((prev) => {
+        if (prev.staff.length) return prev;
+        const { legacyPin: _legacyPin, ...rest } = prev;
+        return { ...rest, staff: [manager] };
+      });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [state.staff, state.legacyPin]);
+
+  useEffect(() => {
+    let cancelled = false;
+    getStockLevels()
+      .then((levels) => !cancelled && setStockLevels(levels))
+      .catch(() => {}); // No IndexedDB: the till still sells, just without stock warnings
+    return () => {
+      cancelled = true;
+    };
+  }, [stockVersion]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setMinute(currentMinute()), 10000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(
+    () => registerServiceWorker({ onUpdateReady: setUpdateWorker, onControllerChange: () => setReloadPending(true) }),
+    []
+  );
+
+  useEffect(() => listenForInstallPrompt(setInstallPrompt), []);
+
+  // A new version has taken over: reload into it, but never with a sale on the till
+  const midSale = basket.length > 0 || completing;
+  useEffect(() => {
+    if (reloadPending && !midSale) window.location.reload();
+  }, [reloadPending, midSale]);
+
   useEffect(() => {
     const mq = window.matchMedia("(max-width: 900px)");
     const handler = (e) => setIsMobile(e.matches);
@@ -125,6 +367,15 @@ export default function App() {
     return () => mq.removeEventListener?.("change", handler);
   }, []);
 
+  // Amounts render through helpers.js, whose format follows the venue. It's set after rendering (never
+  // during it), and the layout effect's re-render shows the new format before anything is painted.
+  const money = state.venue.money;
+  const [, setFormatFor] = useState(null);
+  useLayoutEffect(() => {
+    setMoneyFormat(money);
+    setFormatFor(money);
+  }, [money]);
+
   // Derived lookups
   const bandById = useMemo(() => {
     const map = new Map();
@@ -132,30 +383,55 @@ export default function App() {
     return map;
   }, [state.bands]);
 
+  const groupById = useMemo(() => new Map(state.modifierGroups.map((g) => [g.id, g])), [state.modifierGroups]);
+  const optionById = useMemo(() => buildOptionIndex(state.modifierGroups), [state.modifierGroups]);
+
   const productById = useMemo(() => {
     const map = new Map();
     state.products.forEach((p) => map.set(p.id, p));
     return map;
   }, [state.products]);
 
-  // Hide Add-ons tab (mixer is pinned on Spirits)
-  const categories = useMemo(() => {
-    const set = new Set(state.products.map((p) => p.category));
-    return Array.from(set).filter((c) => c !== "Add-ons");
-  }, [state.products]);
+  const categories = useMemo(
+    () => resolveCategories(state.categories, state.products).filter((c) => !c.hidden),
+    [state.categories, state.products]
+  );
+  // Falls back to the first tab when the chosen one is hidden or renamed (possibly from another till)
+  const shownCategory = categories.find((c) => c.name === activeCategory) || categories[0] || newCategoryLayout("");
+  const categoryByName = useMemo(() => new Map(state.categories.map((c) => [c.name, c])), [state.categories]);
+  const vatContext = { bandById, categoryByName, venue: state.venue };
+  const defaultUnitByCategory = useMemo(
+    () => new Map(state.categories.filter((c) => c.defaultUnit).map((c) => [c.name, c.defaultUnit])),
+    [state.categories]
+  );
+
+  const stockItemById = useMemo(() => new Map(state.stockItems.map((i) => [i.id, i])), [state.stockItems]);
 
-  const pinnedOnSpirits = useMemo(() => {
-    const ids = ["p-mixer-charge"];
-    return ids.map((id) => productById.get(id)).filter(Boolean);
-  }, [productById]);
+  function productStockStatus(product) {
+    const item = stockItemById.get(product.stock?.itemId);
+    return item ? stockStatus(item, stockLevels[item.id]) : null;
+  }
+
+  const pinnedProducts = useMemo(
+    () => shownCategory.pinned.map((id) => productById.get(id)).filter(Boolean),
+    [shownCategory, productById]
+  );
 
   const filteredProducts = useMemo(() => {
     const q = search.trim().toLowerCase();
+    const pinned = new Set(shownCategory.pinned);
     return state.products
-      .filter((p) => p.category === activeCategory)
+      .filter((p) => p.category === shownCategory.name && !pinned.has(p.id))
       .filter((p) => !q || p.name.toLowerCase().includes(q))
       .sort((a, b) => a.name.localeCompare(b.name));
-  }, [state.products, activeCategory, search]);
+  }, [state.products, shownCategory, search]);
+
+  /** The unit a single tap adds: the product's category default when it has that unit, else its only unit. */
+  function tapUnit(product, units) {
+    const preferred = defaultUnitByCategory.get(product.category);
+    if (units.includes(preferred)) return preferred;
+    return units.length === 1 ? units[0] : null;
+  }
 
   function resolveUnitsAndPrices(product) {
     // Override-priced product
@@ -169,41 +445,200 @@ export default function App() {
     return { units: band.units, pricesPence: band.pricesPence };
   }
 
+  const liveRules = useMemo(
+    () => activeRules(state.priceRules, new Date(minute * 60000)),
+    [state.priceRules, minute]
+  );
+
+  // { pricePence, basePence, rule } for one unit at the current till time
+  function currentPrice(product, unit) {
+    return priceWithRules(product, unit, resolveUnitsAndPrices(product).pricesPence, liveRules);
+  }
+
+  // Deals can span lines, so the whole basket is priced at once
+  const mixDeals = state.deals;
+  const pricing = useMemo(() => priceBasket(basket, { productById, deals: mixDeals }), [basket, productById, mixDeals]);
+  // Manual discounts go on after deals, stacked as the settings say
+  const stacking = state.settings.discountStacking;
+  const discounted = useMemo(
+    () => applyDiscounts(basket, pricing, basketDiscount, { stacking }),
+    [basket, pricing, basketDiscount, stacking]
+  );
+  const totalPence = discounted.totalPence;
+
   function lineTotal(line) {
-    const product = productById.get(line.productId);
-    const deals = product?.deals;
+    return discounted.lines.get(line.key) || { totalPence: line.pricePence * line.qty, dealNote: null };
+  }
+
+  // Tabs as they should be persisted: the one on the till carries the current basket
+  const openTabs = useMemo(
+    () => tabs.map((t) => (t.id === activeTabId ? { ...t, lines: basket, discount: basketDiscount } : t)),
+    [tabs, activeTabId, basket, basketDiscount]
+  );
+
+  useEffect(() => {
+    saveTabs(openTabs);
+  }, [openTabs]);
+
+  // ---------- Sync with other tills and windows ----------
+  // A change from elsewhere goes into state as it is, without being shared back
+  const applyDoc = useEffectEvent((key, value, conflicts = []) => {
+    seenDocs.current.set(key, value);
+    if (conflicts.length) {
+      setSyncNotice(`Another till changed the same things at the same time; its version was kept for: ${conflicts.join(", ")}.`);
+    }
+    if (key === "config") {
+      setState(value);
+      return;
+    }
+
+    const id = key.slice("tab:".length);
+    if (id === activeTabId) {
+      if (value) {
+        setBasket(value.lines);
+        setBasketDiscount(value.discount || null);
+      } else {
+        setSyncNotice(`Tab "${tabs.find((t) => t.id === id)?.name}" was settled or cancelled on another till.`);
+        setActiveTabId(null);
+        resetSale();
+      }
+    }
+    setTabs((ts) => {
+      const rest = ts.filter((t) => t.id !== id);
+      if (!value) return rest;
+      return rest.length < ts.length ? ts.map((t) => (t.id === id ? value : t)) : [...ts, value];
+    });
+  });
+
+  useEffect(() => {
+    for (const [key, value] of changedDocs(seenDocs.current, { config: state, tabs: openTabs })) {
+      channelRef.current?.post(key, value);
+      syncRef.current?.push(key, value);
+    }
+  }, [state, openTabs]);
+
+  useEffect(() => {
+    const channel = openTillChannel((key, doc) => {
+      let value = doc;
+      if (key === "config") {
+        // Migrated and checked like the server's; a window still on an older version can't be trusted as is
+        const parsed = parseConfig(value);
+        if (parsed.errors.length) return;
+        value = parsed.config;
+      }
+      if (sameDoc(seenDocs.current.get(key), value)) return;
+      applyDoc(key, value);
+      syncRef.current?.push(key, value);
+    });
+    channelRef.current = channel;
+    return () => {
+      channelRef.current = null;
+      channel.close();
+    };
+  }, []);
 
-    const { totalPence, dealNote } = bestLineTotalWithDeals({
-      unitPricePence: line.pricePence,
-      qty: line.qty,
-      deals,
+  useEffect(() => {
+    if (!syncSettings.url) return;
+    return whileLeader(() => {
+      const sync = startSync({
+        ...syncSettings,
+        snapshot: () => seenDocs.current,
+        onStatus: setSyncStatus,
+        onDoc: (key, value, conflicts) => {
+          applyDoc(key, value, conflicts);
+          channelRef.current?.post(key, value);
+        },
+      });
+      syncRef.current = sync;
+      return () => {
+        syncRef.current = null;
+        sync.stop();
+        setSyncStatus(null);
+      };
     });
+  }, [syncSettings]);
 
-    return { totalPence, dealNote };
+  function saveSync(next) {
+    saveSyncSettings(next);
+    setSyncSettings(next);
   }
 
-  const totalPence = useMemo(() => {
-    return basket.reduce((sum, line) => sum + lineTotal(line).totalPence, 0);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [basket, productById]);
+  const tabSummaries = useMemo(
+    () =>
+      openTabs.map((t) => ({
+        ...t,
+        itemCount: t.lines.reduce((n, l) => n + l.qty, 0),
+        totalPence: applyDiscounts(t.lines, priceBasket(t.lines, { productById, deals: mixDeals }), t.discount, {
+          stacking,
+        }).totalPence,
+      })),
+    [openTabs, productById, mixDeals, stacking]
+  );
+
+  const activeTab = tabs.find((t) => t.id === activeTabId) || null;
 
-  const changePence = useMemo(() => cashPence - totalPence, [cashPence, totalPence]);
+  const staff = state.staff;
+  const currentStaff = staff.find((m) => m.id === staffId) || null;
 
-  function addToBasket(product, unit) {
-    const { pricesPence } = resolveUnitsAndPrices(product);
-    const pricePence = pricesPence[unit] ?? 0;
+  /**
+   * Resolves with whoever may do `permission`: the signed-in person if their role
+   * allows it, otherwise someone who enters their PIN now. Resolves null if cancelled.
+   */
+  function authorise(permission, title) {
+    if (can(currentStaff, permission)) return Promise.resolve(currentStaff);
+    return new Promise((resolve) => setAuthRequest({ permission, title, resolve }));
+  }
+
+  function finishAuth(member) {
+    authRequest.resolve(member);
+    setAuthRequest(null);
+  }
+
+  function signOut() {
+    if (basket.length && !activeTab && !confirm("Sign out? The current sale stays on the till for the next person.")) {
+      return;
+    }
+    setStaffId(null);
+  }
+
+  const payment = useMemo(
+    () => settleTenders({ totalPence, cashPence, cardPence, cashRoundingPence: money.cashRoundingPence }),
+    [totalPence, cashPence, cardPence, money.cashRoundingPence]
+  );
+
+  /**
+   * Rings up `qty` of `product`. Products with modifier groups ask for them first,
+   * unless `modifiers` are already known (e.g. one more of an existing line).
+   */
+  function addToBasket(product, unit, qty = 1, modifiers) {
+    if (!modifiers) {
+      const groups = modifierGroupsFor(product, { bandById, groupById });
+      if (groups.length) {
+        setModifierPrompt({ product, unit, qty, groups });
+        return;
+      }
+    }
+
+    const picked = { modifiers: modifiers || [] };
+    const { pricePence: basePence, rule } = currentPrice(product, unit);
+    const pricePence = basePence + modifierPence(picked);
 
     const label = unit === "One" ? product.name : `${product.name} (${unit})`;
 
-    // Group lines by (productId + unit + price)
+    // Group lines by (productId + unit + price + modifiers); discounted lines keep to themselves
     const existingIndex = basket.findIndex(
-      (l) => l.productId === product.id && l.unit === unit && l.pricePence === pricePence
+      (l) =>
+        l.productId === product.id &&
+        l.unit === unit &&
+        l.pricePence === pricePence &&
+        sameModifiers(l, picked) &&
+        !l.discount
     );
 
     if (existingIndex >= 0) {
-      const next = basket.map((l, i) => (i === existingIndex ? { ...l, qty: l.qty + 1 } : l));
+      const next = basket.map((l, i) => (i === existingIndex ? { ...l, qty: l.qty + qty } : l));
       setBasket(next);
-      setLastAddKey(next[existingIndex].key);
+      setLastAdd({ key: next[existingIndex].key, at: Date.now() });
       return;
     }
 
@@ -213,17 +648,34 @@ export default function App() {
       label,
       unit,
       pricePence,
-      qty: 1,
+      priceRule: rule?.name || null,
+      modifiers: picked.modifiers,
+      qty,
     };
     setBasket((b) => [...b, line]);
-    setLastAddKey(line.key);
+    setLastAdd({ key: line.key, at: Date.now() });
   }
 
   function incQty(key) {
+    // A line rung up under a price that has since changed (e.g. happy hour ended) gets a new line, and so
+    // does a discounted one: its discount was authorised for what was on it then
+    const line = basket.find((l) => l.key === key);
+    if (!line) return;
+    const product = productById.get(line.productId);
+    const repriced = product && currentPrice(product, line.unit).pricePence + modifierPence(line) !== line.pricePence;
+    if (line.discount || repriced) {
+      if (product) addToBasket(product, line.unit, 1, line.modifiers || []);
+      return;
+    }
     setBasket((b) => b.map((l) => (l.key === key ? { ...l, qty: l.qty + 1 } : l)));
+    setLastAdd({ key, at: Date.now() });
   }
 
-  function decQty(key) {
+  async function decQty(key) {
+    const line = basket.find((l) => l.key === key);
+    if (!line) return;
+    if (isCorrection(lastAdd, key)) setLastAdd(null);
+    else if (!(await logVoid("Void Item", [{ ...line, qty: 1 }]))) return;
     setBasket((b) =>
       b
         .map((l) => (l.key === key ? { ...l, qty: l.qty - 1 } : l))
@@ -231,49 +683,323 @@ export default function App() {
     );
   }
 
-  function removeLine(key) {
+  async function removeLine(key) {
+    const line = basket.find((l) => l.key === key);
+    if (!line) return;
+    if (line.qty === 1 && isCorrection(lastAdd, key)) setLastAdd(null);
+    else if (!(await logVoid("Void Line", [line]))) return;
     setBasket((b) => b.filter((l) => l.key !== key));
   }
 
   function undoLastAdd() {
-    if (!lastAddKey) return;
-    decQty(lastAddKey);
+    if (!lastAdd) return;
+    decQty(lastAdd.key);
+  }
+
+  /**
+   * Asks why `lines` are coming off, gets approval when settings.voidsNeedAuthorisation
+   * is on, and logs the void. Resolves false if cancelled or it couldn't be logged.
+   */
+  async function logVoid(title, lines) {
+    const reason = await new Promise((resolve) => setVoidRequest({ title, lines, resolve }));
+    if (!reason) return false;
+    let authorisedBy = null;
+    if (state.settings.voidsNeedAuthorisation) {
+      authorisedBy = await authorise("voidLines", title);
+      if (!authorisedBy) return false;
+    }
+    try {
+      await recordVoid(buildVoidRecord({ lines, reason, tabName: activeTab?.name, staff: currentStaff, authorisedBy }));
+      return true;
+    } catch (err) {
+      alert(`Void NOT logged, so the items stay on: ${err.message}`);
+      return false;
+    }
+  }
+
+  function finishVoidRequest(reason) {
+    voidRequest.resolve(reason);
+    setVoidRequest(null);
   }
 
-  function clearSale() {
-    if (!confirm("Clear the current sale?")) return;
+  function resetSale() {
     setBasket([]);
     setCashPence(0);
-    setLastAddKey(null);
+    setCardPence(0);
+    setLastAdd(null);
+    setBasketDiscount(null);
     if (cashInputRef.current) cashInputRef.current.value = "";
+    if (cardInputRef.current) cardInputRef.current.value = "";
+  }
+
+  async function clearSale() {
+    if (basket.length) {
+      if (!(await logVoid(activeTab ? `Cancel Tab "${activeTab.name}"` : "Clear Sale", basket))) return;
+    } else if (activeTab && !confirm(`Cancel the empty tab "${activeTab.name}"?`)) {
+      return;
+    }
+    if (activeTab) {
+      setTabs((ts) => ts.filter((t) => t.id !== activeTab.id));
+      setActiveTabId(null);
+    }
+    resetSale();
+  }
+
+  // ---------- Manual discounts ----------
+  // `key` is a basket line, or null for the whole basket
+  async function giveDiscount(key, discount) {
+    setDiscountTarget(undefined);
+    // What it comes off, to tell a discount from a comp
+    let pence = discounted.basketablePence;
+    if (key) {
+      const line = basket.find((l) => l.key === key);
+      const listPence = line ? line.pricePence * line.qty : 0;
+      // "bestOf" takes a line discount off the list price rather than the deal price
+      pence = stacking === "bestOf" ? listPence : pricing.lines.get(key)?.totalPence ?? listPence;
+    }
+    const who = await authorise(discountPermission(discount, pence), "Discount");
+    if (!who) return;
+    const given = authoriseDiscount(discount, pence, who);
+    if (key) setBasket((b) => b.map((l) => (l.key === key ? { ...l, discount: given } : l)));
+    else setBasketDiscount(given);
+  }
+
+  function removeDiscount(key) {
+    setDiscountTarget(undefined);
+    if (key) setBasket((b) => b.map((l) => (l.key === key ? { ...l, discount: null } : l)));
+    else setBasketDiscount(null);
+  }
+
+  // ---------- Open tabs ----------
+  function parkSale() {
+    if (!basket.length) return;
+    const now = new Date().toISOString();
+
+    if (activeTab) {
+      setTabs((ts) =>
+        ts.map((t) => (t.id === activeTab.id ? { ...t, lines: basket, discount: basketDiscount, updatedAt: now } : t))
+      );
+    } else {
+      const name = (prompt("Tab name or table number") || "").trim();
+      if (!name) return;
+
+      const existing = findTabByName(tabs, name);
+      if (existing && !confirm(`Add these items to the open tab "${existing.name}"?`)) return;
+
+      setTabs((ts) =>
+        existing
+          ? ts.map((t) =>
+              t.id === existing.id
+                ? { ...t, lines: mergeLines(t.lines, basket), discount: t.discount || basketDiscount, updatedAt: now }
+                : t
+            )
+          : [...ts, createTab(name, basket, basketDiscount)]
+      );
+    }
+
+    setActiveTabId(null);
+    resetSale();
+  }
+
+  function recallTab(id) {
+    if (basket.length && !activeTab) {
+      alert("Park or complete the current sale first.");
+      return;
+    }
+    const tab = openTabs.find((t) => t.id === id);
+    if (!tab) return;
+
+    // Write the outgoing tab back before switching
+    if (activeTab) {
+      const now = new Date().toISOString();
+      setTabs((ts) =>
+        ts.map((t) => (t.id === activeTab.id ? { ...t, lines: basket, discount: basketDiscount, updatedAt: now } : t))
+      );
+    }
+
+    resetSale();
+    setBasket(tab.lines);
+    setBasketDiscount(tab.discount || null);
+    setActiveTabId(id);
+    setTabsOpen(false);
   }
 
-  function setCashFromPounds(input) {
-    const cleaned = (input || "").replace(/[^\d.]/g, "");
-    const n = Number(cleaned);
-    if (!Number.isFinite(n)) {
-      setCashPence(0);
+  async function completeSale() {
+    if (!basket.length || completing) return;
+    if (payment.error) {
+      alert(payment.error);
       return;
     }
-    setCashPence(Math.round(n * 100));
+    if (payment.owedPence > 0) {
+      alert(`Still owed ${formatPence(payment.owedPence)}.`);
+      return;
+    }
+
+    const sale = buildSaleRecord({
+      lines: basket.map((l) => {
+        const product = productById.get(l.productId);
+        const band = product && !(product.pricesPence && product.units) ? bandById.get(product.bandId) : null;
+        return {
+          ...l,
+          category: product?.category,
+          bandId: band?.id,
+          bandName: band?.name,
+          vatRatePercent: product ? vatRateFor(product, vatContext) : state.venue.vatRatePercent,
+          ...lineTotal(l),
+        };
+      }),
+      totalPence,
+      tenders: buildTenders({ cashPence, cardPence }),
+      deals: pricing.applied,
+      discounts: saleDiscounts(basket, basketDiscount, discounted),
+      tabName: activeTab?.name,
+      staff: currentStaff,
+      cashRoundingPence: money.cashRoundingPence,
+    });
+
+    setCompleting(true);
+    try {
+      await recordSale(sale);
+      setJournalVersion((v) => v + 1);
+      setLastSale(sale);
+      // The sale is safely journalled by now; a stock write failing shouldn't undo it
+      applyStockMoves(saleStockMoves(sale, productById, optionById))
+        .then(() => setStockVersion((v) => v + 1))
+        .catch((err) => alert(`Sale saved, but stock NOT updated: ${err.message}`));
+      if (activeTab) {
+        setTabs((ts) => ts.filter((t) => t.id !== activeTab.id));
+        setActiveTabId(null);
+      }
+      resetSale();
+    } catch (err) {
+      alert(`Sale NOT saved: ${err.message}`);
+    } finally {
+      setCompleting(false);
+    }
+  }
+
+  // Refunds are new negative journal records against the original sale (see lib/journal.js)
+  async function refundSale(sale, { quantities, refunds, method, reason }) {
+    const authorisedBy = await authorise("refund", "Refund");
+    if (!authorisedBy) return false;
+    try {
+      const refund = buildRefundRecord({
+        sale,
+        quantities,
+        refunds,
+        method,
+        reason,
+        staff: currentStaff,
+        authorisedBy,
+        cashRoundingPence: money.cashRoundingPence,
+      });
+      await recordSale(refund);
+      setJournalVersion((v) => v + 1);
+      setLastSale(refund);
+      return true;
+    } catch (err) {
+      alert(`Refund NOT saved: ${err.message}`);
+      return false;
+    }
+  }
+
+  // Lenient for the tender fields: stray symbols are ignored and anything unreadable counts as nothing
+  function poundsToPence(input) {
+    const pence = parsePounds((input || "").replace(/[^\d.,]/g, ""));
+    return Number.isNaN(pence) ? 0 : pence;
+  }
+
+  function setCash(pence) {
+    setCashPence(pence);
+    if (cashInputRef.current) cashInputRef.current.value = pence ? penceToInput(pence) : "";
+  }
+
+  // The balance after card, rounded as cash has to be paid at this venue
+  function setExactCash() {
+    setCash(roundCash(Math.max(0, totalPence - cardPence), money.cashRoundingPence));
   }
 
+  function setCard(pence) {
+    setCardPence(pence);
+    if (cardInputRef.current) cardInputRef.current.value = pence ? penceToInput(pence) : "";
+  }
+
+  // ---------- Keypad, scanner and shortcuts ----------
+  const codeIndex = useMemo(() => buildCodeIndex(state.products), [state.products]);
+
+  /** Rings up `qty` of whatever has PLU or barcode `code`; false if nothing does. */
+  function ringUpCode(code, qty = 1) {
+    const hit = codeIndex.get(code);
+    if (!hit) return false;
+    addToBasket(hit.product, hit.unit, qty);
+    return true;
+  }
+
+  const dialogOpen =
+    adminOpen ||
+    historyOpen ||
+    reportsOpen ||
+    stockOpen ||
+    drawerOpen ||
+    tabsOpen ||
+    !!importPreview ||
+    !!authRequest ||
+    !!voidRequest ||
+    !!modifierPrompt ||
+    discountTarget !== undefined ||
+    (!currentStaff && staff.length > 0);
+
+  const handleKey = useEffectEvent((e) => {
+    if (dialogOpen || isTyping(e.target)) return;
+    const key = keyAction(e);
+    if (!key) return;
+    // A scanner's Enter still rings up its code even if a button has focus; otherwise the button gets it
+    if (key.action === "enter" && !keyEntry.digits && activatesControl(e)) return;
+    e.preventDefault();
+
+    const { digits, qty } = keyEntry;
+    const lastKey = basket.some((l) => l.key === lastAdd?.key) ? lastAdd.key : basket[basket.length - 1]?.key;
+    const actions = {
+      digit: () => setKeyEntry({ digits: (digits + key.digit).slice(0, 14), qty, message: null }),
+      backspace: () => setKeyEntry({ digits: digits.slice(0, -1), qty, message: null }),
+      clear: () => setKeyEntry(EMPTY_KEY_ENTRY),
+      multiply: () => {
+        const n = Number(digits);
+        if (n >= 1 && n <= MAX_QTY) setKeyEntry({ digits: "", qty: n, message: null });
+        else setKeyEntry({ digits: "", qty, message: `Type a quantity from 1 to ${MAX_QTY}, then ×.` });
+      },
+      enter: () => {
+        if (!digits && qty === 1) completeSale();
+        else if (!digits) setKeyEntry({ digits, qty, message: "Now type or scan a code." });
+        else if (ringUpCode(digits, qty)) setKeyEntry(EMPTY_KEY_ENTRY);
+        else setKeyEntry({ digits: "", qty, message: `Nothing has the code ${digits}.` });
+      },
+      more: () => lastKey && incQty(lastKey),
+      less: () => lastKey && decQty(lastKey),
+      undo: undoLastAdd,
+      exactCash: setExactCash,
+      complete: completeSale,
+      help: () => alert(SHORTCUTS.map(([k, what]) => `${k}: ${what}`).join("\n")),
+    };
+    actions[key.action]();
+  });
+
+  useEffect(() => {
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, []);
+
   // ---------- Admin / pricing edits ----------
-  function openAdmin() {
+  async function openAdmin() {
+    const who = await authorise("editPrices", "Edit Prices");
+    if (!who) return;
+    setAdminUser(who);
     setAdminOpen(true);
-    setPinEntry("");
-    setAuthed(!state.pinEnabled);
   }
 
   function closeAdmin() {
     setAdminOpen(false);
-    setPinEntry("");
-    setAuthed(false);
-  }
-
-  function tryPin() {
-    if (pinEntry === state.pin) setAuthed(true);
-    else alert("Wrong PIN");
+    setAdminUser(null);
   }
 
   function updateBandPrice(bandId, unit, newPence) {
@@ -285,6 +1011,46 @@ export default function App() {
     }));
   }
 
+  function updateBand(bandId, fn) {
+    setState((s) => ({ ...s, bands: s.bands.map((b) => (b.id === bandId ? fn(b) : b)) }));
+  }
+
+  const bandActions = {
+    updateBandPrice,
+    createBand(name) {
+      setState((s) => {
+        const id = suggestBandId(name, new Set(s.bands.map((b) => b.id)));
+        return { ...s, bands: [...s.bands, { id, name, units: ["Single"], pricesPence: { Single: 0 } }] };
+      });
+    },
+    renameBand(bandId, name) {
+      updateBand(bandId, (b) => ({ ...b, name }));
+    },
+    setBandModifierGroups(bandId, ids) {
+      updateBand(bandId, (b) => ({ ...b, modifierGroupIds: ids.length ? ids : undefined }));
+    },
+    setBandVatRate(bandId, rate) {
+      updateBand(bandId, (b) => ({ ...b, vatRatePercent: rate ?? undefined }));
+    },
+    deleteBand(bandId) {
+      setState((s) => ({ ...s, bands: s.bands.filter((b) => b.id !== bandId) }));
+    },
+    addBandUnit(bandId, unit, pence) {
+      updateBand(bandId, (b) => ({ ...b, units: [...b.units, unit], pricesPence: { ...b.pricesPence, [unit]: pence } }));
+    },
+    removeBandUnit(bandId, unit) {
+      updateBand(bandId, (b) => {
+        const { [unit]: _removed, ...pricesPence } = b.pricesPence;
+        return { ...b, units: b.units.filter((u) => u !== unit), pricesPence };
+      });
+      // Its PLUs and barcodes would otherwise ring up a unit that no longer exists
+      setState((s) => ({
+        ...s,
+        products: s.products.map((p) => (p.bandId === bandId && !p.units ? dropUnitCodes(p, unit) : p)),
+      }));
+    },
+  };
+
   function updateOverridePrice(productId, unit, newPence) {
     setState((s) => ({
       ...s,
@@ -295,6 +1061,101 @@ export default function App() {
     }));
   }
 
+  function saveProduct(product, originalId) {
+    setState((s) => ({
+      ...s,
+      products: originalId
+        ? s.products.map((p) => (p.id === originalId ? product : p))
+        : [...s.products, product],
+    }));
+  }
+
+  function deleteProduct(productId) {
+    setState((s) => ({
+      ...s,
+      products: s.products.filter((p) => p.id !== productId),
+      categories: s.categories.map((c) => ({ ...c, pinned: c.pinned.filter((id) => id !== productId) })),
+    }));
+  }
+
+  function saveStockItem(item, originalId) {
+    setState((s) => ({
+      ...s,
+      stockItems: originalId ? s.stockItems.map((i) => (i.id === originalId ? item : i)) : [...s.stockItems, item],
+    }));
+  }
+
+  function deleteStockItem(itemId) {
+    setState((s) => ({ ...s, stockItems: s.stockItems.filter((i) => i.id !== itemId) }));
+  }
+
+  function saveDeal(deal, originalId) {
+    setState((s) => ({
+      ...s,
+      deals: originalId ? s.deals.map((d) => (d.id === originalId ? deal : d)) : [...s.deals, deal],
+    }));
+  }
+
+  function deleteDeal(dealId) {
+    setState((s) => ({ ...s, deals: s.deals.filter((d) => d.id !== dealId) }));
+  }
+
+  function savePriceRule(rule, originalId) {
+    setState((s) => ({
+      ...s,
+      priceRules: originalId ? s.priceRules.map((r) => (r.id === originalId ? rule : r)) : [...s.priceRules, rule],
+    }));
+  }
+
+  function deletePriceRule(ruleId) {
+    setState((s) => ({ ...s, priceRules: s.priceRules.filter((r) => r.id !== ruleId) }));
+  }
+
+  function saveDiscountPreset(preset, originalId) {
+    setState((s) => ({
+      ...s,
+      discountPresets: originalId
+        ? s.discountPresets.map((p) => (p.id === originalId ? preset : p))
+        : [...s.discountPresets, preset],
+    }));
+  }
+
+  function deleteDiscountPreset(presetId) {
+    setState((s) => ({ ...s, discountPresets: s.discountPresets.filter((p) => p.id !== presetId) }));
+  }
+
+  function saveModifierGroup(group, originalId) {
+    setState((s) => ({
+      ...s,
+      modifierGroups: originalId
+        ? s.modifierGroups.map((g) => (g.id === originalId ? group : g))
+        : [...s.modifierGroups, group],
+    }));
+  }
+
+  function deleteModifierGroup(groupId) {
+    // Bands and products asking for it would otherwise fail validation
+    const unlink = (x) =>
+      x.modifierGroupIds ? { ...x, modifierGroupIds: x.modifierGroupIds.filter((id) => id !== groupId) } : x;
+    setState((s) => ({
+      ...s,
+      modifierGroups: s.modifierGroups.filter((g) => g.id !== groupId),
+      bands: s.bands.map(unlink),
+      products: s.products.map(unlink),
+    }));
+  }
+
+  function saveStaffMember(member) {
+    setState((s) => {
+      const exists = s.staff.some((m) => m.id === member.id);
+      return { ...s, staff: exists ? s.staff.map((m) => (m.id === member.id ? member : m)) : [...s.staff, member] };
+    });
+  }
+
+  function deleteStaffMember(memberId) {
+    setState((s) => ({ ...s, staff: s.staff.filter((m) => m.id !== memberId) }));
+  }
+
   function exportJson() {
     const blob = new Blob([JSON.stringify(state, null, 2)], { type: "application/json" });
     const a = document.createElement("a");
@@ -304,28 +1165,128 @@ export default function App() {
     URL.revokeObjectURL(a.href);
   }
 
+  // Dry run first: the preview shows errors or a diff, and only Apply touches state
   function importJson(file) {
     const reader = new FileReader();
     reader.onload = () => {
+      let parsed;
       try {
-        const next = JSON.parse(reader.result);
-        setState(next);
-        alert("Imported config.");
+        parsed = parseConfig(JSON.parse(reader.result));
       } catch {
-        alert("Invalid JSON file.");
+        parsed = { config: null, errors: [{ path: "", message: "Not a valid JSON file." }] };
       }
+      const { config, errors } = parsed;
+      setImportPreview({ fileName: file.name, config, errors, diff: errors.length ? null : diffConfig(state, config) });
+    };
+    reader.readAsText(file);
+  }
+
+  function exportMenuCsv() {
+    downloadCsv("pub-till-menu.csv", menuToCsv(state));
+  }
+
+  // Same dry run as importJson: the CSV replaces the menu in a copy of the config
+  function importMenuCsv(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { config, errors } = menuFromCsv(reader.result, state);
+      setImportPreview({ fileName: file.name, config, errors, diff: errors.length ? null : diffConfig(state, config) });
     };
     reader.readAsText(file);
   }
 
+  function applyImport() {
+    const { legacyPin: _legacyPin, ...next } = importPreview.config;
+    // Configs without staff accounts keep the current ones rather than falling back to a default PIN
+    setState((s) => (next.staff.length ? next : { ...next, staff: s.staff }));
+    setImportPreview(null);
+    alert("Imported config.");
+  }
+
+  function installApp() {
+    installPrompt.prompt();
+    setInstallPrompt(null);
+  }
+
   return (
     <div style={styles.page}>
+      {updateWorker && (
+        <div style={styles.updateBanner}>
+          <div>
+            A new version of the till is ready. Updating reloads the till; you&apos;ll need to sign in again.
+            {midSale ? " It can be installed once this sale is finished or parked." : ""}
+          </div>
+          <button style={styles.btnPrimary} onClick={() => applyUpdate(updateWorker)} disabled={midSale || reloadPending}>
+            Update Now
+          </button>
+        </div>
+      )}
+
+      {syncNotice && (
+        <div style={styles.updateBanner}>
+          <div>{syncNotice}</div>
+          <button style={styles.btn} onClick={() => setSyncNotice(null)}>
+            OK
+          </button>
+        </div>
+      )}
+
+      {configProblem && (
+        <div style={styles.configBanner}>
+          <div style={{ whiteSpace: "pre-wrap" }}>
+            The saved config couldn't be used, so defaults are loaded. A copy was kept under "{LS_KEY}-invalid".
+            {"\n"}
+            {configProblem}
+          </div>
+          <button style={styles.btn} onClick={() => setConfigProblem(null)}>
+            Dismiss
+          </button>
+        </div>
+      )}
+
       <header style={styles.header}>
         <div>
           <div style={styles.title}>Pub Till</div>
-          <div style={styles.subtitle}>Offline-friendly • Deals + mixer pin • Total + change</div>
+          <div style={styles.subtitle}>
+            Offline-friendly • Deals + modifiers • Total + change
+            {liveRules.map((r) => (
+              <span key={r.id} style={styles.ruleTag}>
+                {r.name} until {r.end}
+              </span>
+            ))}
+            {syncSettings.url && (
+              <span style={{ ...styles.syncTag, ...(syncStatus?.state === "offline" ? styles.syncTagOffline : {}) }}>
+                {syncLabel(syncStatus)}
+              </span>
+            )}
+          </div>
         </div>
-        <div style={{ display: "flex", gap: 8 }}>
+        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          {currentStaff && (
+            <button style={styles.btn} onClick={signOut} title="Sign out">
+              {currentStaff.name} • Sign out
+            </button>
+          )}
+          {installPrompt && (
+            <button style={styles.btn} onClick={installApp} title="Add the till to this device's home screen">
+              Install
+            </button>
+          )}
+          <button style={styles.btn} onClick={() => setHistoryOpen(true)}>
+            History
+          </button>
+          <button style={styles.btn} onClick={() => setReportsOpen(true)}>
+            Reports
+          </button>
+          <button style={styles.btn} onClick={() => setAnalyticsOpen(true)}>
+            Dashboard
+          </button>
+          <button style={styles.btn} onClick={() => setDrawerOpen(true)}>
+            Drawer
+          </button>
+          <button style={styles.btn} onClick={() => setStockOpen(true)}>
+            Stock
+          </button>
           <button style={styles.btn} onClick={openAdmin}>
             Edit Prices
           </button>
@@ -346,14 +1307,15 @@ export default function App() {
           <div style={styles.tabs}>
             {categories.map((c) => (
               <button
-                key={c}
-                onClick={() => setActiveCategory(c)}
+                key={c.name}
+                onClick={() => setActiveCategory(c.name)}
                 style={{
                   ...styles.tab,
-                  ...(activeCategory === c ? styles.tabActive : {}),
+                  ...(shownCategory.name === c.name ? styles.tabActive : {}),
+                  ...(c.color ? { borderColor: c.color, boxShadow: `inset 0 -3px 0 ${c.color}` } : {}),
                 }}
               >
-                {c}
+                {c.name}
               </button>
             ))}
           </div>
@@ -361,9 +1323,13 @@ export default function App() {
           <div style={styles.searchRow}>
             <input
               style={styles.input}
-              placeholder="Search (e.g. guin, goose)"
+              placeholder="Search, PLU or scan (e.g. guin, 101)"
               value={search}
               onChange={(e) => setSearch(e.target.value)}
+              onKeyDown={(e) => {
+                // A PLU typed here, or a barcode scanned while the box has focus
+                if (e.key === "Enter" && ringUpCode(search.trim())) setSearch("");
+              }}
             />
             <button style={styles.btn} onClick={() => setSearch("")}>
               Clear
@@ -377,29 +1343,32 @@ export default function App() {
               maxHeight: isMobile ? "none" : styles.grid.maxHeight,
             }}
           >
-            {/* Pinned items on Spirits */}
-            {activeCategory === "Spirits" &&
-              pinnedOnSpirits.map((p) => {
-                const { units } = resolveUnitsAndPrices(p);
-                const unit = units?.[0] ?? "One";
-                const { pricesPence } = resolveUnitsAndPrices(p);
+            {/* Pinned to the front of this tab (see lib/layout.js) */}
+            {pinnedProducts.map((p) => {
+              const { units } = resolveUnitsAndPrices(p);
+              const unit = tapUnit(p, units) ?? units[0];
+              const price = currentPrice(p, unit);
 
-                return (
-                  <button
-                    key={p.id}
-                    style={{
-                      ...styles.card,
-                      border: "1px solid rgba(255,255,255,0.22)",
-                      background: "rgba(255,255,255,0.10)",
-                    }}
-                    onClick={() => addToBasket(p, unit)}
-                    title={`${p.name} • ${formatPence(pricesPence[unit] || 0)}`}
-                  >
-                    <div style={styles.cardName}>{p.name}</div>
-                    <div style={styles.cardMeta}>{formatPence(pricesPence[unit] || 0)}</div>
-                  </button>
-                );
-              })}
+              return (
+                <button
+                  key={p.id}
+                  style={{
+                    ...styles.card,
+                    border: "1px solid rgba(255,255,255,0.22)",
+                    background: "rgba(255,255,255,0.10)",
+                  }}
+                  onClick={() => addToBasket(p, unit)}
+                  title={`${p.name}${units.length > 1 ? ` (${unit})` : ""} • ${formatPence(price.pricePence)}`}
+                >
+                  <div style={styles.cardName}>
+                    {p.name}
+                    {units.length > 1 ? ` (${unit})` : ""}
+                    <StockTag status={productStockStatus(p)} />
+                  </div>
+                  <PriceMeta price={price} />
+                </button>
+              );
+            })}
 
             {filteredProducts.map((p) => {
               const { units } = resolveUnitsAndPrices(p);
@@ -407,36 +1376,51 @@ export default function App() {
               // If it's just one unit ("One"), make it single-tap
               if (units.length === 1) {
                 const unit = units[0];
-                const { pricesPence } = resolveUnitsAndPrices(p);
+                const price = currentPrice(p, unit);
                 return (
                   <button
                     key={p.id}
                     style={styles.card}
                     onClick={() => addToBasket(p, unit)}
-                    title={`${p.name} • ${formatPence(pricesPence[unit] || 0)}`}
+                    title={`${p.name} • ${formatPence(price.pricePence)}`}
                   >
-                    <div style={styles.cardName}>{p.name}</div>
-                    <div style={styles.cardMeta}>{formatPence(pricesPence[unit] || 0)}</div>
+                    <div style={styles.cardName}>
+                      {p.name}
+                      <StockTag status={productStockStatus(p)} />
+                    </div>
+                    <PriceMeta price={price} />
                   </button>
                 );
               }
 
-              // Multi-unit: show product with unit buttons
+              // Multi-unit: show product with unit buttons; with a default unit, tapping the name adds that
+              const preferred = tapUnit(p, units);
               return (
                 <div key={p.id} style={styles.cardMulti}>
-                  <div style={styles.cardName}>{p.name}</div>
+                  <div
+                    style={{ ...styles.cardName, ...(preferred ? { cursor: "pointer" } : {}) }}
+                    onClick={preferred ? () => addToBasket(p, preferred) : undefined}
+                    title={preferred ? `Tap for a ${preferred}` : undefined}
+                  >
+                    {p.name}
+                    <StockTag status={productStockStatus(p)} />
+                  </div>
                   <div style={styles.unitRow}>
                     {units.map((u) => {
-                      const { pricesPence } = resolveUnitsAndPrices(p);
+                      const price = currentPrice(p, u);
                       return (
                         <button
                           key={u}
-                          style={styles.unitBtn}
+                          style={{
+                            ...styles.unitBtn,
+                            ...(u === preferred ? styles.unitBtnDefault : {}),
+                            ...(price.rule ? styles.unitBtnRule : {}),
+                          }}
                           onClick={() => addToBasket(p, u)}
-                          title={`${u} • ${formatPence(pricesPence[u] || 0)}`}
+                          title={`${u} • ${formatPence(price.pricePence)}${price.rule ? ` (${price.rule.name})` : ""}`}
                         >
                           <div style={{ fontWeight: 800 }}>{u}</div>
-                          <div style={{ fontSize: 12, opacity: 0.85 }}>{formatPence(pricesPence[u] || 0)}</div>
+                          <div style={{ fontSize: 12, opacity: 0.85 }}>{formatPence(price.pricePence)}</div>
                         </button>
                       );
                     })}
@@ -450,18 +1434,55 @@ export default function App() {
         {/* Right: basket + totals */}
         <section style={styles.panel}>
           <div style={styles.panelHeader}>
-            <div style={{ fontWeight: 900, fontSize: 18 }}>Basket</div>
-            <button style={styles.btn} onClick={undoLastAdd} disabled={!basket.length}>
-              Undo
-            </button>
+            <div style={{ fontWeight: 900, fontSize: 18, minWidth: 0 }}>
+              {activeTab ? `Tab: ${activeTab.name}` : "Basket"}
+            </div>
+            <div style={{ display: "flex", gap: 8 }}>
+              <button style={styles.btn} onClick={() => setTabsOpen(true)}>
+                Tabs ({tabs.length})
+              </button>
+              <button style={styles.btn} onClick={parkSale} disabled={!basket.length}>
+                Park
+              </button>
+              <button style={styles.btn} onClick={undoLastAdd} disabled={!basket.length}>
+                Undo
+              </button>
+              <button style={styles.btn} onClick={() => setDiscountTarget(null)} disabled={!basket.length}>
+                Discount
+              </button>
+            </div>
           </div>
 
+          {(keyEntry.digits || keyEntry.qty > 1 || keyEntry.message) && (
+            <div style={styles.keyEntry}>
+              <div style={{ fontWeight: 900, fontVariantNumeric: "tabular-nums" }}>
+                {keyEntry.qty > 1 ? `${keyEntry.qty} × ` : ""}
+                {keyEntry.digits || "…"}
+              </div>
+              <div style={{ fontSize: 12, opacity: 0.8 }}>{keyEntry.message || "Enter to ring up • Esc to clear • ? for keys"}</div>
+            </div>
+          )}
+
           <div style={styles.basket}>
             {basket.length === 0 ? (
-              <div style={{ opacity: 0.7 }}>Add items to start a sale.</div>
+              <div style={{ display: "grid", gap: 10 }}>
+                <div style={{ opacity: 0.7 }}>Add items to start a sale.</div>
+                {lastSale && (
+                  <div style={{ ...styles.editCard, display: "grid", gap: 8 }}>
+                    <div style={styles.totalRow}>
+                      <div>{isRefund(lastSale) ? "Last refund" : "Last sale"}</div>
+                      <div style={{ fontWeight: 900 }}>
+                        {formatPence(lastSale.totalPence)}
+                        {lastSale.changePence > 0 ? ` • change ${formatPence(lastSale.changePence)}` : ""}
+                      </div>
+                    </div>
+                    <ReceiptActions sale={lastSale} venue={state.venue} />
+                  </div>
+                )}
+              </div>
             ) : (
               basket.map((l) => {
-                const { totalPence: lineTotalPence, dealNote } = lineTotal(l);
+                const { totalPence: lineTotalPence, dealNote, discountPence, discountNote } = lineTotal(l);
 
                 return (
                   <div key={l.key} style={styles.line}>
@@ -487,8 +1508,17 @@ export default function App() {
                         }}
                       >
                         {formatPence(l.pricePence)} each
+                        {l.priceRule ? ` • ${l.priceRule}` : ""}
                         {dealNote ? ` • Deal active` : ""}
+                        {discountNote && <span style={styles.discountTag}>{discountNote}</span>}
                       </div>
+                      {/* Modifiers as nested lines, each with its own price per item */}
+                      {(l.modifiers || []).map((m) => (
+                        <div key={m.optionId} style={styles.modifierLine}>
+                          <span>↳ {m.name}</span>
+                          {m.pricePence > 0 && <span>+{formatPence(m.pricePence)}</span>}
+                        </div>
+                      ))}
                     </div>
 
                     <div style={styles.qtyBox}>
@@ -508,8 +1538,18 @@ export default function App() {
                           Deal: {dealNote}
                         </div>
                       )}
+                      {discountPence > 0 && (
+                        <div style={{ fontSize: 12, opacity: 0.8, marginTop: 2 }}>−{formatPence(discountPence)}</div>
+                      )}
                     </div>
 
+                    <button
+                      style={{ ...styles.trashBtn, ...(l.discount ? { color: "#9db4ff" } : {}) }}
+                      onClick={() => setDiscountTarget(l.key)}
+                      title="Discount this line"
+                    >
+                      %
+                    </button>
                     <button style={styles.trashBtn} onClick={() => removeLine(l.key)} title="Remove">
                       ×
                     </button>
@@ -517,6 +1557,40 @@ export default function App() {
                 );
               })
             )}
+
+            {pricing.applied.map((a) => (
+              <div key={a.dealId} style={styles.dealBox}>
+                <div style={styles.totalRow}>
+                  <div style={{ fontWeight: 900 }}>
+                    {a.name}
+                    {a.count > 1 ? ` × ${a.count}` : ""}
+                  </div>
+                  <div style={{ fontWeight: 900 }}>−{formatPence(a.savingPence)}</div>
+                </div>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>
+                  Uses: {a.uses.map((u) => `${u.qty} × ${u.label}`).join(", ")}
+                </div>
+              </div>
+            ))}
+            {basketDiscount && (
+              <div style={styles.discountBox}>
+                <div style={styles.totalRow}>
+                  <div style={{ fontWeight: 900 }}>
+                    {basketDiscount.name} ({describeDiscount(basketDiscount)})
+                  </div>
+                  <div style={{ fontWeight: 900 }}>−{formatPence(discounted.basketDiscountPence)}</div>
+                </div>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>
+                  Whole basket • by {basketDiscount.authorisedBy.name}
+                  {stacking === "bestOf" ? " • not on lines with a deal or their own discount" : ""}
+                </div>
+              </div>
+            )}
+            {!pricing.exact && (
+              <div style={{ fontSize: 12, opacity: 0.75 }}>
+                Too many deal combinations to check them all; best found is shown.
+              </div>
+            )}
           </div>
 
           <div
@@ -530,6 +1604,12 @@ export default function App() {
               borderRadius: isMobile ? 14 : 0,
             }}
           >
+            {discounted.discountPence > 0 && (
+              <div style={{ ...styles.totalRow, fontSize: 14, opacity: 0.85 }}>
+                <div>Discounts</div>
+                <div>−{formatPence(discounted.discountPence)}</div>
+              </div>
+            )}
             <div style={styles.totalRow}>
               <div>Total</div>
               <div style={{ fontWeight: 1000, fontSize: 22 }}>{formatPence(totalPence)}</div>
@@ -542,43 +1622,114 @@ export default function App() {
                   ref={cashInputRef}
                   style={styles.input}
                   placeholder="e.g. 20"
-                  onChange={(e) => setCashFromPounds(e.target.value)}
+                  onChange={(e) => setCashPence(poundsToPence(e.target.value))}
                 />
-                <button
-                  style={styles.btn}
-                  onClick={() => {
-                    setCashPence(totalPence);
-                    if (cashInputRef.current) cashInputRef.current.value = (totalPence / 100).toFixed(2);
-                  }}
-                >
+                <button style={styles.btn} onClick={setExactCash}>
                   Exact
                 </button>
               </div>
             </div>
 
             <div style={styles.quickCash}>
-              {[500, 1000, 2000, 5000].map((v) => (
+              {money.quickCashPence.map((v) => (
                 <button
                   key={v}
                   style={styles.quickBtn}
-                  onClick={() => {
-                    setCashPence(v);
-                    if (cashInputRef.current) cashInputRef.current.value = (v / 100).toFixed(2);
-                  }}
+                  onClick={() => setCash(v)}
                 >
                   {formatPence(v)}
                 </button>
               ))}
             </div>
 
-            <div style={styles.totalRow}>
-              <div>{changePence >= 0 ? "Change" : "Still owed"}</div>
-              <div style={{ fontWeight: 1000, fontSize: 22 }}>{formatPence(Math.abs(changePence))}</div>
+            <div style={styles.cashRow}>
+              <div style={{ fontWeight: 800 }}>Card</div>
+              <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                <input
+                  ref={cardInputRef}
+                  style={styles.input}
+                  placeholder={penceToInput(0)}
+                  onChange={(e) => setCardPence(poundsToPence(e.target.value))}
+                />
+                <button style={styles.btn} onClick={() => setCard(Math.max(0, totalPence - cashPence))}>
+                  Rest on card
+                </button>
+                <button
+                  style={styles.btn}
+                  onClick={() => {
+                    setCash(0);
+                    setCard(totalPence);
+                  }}
+                >
+                  All card
+                </button>
+              </div>
             </div>
+
+            {payment.roundingPence !== 0 && !payment.error && (
+              <div style={{ ...styles.totalRow, opacity: 0.8 }}>
+                <div>Cash rounding</div>
+                <div>{formatPence(payment.roundingPence)}</div>
+              </div>
+            )}
+
+            {payment.error ? (
+              <div style={{ ...styles.totalRow, color: "#ff9a9a", fontWeight: 800 }}>{payment.error}</div>
+            ) : (
+              <div style={styles.totalRow}>
+                <div>{payment.owedPence > 0 ? "Still owed" : "Change"}</div>
+                <div style={{ fontWeight: 1000, fontSize: 22 }}>
+                  {formatPence(payment.owedPence > 0 ? payment.owedPence : payment.changePence)}
+                </div>
+              </div>
+            )}
+
+            <button
+              style={styles.btnPrimary}
+              onClick={completeSale}
+              disabled={!basket.length || payment.owedPence > 0 || !!payment.error || completing}
+            >
+              Complete Sale
+            </button>
           </div>
         </section>
       </main>
 
+      {historyOpen && (
+        <HistoryModal
+          onClose={() => setHistoryOpen(false)}
+          refreshKey={journalVersion}
+          venue={state.venue}
+          onRefund={refundSale}
+        />
+      )}
+      {reportsOpen && (
+        <ReportsModal
+          onClose={() => setReportsOpen(false)}
+          refreshKey={journalVersion}
+          openTabs={tabSummaries}
+          denominationsPence={money.denominationsPence}
+          authorise={authorise}
+        />
+      )}
+      {analyticsOpen && <AnalyticsModal onClose={() => setAnalyticsOpen(false)} refreshKey={journalVersion} />}
+      {drawerOpen && (
+        <DrawerModal
+          staff={currentStaff}
+          authorise={authorise}
+          refreshKey={journalVersion}
+          onClose={() => setDrawerOpen(false)}
+        />
+      )}
+      {tabsOpen && (
+        <TabsModal
+          tabs={tabSummaries}
+          activeTabId={activeTabId}
+          onRecall={recallTab}
+          onClose={() => setTabsOpen(false)}
+        />
+      )}
+
       {/* Admin modal */}
       {adminOpen && (
         <div style={styles.modalOverlay} onClick={closeAdmin}>
@@ -590,54 +1741,25 @@ export default function App() {
               </button>
             </div>
 
-            {!authed && (
-              <div style={{ display: "grid", gap: 10 }}>
-                <div style={{ opacity: 0.85 }}>Enter PIN to edit prices.</div>
-                <input
-                  style={styles.input}
-                  value={pinEntry}
-                  onChange={(e) => setPinEntry(e.target.value)}
-                  placeholder="PIN"
-                  type="password"
-                />
-                <div style={{ display: "flex", gap: 8 }}>
-                  <button style={styles.btn} onClick={tryPin}>
-                    Unlock
-                  </button>
-                  <button style={styles.btn} onClick={closeAdmin}>
-                    Cancel
-                  </button>
-                </div>
-              </div>
-            )}
-
-            {authed && (
+            {adminUser && (
               <div style={{ display: "grid", gap: 16 }}>
                 <section>
                   <div style={{ fontWeight: 900, marginBottom: 8 }}>Bands</div>
-                  <div style={{ display: "grid", gap: 10 }}>
-                    {state.bands.map((b) => (
-                      <div key={b.id} style={styles.editCard}>
-                        <div style={{ fontWeight: 900 }}>{b.name}</div>
-                        <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
-                          {b.units.map((u) => (
-                            <label key={u} style={styles.editField}>
-                              <div style={{ fontSize: 12, opacity: 0.8 }}>{u}</div>
-                              <input
-                                style={styles.input}
-                                defaultValue={((b.pricesPence[u] || 0) / 100).toFixed(2)}
-                                onBlur={(e) => {
-                                  const n = Number(e.target.value);
-                                  if (!Number.isFinite(n)) return;
-                                  updateBandPrice(b.id, u, Math.round(n * 100));
-                                }}
-                              />
-                            </label>
-                          ))}
-                        </div>
-                      </div>
-                    ))}
-                  </div>
+                  <BandEditor
+                    bands={state.bands}
+                    products={state.products}
+                    modifierGroups={state.modifierGroups}
+                    actions={bandActions}
+                  />
+                </section>
+
+                <section>
+                  <div style={{ fontWeight: 900, marginBottom: 8 }}>Bulk repricing</div>
+                  <RepricePanel
+                    bands={state.bands}
+                    products={state.products}
+                    onApply={(plan) => setState((s) => applyReprice(s, plan))}
+                  />
                 </section>
 
                 <section>
@@ -646,7 +1768,7 @@ export default function App() {
                     {state.products
                       .filter((p) => p.pricesPence && p.units)
                       .map((p) => (
-                        <div key={p.id} style={styles.editCard}>
+                        <div key={`${p.id}:${JSON.stringify(p.pricesPence)}`} style={styles.editCard}>
                           <div style={{ fontWeight: 900 }}>{p.name}</div>
                           <div style={{ opacity: 0.8, fontSize: 12 }}>{p.category}</div>
                           <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 6 }}>
@@ -655,11 +1777,10 @@ export default function App() {
                                 <div style={{ fontSize: 12, opacity: 0.8 }}>{u}</div>
                                 <input
                                   style={styles.input}
-                                  defaultValue={(((p.pricesPence?.[u] || 0) / 100).toFixed(2))}
+                                  defaultValue={penceToInput(p.pricesPence?.[u])}
                                   onBlur={(e) => {
-                                    const n = Number(e.target.value);
-                                    if (!Number.isFinite(n)) return;
-                                    updateOverridePrice(p.id, u, Math.round(n * 100));
+                                    const pence = parsePounds(e.target.value);
+                                    if (!Number.isNaN(pence)) updateOverridePrice(p.id, u, pence);
                                   }}
                                 />
                               </label>
@@ -670,6 +1791,134 @@ export default function App() {
                   </div>
                 </section>
 
+                <section>
+                  <div style={{ fontWeight: 900, marginBottom: 8 }}>Products</div>
+                  <ProductEditor
+                    products={state.products}
+                    bands={state.bands}
+                    stockItems={state.stockItems}
+                    modifierGroups={state.modifierGroups}
+                    inheritedVatRate={(p) => vatRateFor({ ...p, vatRatePercent: undefined }, vatContext)}
+                    onSave={saveProduct}
+                    onDelete={deleteProduct}
+                  />
+                </section>
+
+                <section>
+                  <div style={{ fontWeight: 900, marginBottom: 8 }}>Modifiers</div>
+                  <ModifierGroupEditor
+                    groups={state.modifierGroups}
+                    bands={state.bands}
+                    products={state.products}
+                    stockItems={state.stockItems}
+                    onSave={saveModifierGroup}
+                    onDelete={deleteModifierGroup}
+                  />
+                </section>
+
+                <section>
+                  <div style={{ fontWeight: 900, marginBottom: 8 }}>Till layout and category VAT</div>
+                  <CategoryLayoutEditor
+                    categories={resolveCategories(state.categories, state.products)}
+                    products={state.products}
+                    unitsOf={(p) => resolveUnitsAndPrices(p).units}
+                    standardVatRate={state.venue.vatRatePercent}
+                    onMove={(name, delta) =>
+                      setState((s) => ({ ...s, categories: moveCategory(s.categories, s.products, name, delta) }))
+                    }
+                    onChange={(name, patch) =>
+                      setState((s) => ({
+                        ...s,
+                        categories: updateCategory(s.categories, s.products, name, (c) => ({ ...c, ...patch })),
+                      }))
+                    }
+                    onRemove={(name) => setState((s) => ({ ...s, categories: s.categories.filter((c) => c.name !== name) }))}
+                  />
+                </section>
+
+                <section>
+                  <div style={{ fontWeight: 900, marginBottom: 8 }}>Stock items</div>
+                  <StockItemEditor
+                    items={state.stockItems}
+                    products={state.products}
+                    modifierGroups={state.modifierGroups}
+                    onSave={saveStockItem}
+                    onDelete={deleteStockItem}
+                  />
+                </section>
+
+                <section>
+                  <div style={{ fontWeight: 900, marginBottom: 8 }}>Mix-and-match deals</div>
+                  <DealEditor
+                    deals={mixDeals}
+                    products={state.products}
+                    bands={state.bands}
+                    productById={productById}
+                    bandById={bandById}
+                    onSave={saveDeal}
+                    onDelete={deleteDeal}
+                  />
+                </section>
+
+                <section style={styles.adminSection}>
+                  <div style={{ fontWeight: 900, marginBottom: 8 }}>Happy hour &amp; timed prices</div>
+                  <PriceRuleEditor
+                    rules={state.priceRules}
+                    activeIds={new Set(liveRules.map((r) => r.id))}
+                    products={state.products}
+                    bands={state.bands}
+                    onSave={savePriceRule}
+                    onDelete={deletePriceRule}
+                  />
+                </section>
+
+                <section>
+                  <div style={{ fontWeight: 900, marginBottom: 8 }}>Discount presets</div>
+                  <DiscountPresetEditor
+                    presets={state.discountPresets}
+                    onSave={saveDiscountPreset}
+                    onDelete={deleteDiscountPreset}
+                  />
+                  <label style={{ ...styles.editField, marginTop: 10 }}>
+                    <div style={{ fontSize: 12, opacity: 0.8 }}>When a discount meets a deal</div>
+                    <select
+                      style={styles.input}
+                      value={stacking}
+                      onChange={(e) =>
+                        setState((s) => ({ ...s, settings: { ...s.settings, discountStacking: e.target.value } }))
+                      }
+                    >
+                      {Object.entries(STACKING_MODES).map(([k, label]) => (
+                        <option key={k} value={k}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </section>
+
+                <section>
+                  <div style={{ fontWeight: 900, marginBottom: 8 }}>Receipts</div>
+                  <VenueEditor
+                    venue={state.venue}
+                    onChange={(patch) => setState((s) => ({ ...s, venue: { ...s.venue, ...patch } }))}
+                  />
+                </section>
+
+                <section>
+                  <div style={{ fontWeight: 900, marginBottom: 8 }}>Currency and cash</div>
+                  <MoneyEditor
+                    key={JSON.stringify(state.venue.money)}
+                    money={state.venue.money}
+                    onChange={(next) => setState((s) => ({ ...s, venue: { ...s.venue, money: next } }))}
+                  />
+                </section>
+
+                <section>
+                  <div style={{ fontWeight: 900, marginBottom: 8 }}>Sync between tills</div>
+                  <SyncEditor settings={syncSettings} status={syncStatus} onSave={saveSync} />
+                </section>
+
                 <section style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
                   <button style={styles.btn} onClick={exportJson}>
                     Export JSON
@@ -687,11 +1936,28 @@ export default function App() {
                       }}
                     />
                   </label>
+                  <button style={styles.btn} onClick={exportMenuCsv} title="One row per product and unit">
+                    Export Menu CSV
+                  </button>
+                  <label style={styles.btn} title="Import Menu CSV">
+                    Import Menu CSV
+                    <input
+                      type="file"
+                      accept=".csv,text/csv"
+                      style={{ display: "none" }}
+                      onChange={(e) => {
+                        const f = e.target.files?.[0];
+                        if (f) importMenuCsv(f);
+                        e.target.value = "";
+                      }}
+                    />
+                  </label>
                   <button
                     style={styles.btnDanger}
                     onClick={() => {
-                      if (!confirm("Reset everything to defaults?")) return;
-                      setState(DEFAULT_STATE);
+                      if (!confirm("Reset the menu, prices and settings to defaults? Staff accounts are kept.")) return;
+                      // Keeping staff means the default PIN never comes back and nobody loses theirs
+                      setState((s) => ({ ...DEFAULT_STATE, staff: s.staff }));
                       alert("Reset.");
                     }}
                   >
@@ -699,296 +1965,120 @@ export default function App() {
                   </button>
                 </section>
 
-                <section style={{ borderTop: "1px solid rgba(255,255,255,0.12)", paddingTop: 12 }}>
-                  <div style={{ fontWeight: 900, marginBottom: 8 }}>PIN</div>
-                  <label style={styles.checkboxRow}>
-                    <input
-                      type="checkbox"
-                      checked={state.pinEnabled}
-                      onChange={(e) => setState((s) => ({ ...s, pinEnabled: e.target.checked }))}
+                {can(adminUser, "manageStaff") && (
+                  <section style={{ borderTop: "1px solid rgba(255,255,255,0.12)", paddingTop: 12 }}>
+                    <div style={{ fontWeight: 900, marginBottom: 8 }}>Staff</div>
+                    <StaffEditor
+                      staff={staff}
+                      currentId={adminUser.id}
+                      onSave={saveStaffMember}
+                      onDelete={deleteStaffMember}
                     />
-                    Require PIN to edit prices
-                  </label>
-                  <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
-                    <input
-                      style={styles.input}
-                      defaultValue={state.pin}
-                      onBlur={(e) => setState((s) => ({ ...s, pin: e.target.value || "1234" }))}
-                      placeholder="New PIN"
-                    />
-                  </div>
-                </section>
+                    <label style={{ ...styles.checkboxRow, marginTop: 10 }}>
+                      <input
+                        type="checkbox"
+                        checked={state.settings.voidsNeedAuthorisation}
+                        onChange={(e) =>
+                          setState((s) => ({ ...s, settings: { ...s.settings, voidsNeedAuthorisation: e.target.checked } }))
+                        }
+                      />
+                      Voids need a supervisor or manager PIN (bar staff can&apos;t void alone)
+                    </label>
+                  </section>
+                )}
               </div>
             )}
           </div>
         </div>
       )}
 
-      <footer style={styles.footer}>Tip: Mixer Charge is pinned on Spirits. Deals auto-apply for Bombs/Cocktails.</footer>
+      {stockOpen && (
+        <StockModal
+          items={state.stockItems}
+          levels={stockLevels}
+          authorise={authorise}
+          onChanged={() => setStockVersion((v) => v + 1)}
+          onClose={() => setStockOpen(false)}
+        />
+      )}
+
+      {importPreview && (
+        <ImportPreview
+          fileName={importPreview.fileName}
+          errors={importPreview.errors}
+          diff={importPreview.diff}
+          onApply={applyImport}
+          onClose={() => setImportPreview(null)}
+        />
+      )}
+
+      {!currentStaff && staff.length > 0 && (
+        <StaffPinDialog title="Sign in" staff={staff} onDone={(m) => setStaffId(m.id)} />
+      )}
+
+      {discountTarget !== undefined && (
+        <DiscountDialog
+          title={discountTarget ? `Discount: ${basket.find((l) => l.key === discountTarget)?.label}` : "Discount Basket"}
+          presets={state.discountPresets}
+          current={discountTarget ? basket.find((l) => l.key === discountTarget)?.discount : basketDiscount}
+          onApply={(d) => giveDiscount(discountTarget, d)}
+          onRemove={() => removeDiscount(discountTarget)}
+          onCancel={() => setDiscountTarget(undefined)}
+        />
+      )}
+
+      {modifierPrompt && (
+        <ModifierDialog
+          title={`${modifierPrompt.qty > 1 ? `${modifierPrompt.qty} × ` : ""}${modifierPrompt.product.name}${
+            modifierPrompt.unit === "One" ? "" : ` (${modifierPrompt.unit})`
+          }`}
+          groups={modifierPrompt.groups}
+          basePence={currentPrice(modifierPrompt.product, modifierPrompt.unit).pricePence}
+          onAdd={(modifiers) => {
+            addToBasket(modifierPrompt.product, modifierPrompt.unit, modifierPrompt.qty, modifiers);
+            setModifierPrompt(null);
+          }}
+          onCancel={() => setModifierPrompt(null)}
+        />
+      )}
+
+      {voidRequest && (
+        <VoidDialog
+          title={voidRequest.title}
+          lines={voidRequest.lines}
+          onDone={finishVoidRequest}
+          onCancel={() => finishVoidRequest(null)}
+        />
+      )}
+
+      {authRequest && (
+        <StaffPinDialog
+          title={authRequest.title}
+          message={`"${PERMISSIONS[authRequest.permission]}" isn't allowed for ${
+            currentStaff ? ROLES[currentStaff.role] : "this role"
+          }. Someone who can should enter their PIN.`}
+          staff={staff.filter((m) => can(m, authRequest.permission))}
+          onDone={finishAuth}
+          onCancel={() => finishAuth(null)}
+        />
+      )}
+
+      <footer style={styles.footer}>Tip: Spirits ask for a mixer and ice as they're rung up. Deals auto-apply for Bombs/Cocktails and across lines for mix-and-match offers. Happy-hour prices switch on and off with the till clock.</footer>
     </div>
   );
 }
 
-// ---------- Styles ----------
-const styles = {
-  page: {
-    minHeight: "100vh",
-    background:
-      "radial-gradient(1200px 800px at 20% 0%, rgba(255,255,255,0.08), transparent), #0b0f16",
-    color: "white",
-    fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif",
-  },
-  header: {
-    padding: 16,
-    display: "flex",
-    justifyContent: "space-between",
-    alignItems: "center",
-    borderBottom: "1px solid rgba(255,255,255,0.12)",
-    position: "sticky",
-    top: 0,
-    background: "rgba(11,15,22,0.8)",
-    backdropFilter: "blur(10px)",
-    zIndex: 5,
-    gap: 12,
-  },
-  title: { fontSize: 18, fontWeight: 1000 },
-  subtitle: { fontSize: 12, opacity: 0.75, marginTop: 2 },
-
-  main: {
-    display: "grid",
-    gridTemplateColumns: "1.2fr 0.8fr",
-    gap: 14,
-    padding: 14,
-    alignItems: "start",
-  },
-
-  panel: {
-    background: "rgba(255,255,255,0.06)",
-    border: "1px solid rgba(255,255,255,0.10)",
-    borderRadius: 16,
-    padding: 12,
-    boxShadow: "0 10px 30px rgba(0,0,0,0.25)",
-    minHeight: 0,
-  },
-
-  panelHeader: {
-    display: "flex",
-    justifyContent: "space-between",
-    alignItems: "center",
-    marginBottom: 10,
-    gap: 8,
-  },
-
-  tabs: {
-    display: "flex",
-    gap: 8,
-    flexWrap: "wrap",
-    marginBottom: 10,
-  },
-  tab: {
-    padding: "8px 10px",
-    borderRadius: 999,
-    border: "1px solid rgba(255,255,255,0.14)",
-    background: "rgba(255,255,255,0.06)",
-    color: "white",
-    cursor: "pointer",
-    fontWeight: 800,
-    fontSize: 13,
-  },
-  tabActive: {
-    background: "rgba(255,255,255,0.16)",
-    borderColor: "rgba(255,255,255,0.25)",
-  },
-
-  searchRow: { display: "flex", gap: 8, marginBottom: 10 },
-  input: {
-    width: "100%",
-    padding: "10px 12px",
-    borderRadius: 12,
-    border: "1px solid rgba(255,255,255,0.14)",
-    background: "rgba(0,0,0,0.25)",
-    color: "white",
-    outline: "none",
-    fontSize: 14,
-  },
-
-  btn: {
-    padding: "10px 12px",
-    borderRadius: 12,
-    border: "1px solid rgba(255,255,255,0.16)",
-    background: "rgba(255,255,255,0.10)",
-    color: "white",
-    cursor: "pointer",
-    fontWeight: 900,
-    whiteSpace: "nowrap",
-  },
-  btnDanger: {
-    padding: "10px 12px",
-    borderRadius: 12,
-    border: "1px solid rgba(255,120,120,0.35)",
-    background: "rgba(255,80,80,0.18)",
-    color: "white",
-    cursor: "pointer",
-    fontWeight: 1000,
-    whiteSpace: "nowrap",
-  },
-
-  grid: {
-    display: "grid",
-    gridTemplateColumns: "repeat(auto-fill, minmax(170px, 1fr))",
-    gap: 10,
-    maxHeight: "calc(100vh - 190px)",
-    overflow: "auto",
-    paddingRight: 4,
-  },
-
-  card: {
-    textAlign: "left",
-    borderRadius: 16,
-    border: "1px solid rgba(255,255,255,0.12)",
-    background: "rgba(0,0,0,0.22)",
-    padding: 12,
-    cursor: "pointer",
-    minHeight: 74,
-  },
-  cardMulti: {
-    borderRadius: 16,
-    border: "1px solid rgba(255,255,255,0.12)",
-    background: "rgba(0,0,0,0.22)",
-    padding: 12,
-    minHeight: 74,
-  },
-  cardName: { fontWeight: 1000, marginBottom: 6 },
-  cardMeta: { opacity: 0.8, fontSize: 13 },
-  unitRow: { display: "flex", gap: 8, flexWrap: "wrap" },
-  unitBtn: {
-    flex: 1,
-    minWidth: 84,
-    borderRadius: 14,
-    border: "1px solid rgba(255,255,255,0.14)",
-    background: "rgba(255,255,255,0.08)",
-    color: "white",
-    padding: "8px 10px",
-    cursor: "pointer",
-    textAlign: "left",
-  },
-
-  basket: {
-    maxHeight: "calc(100vh - 380px)",
-    overflow: "auto",
-    paddingRight: 4,
-  },
-
-  // grid basket row to prevent layout shift
-  line: {
-    display: "grid",
-    gridTemplateColumns: "1fr auto 92px 34px",
-    gap: 10,
-    alignItems: "center",
-    padding: 10,
-    borderRadius: 14,
-    background: "rgba(0,0,0,0.20)",
-    border: "1px solid rgba(255,255,255,0.10)",
-    marginBottom: 8,
-    minWidth: 0,
-  },
-
-  qtyBox: {
-    display: "flex",
-    alignItems: "center",
-    gap: 8,
-    padding: 6,
-    borderRadius: 14,
-    border: "1px solid rgba(255,255,255,0.12)",
-    background: "rgba(255,255,255,0.06)",
-  },
-  qtyBtn: {
-    width: 30,
-    height: 30,
-    borderRadius: 10,
-    border: "1px solid rgba(255,255,255,0.14)",
-    background: "rgba(255,255,255,0.10)",
-    color: "white",
-    cursor: "pointer",
-    fontWeight: 1000,
-  },
-  trashBtn: {
-    width: 34,
-    height: 34,
-    borderRadius: 12,
-    border: "1px solid rgba(255,255,255,0.14)",
-    background: "rgba(255,255,255,0.08)",
-    color: "white",
-    cursor: "pointer",
-    fontWeight: 1000,
-    lineHeight: "30px",
-  },
-
-  totalBox: {
-    marginTop: 10,
-    paddingTop: 10,
-    borderTop: "1px solid rgba(255,255,255,0.12)",
-    display: "grid",
-    gap: 10,
-  },
-
-  totalRow: {
-    display: "flex",
-    justifyContent: "space-between",
-    alignItems: "baseline",
-    gap: 10,
-  },
-  cashRow: { display: "grid", gap: 8 },
-  quickCash: { display: "flex", gap: 8, flexWrap: "wrap" },
-  quickBtn: {
-    padding: "10px 12px",
-    borderRadius: 12,
-    border: "1px solid rgba(255,255,255,0.14)",
-    background: "rgba(255,255,255,0.10)",
-    color: "white",
-    cursor: "pointer",
-    fontWeight: 1000,
-    whiteSpace: "nowrap",
-  },
-
-  footer: {
-    padding: 14,
-    opacity: 0.7,
-    fontSize: 12,
-    textAlign: "center",
-  },
-
-  modalOverlay: {
-    position: "fixed",
-    inset: 0,
-    background: "rgba(0,0,0,0.65)",
-    display: "grid",
-    placeItems: "center",
-    zIndex: 50,
-    padding: 14,
-  },
-  modal: {
-    width: "min(900px, 100%)",
-    maxHeight: "min(85vh, 900px)",
-    overflow: "auto",
-    background: "#0b0f16",
-    border: "1px solid rgba(255,255,255,0.14)",
-    borderRadius: 16,
-    padding: 12,
-  },
-  modalHeader: {
-    display: "flex",
-    justifyContent: "space-between",
-    alignItems: "center",
-    marginBottom: 10,
-    gap: 10,
-  },
-  editCard: {
-    padding: 10,
-    borderRadius: 14,
-    border: "1px solid rgba(255,255,255,0.12)",
-    background: "rgba(255,255,255,0.06)",
-  },
-  editField: { display: "grid", gap: 6, minWidth: 140 },
-  checkboxRow: { display: "flex", alignItems: "center", gap: 10 },
-};
+function StockTag({ status }) {
+  if (!status) return null;
+  return <span style={styles.stockTag}>{status === "out" ? "Out" : "Low"}</span>;
+}
+
+function PriceMeta({ price }) {
+  if (!price.rule) return <div style={styles.cardMeta}>{formatPence(price.pricePence)}</div>;
+  return (
+    <div style={styles.cardMeta}>
+      <s style={{ opacity: 0.7 }}>{formatPence(price.basePence)}</s> <b>{formatPence(price.pricePence)}</b>
+      <span style={styles.ruleTag}>{price.rule.name}</span>
+    </div>
+  );
+}
@@ -0,0 +1,268 @@
+import React, { useEffect, useState } from "react";
+import BarChart from "./BarChart.jsx";
+import {
+  RANGE_PRESETS,
+  analyseSales,
+  change,
+  comparisonLabel,
+  comparisonRange,
+  presetRange,
+  rangeTimestamps,
+} from "../lib/analytics.js";
+import { formatPence } from "../lib/helpers.js";
+import { downloadCsv, salesToCsv } from "../lib/csv.js";
+import { listSales } from "../lib/journal.js";
+import { styles } from "../styles.js";
+
+const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+
+/**
+ * Sales dashboard over a range of days, each figure set against the same days
+ * a whole number of weeks earlier (see lib/analytics.js). Reads only the local journal, so it works offline.
+ * The range's sales can be exported line by line as CSV (see lib/csv.js).
+ */
+export default function AnalyticsModal({ onClose, refreshKey }) {
+  const [preset, setPreset] = useState("today");
+  const [range, setRange] = useState(() => presetRange("today"));
+  const [data, setData] = useState(null); // { now, before, sales, range }
+  const [error, setError] = useState(null);
+
+  const badRange = !range.fromDay || !range.toDay || range.fromDay > range.toDay;
+
+  useEffect(() => {
+    if (badRange) return;
+    let cancelled = false;
+    const before = comparisonRange(range);
+    Promise.all([listSales(rangeTimestamps(range)), listSales(rangeTimestamps(before))])
+      .then(([nowSales, beforeSales]) => {
+        if (cancelled) return;
+        setData({
+          now: analyseSales(nowSales, { range }),
+          before: analyseSales(beforeSales, { range: before }),
+          sales: nowSales,
+          range,
+        });
+        setError(null);
+      })
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [range, badRange, refreshKey]);
+
+  function pickPreset(key) {
+    setPreset(key);
+    setRange(presetRange(key));
+  }
+
+  function setDay(patch) {
+    setPreset(null);
+    setRange((r) => ({ ...r, ...patch }));
+  }
+
+  function exportCsv() {
+    const { fromDay, toDay } = data.range;
+    downloadCsv(`sales-${fromDay}-to-${toDay}.csv`, salesToCsv(data.sales));
+  }
+
+  const { now, before } = data || {};
+  const compareLabel = comparisonLabel(range);
+
+  return (
+    <div style={styles.modalOverlay} onClick={onClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.modalHeader}>
+          <div style={{ fontWeight: 1000, fontSize: 18 }}>Sales Dashboard</div>
+          <button style={styles.trashBtn} onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 12 }}>
+          {Object.entries(RANGE_PRESETS).map(([key, label]) => (
+            <button
+              key={key}
+              style={{ ...styles.tab, ...(preset === key ? styles.tabActive : {}) }}
+              onClick={() => pickPreset(key)}
+            >
+              {label}
+            </button>
+          ))}
+          <input
+            style={{ ...styles.input, width: 160 }}
+            type="date"
+            value={range.fromDay}
+            onChange={(e) => setDay({ fromDay: e.target.value })}
+          />
+          <span style={{ opacity: 0.7 }}>to</span>
+          <input
+            style={{ ...styles.input, width: 160 }}
+            type="date"
+            value={range.toDay}
+            onChange={(e) => setDay({ toDay: e.target.value })}
+          />
+          <button
+            style={styles.btn}
+            onClick={exportCsv}
+            disabled={badRange || !data || data.range !== range}
+            title="Every sale and refund line in the range, for spreadsheets and accounts"
+          >
+            Export CSV
+          </button>
+        </div>
+
+        {badRange && <div style={styles.fieldError}>Pick a start date on or before the end date.</div>}
+        {error && <div style={{ color: "#ff9a9a" }}>Could not load sales: {error}</div>}
+        {!badRange && !error && !data && <div style={{ opacity: 0.7 }}>Loading…</div>}
+
+        {!badRange && !error && data && (
+          <div style={{ display: "grid", gap: 16 }}>
+            <div style={styles.statGrid}>
+              <Stat
+                label="Takings"
+                value={formatPence(now.takingsPence)}
+                delta={change(now.takingsPence, before.takingsPence)}
+              />
+              <Stat label="Sales" value={now.saleCount} delta={change(now.saleCount, before.saleCount)} />
+              <Stat
+                label="Average basket"
+                value={formatPence(now.averageBasketPence)}
+                delta={change(now.averageBasketPence, before.averageBasketPence)}
+              />
+              <Stat label="Items" value={now.itemCount} delta={change(now.itemCount, before.itemCount)} />
+            </div>
+            <div style={{ fontSize: 12, opacity: 0.7, marginTop: -8 }}>
+              Changes are against {compareLabel.toLowerCase()}: {formatPence(before.takingsPence)} from {before.saleCount}{" "}
+              sale{before.saleCount === 1 ? "" : "s"}.
+            </div>
+
+            <Section title="Takings by hour">
+              <BarChart
+                bars={now.byHour.map((h, i) => ({
+                  label: String(h.hour).padStart(2, "0"),
+                  value: h.takingsPence,
+                  compare: before.byHour[i].takingsPence,
+                }))}
+                format={formatPence}
+                valueLabel="This period"
+                compareLabel={compareLabel}
+              />
+            </Section>
+
+            {now.byDay.length > 1 && (
+              <Section title="Takings by day">
+                <BarChart
+                  bars={now.byDay.map((d, i) => ({
+                    label: d.day.slice(8),
+                    value: d.takingsPence,
+                    compare: before.byDay[i]?.takingsPence ?? 0,
+                  }))}
+                  format={formatPence}
+                  valueLabel="This period"
+                  compareLabel={compareLabel}
+                />
+              </Section>
+            )}
+
+            <Section title="Category mix">
+              <ShareBars rows={now.categoryMix.map((c) => [c.category, c.share, c.totalPence])} />
+            </Section>
+
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(260px, 1fr))", gap: 16 }}>
+              <Section title="Top products">
+                <RankTable rows={now.topProducts.map((p) => [p.label, p.qty, formatPence(p.totalPence)])} />
+              </Section>
+              <Section title="Units sold">
+                <RankTable rows={now.topUnits.map((u) => [u.unit, u.qty, formatPence(u.totalPence)])} />
+              </Section>
+            </div>
+
+            <Section title="Deals">
+              <div style={{ fontSize: 14, opacity: 0.85, marginBottom: 6 }}>
+                {now.saleCount
+                  ? `${now.dealSaleCount} of ${now.saleCount} sales had a deal` +
+                    ` (${percent(now.dealSaleCount / now.saleCount)}).`
+                  : "No sales."}
+              </div>
+              <RankTable
+                qtyLabel="Times"
+                valueLabel="Saved"
+                rows={now.deals.map((d) => [
+                  `${d.name}${d.kind === "bundle" ? "" : " (mix & match)"}`,
+                  d.count,
+                  formatPence(d.savingPence),
+                ])}
+              />
+            </Section>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Stat({ label, value, delta }) {
+  const color = delta > 0 ? "#86efac" : delta < 0 ? "#fca5a5" : undefined;
+  return (
+    <div style={styles.statCard}>
+      <div style={{ fontSize: 12, opacity: 0.8 }}>{label}</div>
+      <div style={{ fontWeight: 1000, fontSize: 20 }}>{value}</div>
+      <div style={{ fontSize: 12, color, opacity: color ? 1 : 0.6 }}>
+        {delta === null ? "No sales to compare" : `${delta > 0 ? "▲" : delta < 0 ? "▼" : ""} ${percent(Math.abs(delta))}`}
+      </div>
+    </div>
+  );
+}
+
+function Section({ title, children }) {
+  return (
+    <div>
+      <div style={{ fontWeight: 900, marginBottom: 6 }}>{title}</div>
+      {children}
+    </div>
+  );
+}
+
+function ShareBars({ rows }) {
+  if (!rows.length) return <div style={{ fontSize: 14, opacity: 0.7 }}>Nothing sold.</div>;
+  return (
+    <div style={{ display: "grid", gap: 6 }}>
+      {rows.map(([label, share, pence]) => (
+        <div key={label} style={{ display: "grid", gridTemplateColumns: "140px 1fr 130px", gap: 8, alignItems: "center" }}>
+          <div style={{ fontSize: 14, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{label}</div>
+          <div style={{ height: 12, borderRadius: 6, background: "rgba(255,255,255,0.08)" }}>
+            <div style={{ width: percent(share), height: "100%", borderRadius: 6, background: "rgba(80,200,120,0.75)" }} />
+          </div>
+          <div style={{ fontSize: 14, textAlign: "right", whiteSpace: "nowrap" }}>
+            {formatPence(pence)} • {percent(share)}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function RankTable({ rows, qtyLabel = "Qty", valueLabel = "Total" }) {
+  if (!rows.length) return <div style={{ fontSize: 14, opacity: 0.7 }}>Nothing yet.</div>;
+  const num = { padding: "2px 4px", textAlign: "right", whiteSpace: "nowrap" };
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+      <thead>
+        <tr style={{ opacity: 0.75 }}>
+          <th style={{ padding: "2px 4px", textAlign: "left" }}></th>
+          <th style={num}>{qtyLabel}</th>
+          <th style={num}>{valueLabel}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(([label, qty, value], i) => (
+          <tr key={i}>
+            <td style={{ padding: "2px 4px" }}>{label}</td>
+            <td style={num}>{qty}</td>
+            <td style={num}>{value}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
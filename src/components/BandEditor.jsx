@@ -0,0 +1,171 @@
+import React, { useState } from "react";
+import { bandDeleteBlocker, productsUsingBand, validateUnitName } from "../lib/catalog.js";
+import { parsePounds, penceToInput } from "../lib/helpers.js";
+import { styles } from "../styles.js";
+import ModifierGroupPicker from "./ModifierGroupPicker.jsx";
+import VatRateInput from "./VatRateInput.jsx";
+
+/**
+ * Price bands: create/delete bands, add/remove units, edit unit prices, pick the
+ * modifiers its products ask for, set a VAT rate for its products and see which
+ * products follow each band.
+ */
+export default function BandEditor({ bands, products, modifierGroups, actions }) {
+  const [newName, setNewName] = useState("");
+
+  return (
+    <div style={{ display: "grid", gap: 10 }}>
+      {bands.map((b) => (
+        // Keyed on prices so the uncontrolled inputs pick up bulk repricing
+        <BandCard
+          key={`${b.id}:${JSON.stringify(b.pricesPence)}`}
+          band={b}
+          products={products}
+          modifierGroups={modifierGroups}
+          actions={actions}
+        />
+      ))}
+
+      <div style={styles.searchRow}>
+        <input
+          style={styles.input}
+          placeholder="New band name (e.g. House Spirits)"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+        />
+        <button
+          style={styles.btn}
+          disabled={!newName.trim()}
+          onClick={() => {
+            actions.createBand(newName.trim());
+            setNewName("");
+          }}
+        >
+          Add Band
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function BandCard({ band, products, modifierGroups, actions }) {
+  const [unitName, setUnitName] = useState("");
+  const [unitPrice, setUnitPrice] = useState("");
+  const [error, setError] = useState(null);
+
+  const users = productsUsingBand(products, band.id);
+
+  function addUnit() {
+    const problem = validateUnitName(unitName, band.units);
+    const pence = parsePounds(unitPrice);
+    if (problem || Number.isNaN(pence)) {
+      setError(problem || "Enter a price for the new unit.");
+      return;
+    }
+    actions.addBandUnit(band.id, unitName.trim(), pence);
+    setUnitName("");
+    setUnitPrice("");
+    setError(null);
+  }
+
+  function removeUnit(unit) {
+    if (band.units.length === 1) {
+      setError("A band needs at least one unit.");
+      return;
+    }
+    const note = users.length ? ` ${users.length} product(s) will lose it.` : "";
+    if (!confirm(`Remove ${unit} from ${band.name}?${note}`)) return;
+    actions.removeBandUnit(band.id, unit);
+  }
+
+  function deleteBand() {
+    const blocker = bandDeleteBlocker(products, band.id);
+    if (blocker) {
+      setError(blocker);
+      return;
+    }
+    if (confirm(`Delete band "${band.name}"?`)) actions.deleteBand(band.id);
+  }
+
+  return (
+    <div style={{ ...styles.editCard, display: "grid", gap: 8 }}>
+      <div style={{ ...styles.totalRow, alignItems: "center" }}>
+        <input
+          style={{ ...styles.input, fontWeight: 900 }}
+          defaultValue={band.name}
+          onBlur={(e) => {
+            const name = e.target.value.trim();
+            if (name && name !== band.name) actions.renameBand(band.id, name);
+            else e.target.value = band.name;
+          }}
+        />
+        <button style={styles.btnDanger} onClick={deleteBand}>
+          Delete
+        </button>
+      </div>
+
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+        {band.units.map((u) => (
+          <label key={u} style={styles.editField}>
+            <div style={{ ...styles.totalRow, fontSize: 12, opacity: 0.8 }}>
+              <span>{u}</span>
+              <button style={styles.linkBtn} onClick={() => removeUnit(u)} title={`Remove ${u}`}>
+                remove
+              </button>
+            </div>
+            <input
+              style={styles.input}
+              defaultValue={penceToInput(band.pricesPence[u])}
+              onBlur={(e) => {
+                const pence = parsePounds(e.target.value);
+                if (Number.isNaN(pence)) return;
+                actions.updateBandPrice(band.id, u, pence);
+              }}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: 8 }}>
+        <input
+          style={styles.input}
+          placeholder="New unit (e.g. Triple)"
+          value={unitName}
+          onChange={(e) => setUnitName(e.target.value)}
+        />
+        <input
+          style={{ ...styles.input, width: 110 }}
+          placeholder={penceToInput(0)}
+          inputMode="decimal"
+          value={unitPrice}
+          onChange={(e) => setUnitPrice(e.target.value)}
+        />
+        <button style={styles.btn} onClick={addUnit}>
+          Add Unit
+        </button>
+      </div>
+
+      {error && <div style={styles.fieldError}>{error}</div>}
+
+      <label style={styles.editField}>
+        <div style={{ fontSize: 12, opacity: 0.8 }}>VAT rate %</div>
+        <VatRateInput
+          value={band.vatRatePercent}
+          inheritedLabel="Category's rate"
+          onChange={(rate) => actions.setBandVatRate(band.id, rate)}
+        />
+      </label>
+
+      <div style={{ fontSize: 12, opacity: 0.8 }}>Asks for</div>
+      <ModifierGroupPicker
+        groups={modifierGroups}
+        value={band.modifierGroupIds}
+        onChange={(ids) => actions.setBandModifierGroups(band.id, ids)}
+      />
+
+      <div style={{ fontSize: 12, opacity: 0.8 }}>
+        {users.length ? `Used by: ${users.map((p) => p.name).join(", ")}` : "Not used by any product."}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import React from "react";
+
+const BAR = "rgba(80,200,120,0.75)";
+const COMPARE = "rgba(157,180,255,0.45)";
+
+/**
+ * A plain SVG bar chart, drawn here so the dashboard needs nothing from the network.
+ * bars: [{ label, value, compare }] where `compare` (optional) is drawn as a
+ * thinner bar beside each one, e.g. the same hour last week.
+ * Negative values (a refund-only hour) are drawn as empty.
+ */
+export default function BarChart({ bars, format = String, height = 160, compareLabel, valueLabel }) {
+  const slot = 24;
+  const top = 8;
+  const bottom = 18;
+  const plot = height - top - bottom;
+  const hasCompare = bars.some((b) => b.compare !== undefined);
+  const max = Math.max(1, ...bars.flatMap((b) => [b.value, b.compare ?? 0]));
+  const barHeight = (v) => (Math.max(0, v) / max) * plot;
+  // Label every bar when there's room, otherwise every few
+  const labelEvery = Math.ceil(bars.length / 12);
+
+  return (
+    <div style={{ display: "grid", gap: 4 }}>
+      <svg
+        viewBox={`0 0 ${bars.length * slot} ${height}`}
+        style={{ width: "100%", height: "auto", display: "block" }}
+        role="img"
+      >
+        <line x1={0} x2={bars.length * slot} y1={top + plot} y2={top + plot} stroke="currentColor" strokeOpacity={0.3} />
+        {bars.map((b, i) => {
+          const x = i * slot;
+          const h = barHeight(b.value);
+          const ch = hasCompare ? barHeight(b.compare ?? 0) : 0;
+          const title = hasCompare
+            ? `${b.label}: ${format(b.value)} (${compareLabel}: ${format(b.compare ?? 0)})`
+            : `${b.label}: ${format(b.value)}`;
+          return (
+            <g key={i}>
+              <title>{title}</title>
+              {hasCompare && <rect x={x + 3} y={top + plot - ch} width={7} height={ch} fill={COMPARE} />}
+              <rect x={x + (hasCompare ? 10 : 4)} y={top + plot - h} width={hasCompare ? 11 : 16} height={h} fill={BAR} />
+              {i % labelEvery === 0 && (
+                <text x={x + slot / 2} y={height - 4} fontSize={10} textAnchor="middle" fill="currentColor" opacity={0.7}>
+                  {b.label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      {hasCompare && (
+        <div style={{ display: "flex", gap: 12, fontSize: 12, opacity: 0.8 }}>
+          <span>
+            <span style={{ color: BAR }}>■</span> {valueLabel}
+          </span>
+          <span>
+            <span style={{ color: COMPARE }}>■</span> {compareLabel}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
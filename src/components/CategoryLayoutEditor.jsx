@@ -0,0 +1,154 @@
+import React from "react";
+import { styles } from "../styles.js";
+import VatRateInput from "./VatRateInput.jsx";
+
+/**
+ * Till screen layout (state.categories, see lib/layout.js): tab order, colours,
+ * hidden tabs, pinned items, default units and each category's VAT rate. Changes
+ * apply straight away, like the receipt settings, since each one is small and easy to put back.
+ */
+export default function CategoryLayoutEditor({
+  categories,
+  products,
+  unitsOf,
+  standardVatRate,
+  onMove,
+  onChange,
+  onRemove,
+}) {
+  const productById = new Map(products.map((p) => [p.id, p]));
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  return (
+    <div style={{ display: "grid", gap: 10 }}>
+      <div style={{ fontSize: 13, opacity: 0.8 }}>
+        Tabs show in this order. Pinned items go first on their tab, from any category. With a default unit, tapping a
+        product&apos;s name adds that unit.
+      </div>
+
+      {categories.map((c, i) => {
+        const own = products.filter((p) => p.category === c.name);
+        const units = Array.from(new Set(own.flatMap(unitsOf)));
+        const pinned = c.pinned.map((id) => productById.get(id)).filter(Boolean);
+        const pinnable = products.filter((p) => !c.pinned.includes(p.id)).sort(byName);
+
+        return (
+          <div key={c.name} style={{ ...styles.editCard, display: "grid", gap: 8, opacity: c.hidden ? 0.7 : 1 }}>
+            <div style={{ ...styles.totalRow, alignItems: "center" }}>
+              <div style={{ minWidth: 0 }}>
+                <div style={{ fontWeight: 900 }}>
+                  {c.color && <span style={{ color: c.color }}>● </span>}
+                  {c.name}
+                </div>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>
+                  {own.length ? `${own.length} product${own.length === 1 ? "" : "s"}` : "No products"}
+                  {c.hidden ? " • hidden" : ""}
+                </div>
+              </div>
+              <div style={{ display: "flex", gap: 8 }}>
+                <button style={styles.btn} onClick={() => onMove(c.name, -1)} disabled={i === 0} title="Move up">
+                  ↑
+                </button>
+                <button
+                  style={styles.btn}
+                  onClick={() => onMove(c.name, 1)}
+                  disabled={i === categories.length - 1}
+                  title="Move down"
+                >
+                  ↓
+                </button>
+                {!own.length && (
+                  <button style={styles.btnDanger} onClick={() => onRemove(c.name)}>
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "flex-end" }}>
+              <label style={styles.editField}>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>Colour</div>
+                <div style={{ display: "flex", gap: 6 }}>
+                  <input
+                    type="color"
+                    style={{ ...styles.input, width: 56, padding: 2 }}
+                    value={c.color || "#ffffff"}
+                    onChange={(e) => onChange(c.name, { color: e.target.value })}
+                  />
+                  {c.color && (
+                    <button style={styles.btn} onClick={() => onChange(c.name, { color: null })}>
+                      None
+                    </button>
+                  )}
+                </div>
+              </label>
+              <label style={styles.editField}>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>Default unit</div>
+                <select
+                  style={styles.input}
+                  value={c.defaultUnit ?? ""}
+                  onChange={(e) => onChange(c.name, { defaultUnit: e.target.value || null })}
+                >
+                  <option value="">None (tap a unit)</option>
+                  {c.defaultUnit && !units.includes(c.defaultUnit) && (
+                    <option value={c.defaultUnit}>{c.defaultUnit} (no product has it)</option>
+                  )}
+                  {units.map((u) => (
+                    <option key={u} value={u}>
+                      {u}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label style={styles.editField}>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>VAT rate %</div>
+                <VatRateInput
+                  value={c.vatRatePercent}
+                  inheritedLabel={`Standard (${standardVatRate}%)`}
+                  onChange={(rate) => onChange(c.name, { vatRatePercent: rate })}
+                />
+              </label>
+              <label style={{ display: "flex", gap: 6, alignItems: "center", paddingBottom: 10 }}>
+                <input
+                  type="checkbox"
+                  checked={c.hidden}
+                  onChange={(e) => onChange(c.name, { hidden: e.target.checked })}
+                />
+                Hide tab
+              </label>
+            </div>
+
+            <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+              <div style={{ fontSize: 12, opacity: 0.8 }}>Pinned:</div>
+              {pinned.length === 0 && <div style={{ fontSize: 12, opacity: 0.6 }}>nothing</div>}
+              {pinned.map((p) => (
+                <span key={p.id} style={styles.ruleTag}>
+                  {p.name}{" "}
+                  <button
+                    style={{ ...styles.trashBtn, padding: "0 4px" }}
+                    onClick={() => onChange(c.name, { pinned: c.pinned.filter((id) => id !== p.id) })}
+                    title={`Unpin ${p.name}`}
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+              <select
+                style={{ ...styles.input, width: "auto" }}
+                value=""
+                onChange={(e) => e.target.value && onChange(c.name, { pinned: [...c.pinned, e.target.value] })}
+              >
+                <option value="">Pin a product…</option>
+                {pinnable.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.name} ({p.category})
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import React, { useState } from "react";
+import { describeTarget, validateDeal } from "../lib/deals.js";
+import { formatPence, parsePounds, penceToInput, uid } from "../lib/helpers.js";
+import { styles } from "../styles.js";
+
+const TARGET_KINDS = [
+  ["category", "Any in category"],
+  ["products", "Any of these products"],
+  ["band", "Any in band"],
+];
+
+/**
+ * Mix-and-match deal definitions (state.deals).
+ * Product bundle deals ("3 for £7" on one product) still live on the product itself.
+ */
+export default function DealEditor({ deals, products, bands, productById, bandById, onSave, onDelete }) {
+  const [editingId, setEditingId] = useState(null); // deal id, "new" or null
+
+  const categories = Array.from(new Set(products.map((p) => p.category))).sort();
+  const options = {
+    category: categories.map((c) => [c, c]),
+    products: products.map((p) => [p.id, p.name]),
+    band: bands.map((b) => [b.id, b.name]),
+  };
+
+  const form = (deal) => (
+    <DealForm
+      key={deal?.id || "new"}
+      deal={deal}
+      deals={deals}
+      options={options}
+      onCancel={() => setEditingId(null)}
+      onSave={(d) => {
+        onSave(d, deal?.id || null);
+        setEditingId(null);
+      }}
+    />
+  );
+
+  return (
+    <div style={{ display: "grid", gap: 10 }}>
+      {deals.length === 0 && <div style={{ opacity: 0.7 }}>No mix-and-match deals yet.</div>}
+
+      {deals.map((d) =>
+        editingId === d.id ? (
+          form(d)
+        ) : (
+          <div key={d.id} style={{ ...styles.editCard, ...styles.totalRow, alignItems: "center" }}>
+            <div style={{ minWidth: 0 }}>
+              <div style={{ fontWeight: 900 }}>
+                {d.name} • {formatPence(d.pricePence)}
+              </div>
+              <div style={{ fontSize: 12, opacity: 0.8 }}>
+                {d.slots.map((s) => `${s.qty} × ${describeTarget(s.target, { productById, bandById })}`).join(" + ")}
+              </div>
+            </div>
+            <div style={{ display: "flex", gap: 8 }}>
+              <button style={styles.btn} onClick={() => setEditingId(d.id)} disabled={!!editingId}>
+                Edit
+              </button>
+              <button
+                style={styles.btnDanger}
+                disabled={!!editingId}
+                onClick={() => confirm(`Delete deal "${d.name}"?`) && onDelete(d.id)}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        )
+      )}
+
+      {editingId === "new" ? (
+        form(null)
+      ) : (
+        <div>
+          <button style={styles.btn} onClick={() => setEditingId("new")} disabled={!!editingId}>
+            Add Deal
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function DealForm({ deal, deals, options, onCancel, onSave }) {
+  const [name, setName] = useState(deal?.name || "");
+  const [price, setPrice] = useState(deal ? penceToInput(deal.pricePence) : "");
+  const [slots, setSlots] = useState(
+    () =>
+      deal?.slots.map((s) => ({ qty: String(s.qty), kind: s.target.kind, ids: s.target.ids, units: (s.target.units || []).join(", ") })) || [
+        { qty: "1", kind: "category", ids: [], units: "" },
+      ]
+  );
+  const [errors, setErrors] = useState({});
+
+  const setSlot = (i, patch) => setSlots((ss) => ss.map((s, j) => (j === i ? { ...s, ...patch } : s)));
+
+  function save() {
+    const next = {
+      id: deal?.id || `d-${uid()}`,
+      name: name.trim(),
+      pricePence: parsePounds(price),
+      slots: slots.map((s) => {
+        const units = s.units
+          .split(",")
+          .map((u) => u.trim())
+          .filter(Boolean);
+        return { qty: Number(s.qty), target: { kind: s.kind, ids: s.ids, ...(units.length ? { units } : {}) } };
+      }),
+    };
+    const found = validateDeal(next, { deals, originalId: deal?.id || null });
+    setErrors(found);
+    if (!Object.keys(found).length) onSave(next);
+  }
+
+  return (
+    <div style={{ ...styles.editCard, display: "grid", gap: 10 }}>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Deal name</div>
+          <input style={styles.input} value={name} onChange={(e) => setName(e.target.value)} />
+          {errors.name && <div style={styles.fieldError}>{errors.name}</div>}
+        </label>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Deal price</div>
+          <input style={styles.input} inputMode="decimal" value={price} onChange={(e) => setPrice(e.target.value)} />
+          {errors.pricePence && <div style={styles.fieldError}>{errors.pricePence}</div>}
+        </label>
+      </div>
+
+      {slots.map((s, i) => (
+        <div key={i} style={{ ...styles.editCard, display: "grid", gap: 8 }}>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <input
+              style={{ ...styles.input, width: 70 }}
+              inputMode="numeric"
+              value={s.qty}
+              onChange={(e) => setSlot(i, { qty: e.target.value.replace(/\D/g, "") })}
+              title="How many items this slot needs"
+            />
+            <span>×</span>
+            <select
+              style={{ ...styles.input, width: "auto" }}
+              value={s.kind}
+              onChange={(e) => setSlot(i, { kind: e.target.value, ids: [] })}
+            >
+              {TARGET_KINDS.map(([k, label]) => (
+                <option key={k} value={k}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <input
+              style={{ ...styles.input, width: 180 }}
+              placeholder="Units, e.g. Pint (optional)"
+              value={s.units}
+              onChange={(e) => setSlot(i, { units: e.target.value })}
+            />
+            <button
+              style={styles.trashBtn}
+              title="Remove slot"
+              onClick={() => setSlots((ss) => ss.filter((_, j) => j !== i))}
+            >
+              ×
+            </button>
+          </div>
+
+          <div style={{ display: "flex", gap: 10, flexWrap: "wrap", fontSize: 13 }}>
+            {options[s.kind].map(([value, label]) => (
+              <label key={value} style={styles.checkboxRow}>
+                <input
+                  type="checkbox"
+                  checked={s.ids.includes(value)}
+                  onChange={(e) =>
+                    setSlot(i, { ids: e.target.checked ? [...s.ids, value] : s.ids.filter((x) => x !== value) })
+                  }
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {errors.slots && <div style={styles.fieldError}>{errors.slots}</div>}
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+        <button
+          style={styles.btn}
+          onClick={() => setSlots((ss) => [...ss, { qty: "1", kind: "category", ids: [], units: "" }])}
+        >
+          Add Slot
+        </button>
+        <button style={styles.btnPrimary} onClick={save}>
+          Save Deal
+        </button>
+        <button style={styles.btn} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
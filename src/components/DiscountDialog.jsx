@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { DISCOUNT_KINDS, describeDiscount, validateDiscount } from "../lib/discounts.js";
+import { currencySymbol, parsePounds } from "../lib/helpers.js";
+import { styles } from "../styles.js";
+
+/**
+ * Pick a preset or enter a one-off discount for a line or the whole basket.
+ * `onApply({ name, kind, value })`; who gave it is added once it's authorised.
+ */
+export default function DiscountDialog({ title, presets, current, onApply, onRemove, onCancel }) {
+  const [kind, setKind] = useState("percent");
+  const [value, setValue] = useState("");
+  const [name, setName] = useState("");
+  const [error, setError] = useState(null);
+
+  function applyCustom(e) {
+    e.preventDefault();
+    const discount = {
+      name: name.trim() || "Manual discount",
+      kind,
+      value: kind === "percent" ? Number(value) : parsePounds(value),
+    };
+    const found = validateDiscount(discount);
+    const problem = found.value || found.kind || found.name;
+    if (problem) setError(problem);
+    else onApply(discount);
+  }
+
+  return (
+    <div style={styles.modalOverlay} onClick={onCancel}>
+      <div style={{ ...styles.modal, maxWidth: 460 }} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.modalHeader}>
+          <div style={{ fontWeight: 1000, fontSize: 18 }}>{title}</div>
+          <button style={styles.trashBtn} onClick={onCancel} title="Close">
+            ×
+          </button>
+        </div>
+
+        <div style={{ display: "grid", gap: 10 }}>
+          {current && (
+            <div style={{ ...styles.totalRow, alignItems: "center" }}>
+              <div>
+                Now: <b>{current.name}</b> ({describeDiscount(current)})
+              </div>
+              <button style={styles.btnDanger} onClick={onRemove}>
+                Remove
+              </button>
+            </div>
+          )}
+
+          {presets.length > 0 && (
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+              {presets.map((p) => (
+                <button key={p.id} style={styles.btn} onClick={() => onApply({ name: p.name, kind: p.kind, value: p.value })}>
+                  {p.name}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <form style={{ display: "grid", gap: 8 }} onSubmit={applyCustom}>
+            <div style={{ display: "flex", gap: 8 }}>
+              {Object.entries(DISCOUNT_KINDS).map(([k, label]) => (
+                <button
+                  key={k}
+                  type="button"
+                  style={{ ...styles.tab, ...(kind === k ? styles.tabActive : {}) }}
+                  onClick={() => setKind(k)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div style={{ display: "flex", gap: 8 }}>
+              <input
+                style={{ ...styles.input, width: 110 }}
+                inputMode="decimal"
+                placeholder={kind === "percent" ? "%" : currencySymbol()}
+                value={value}
+                onChange={(e) => {
+                  setValue(e.target.value);
+                  setError(null);
+                }}
+              />
+              <input
+                style={styles.input}
+                placeholder="Reason (optional)"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+              <button style={styles.btnPrimary} type="submit" disabled={!value.trim()}>
+                Apply
+              </button>
+            </div>
+            {error && <div style={styles.fieldError}>{error}</div>}
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import React, { useState } from "react";
+import { DISCOUNT_KINDS, describeDiscount, newDiscountPreset, validateDiscount } from "../lib/discounts.js";
+import { currencySymbol, parsePounds, penceToInput } from "../lib/helpers.js";
+import { styles } from "../styles.js";
+
+/** Preset discounts offered at the till (state.discountPresets). */
+export default function DiscountPresetEditor({ presets, onSave, onDelete }) {
+  const [editingId, setEditingId] = useState(null); // preset id, "new" or null
+
+  const form = (preset) => (
+    <PresetForm
+      key={preset?.id || "new"}
+      preset={preset}
+      onCancel={() => setEditingId(null)}
+      onSave={(next) => {
+        onSave(next, preset?.id || null);
+        setEditingId(null);
+      }}
+    />
+  );
+
+  return (
+    <div style={{ display: "grid", gap: 10 }}>
+      {presets.length === 0 && <div style={{ opacity: 0.7 }}>No presets; staff can still enter one-off discounts.</div>}
+
+      {presets.map((p) =>
+        editingId === p.id ? (
+          form(p)
+        ) : (
+          <div key={p.id} style={{ ...styles.editCard, ...styles.totalRow, alignItems: "center" }}>
+            <div style={{ minWidth: 0 }}>
+              <div style={{ fontWeight: 900 }}>{p.name}</div>
+              <div style={{ fontSize: 12, opacity: 0.8 }}>{describeDiscount(p)}</div>
+            </div>
+            <div style={{ display: "flex", gap: 8 }}>
+              <button style={styles.btn} onClick={() => setEditingId(p.id)} disabled={!!editingId}>
+                Edit
+              </button>
+              <button
+                style={styles.btnDanger}
+                onClick={() => confirm(`Delete preset "${p.name}"?`) && onDelete(p.id)}
+                disabled={!!editingId}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        )
+      )}
+
+      {editingId === "new" ? (
+        form(null)
+      ) : (
+        <div>
+          <button style={styles.btn} onClick={() => setEditingId("new")} disabled={!!editingId}>
+            Add Preset
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function PresetForm({ preset, onCancel, onSave }) {
+  const [draft, setDraft] = useState(() => {
+    const base = preset || newDiscountPreset();
+    return { ...base, value: base.kind === "fixed" ? penceToInput(base.value) : String(base.value) };
+  });
+  const [errors, setErrors] = useState({});
+
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+
+  function save() {
+    const next = {
+      ...draft,
+      name: draft.name.trim(),
+      value: draft.kind === "fixed" ? parsePounds(draft.value) : Number(draft.value),
+    };
+    const found = validateDiscount(next);
+    setErrors(found);
+    if (!Object.keys(found).length) onSave(next);
+  }
+
+  return (
+    <div style={{ ...styles.editCard, display: "grid", gap: 10 }}>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Name</div>
+          <input
+            style={styles.input}
+            value={draft.name}
+            placeholder="e.g. Staff 25%"
+            onChange={(e) => set({ name: e.target.value })}
+          />
+          {errors.name && <div style={styles.fieldError}>{errors.name}</div>}
+        </label>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Kind</div>
+          <select style={styles.input} value={draft.kind} onChange={(e) => set({ kind: e.target.value })}>
+            {Object.entries(DISCOUNT_KINDS).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>
+            {draft.kind === "fixed" ? `Amount (${currencySymbol()})` : "Percent"}
+          </div>
+          <input
+            style={styles.input}
+            inputMode="decimal"
+            value={draft.value}
+            onChange={(e) => set({ value: e.target.value })}
+          />
+          {errors.value && <div style={styles.fieldError}>{errors.value}</div>}
+        </label>
+      </div>
+      <div style={{ display: "flex", gap: 8 }}>
+        <button style={styles.btnPrimary} onClick={save}>
+          Save
+        </button>
+        <button style={styles.btn} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import React, { useEffect, useState } from "react";
+import DrawerSummary from "./DrawerSummary.jsx";
+import { DRAWER_KINDS, PAY_OUT_REASONS, buildDrawerMove, recordDrawerMove } from "../lib/drawer.js";
+import { currencySymbol, formatPence, parsePounds } from "../lib/helpers.js";
+import { buildXReport } from "../lib/reports.js";
+import { styles } from "../styles.js";
+
+/**
+ * The cash drawer for the open period: what should be in it, the opening float,
+ * pay-ins, pay-outs and safe drops. Anything but the float needs the cashDrawer
+ * permission (see lib/staff.js).
+ */
+export default function DrawerModal({ staff, authorise, refreshKey, onClose }) {
+  const [drawer, setDrawer] = useState(null);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [kind, setKind] = useState(null); // movement being entered, or null
+  const [amount, setAmount] = useState("");
+  const [reason, setReason] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    buildXReport()
+      .then((x) => {
+        if (cancelled) return;
+        setDrawer(x.drawer);
+        setError(null);
+      })
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey, reloadKey]);
+
+  function start(next) {
+    setKind(next);
+    setAmount("");
+    setReason("");
+  }
+
+  async function save(e) {
+    e.preventDefault();
+    const amountPence = parsePounds(amount);
+    if (!(amountPence > 0)) {
+      alert("Enter an amount.");
+      return;
+    }
+    if (kind !== "float" && !reason.trim()) {
+      alert("Enter a reason.");
+      return;
+    }
+    // Anyone opening up can count in the float; cash leaving or joining the drawer otherwise needs approval
+    const authorisedBy = kind === "float" ? null : await authorise("cashDrawer", DRAWER_KINDS[kind].label);
+    if (kind !== "float" && !authorisedBy) return;
+
+    setBusy(true);
+    try {
+      await recordDrawerMove(buildDrawerMove({ kind, amountPence, reason: reason.trim(), staff, authorisedBy }));
+      setKind(null);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      alert(`${DRAWER_KINDS[kind].label} NOT saved: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // One float per period; topping it up later is a pay-in
+  const kinds = Object.keys(DRAWER_KINDS).filter((k) => k !== "float" || !drawer?.floatPence);
+
+  return (
+    <div style={styles.modalOverlay} onClick={onClose}>
+      <div style={{ ...styles.modal, maxWidth: 560 }} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.modalHeader}>
+          <div style={{ fontWeight: 1000, fontSize: 18 }}>Cash Drawer</div>
+          <button style={styles.trashBtn} onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        {error && <div style={{ color: "#ff9a9a" }}>Could not load the drawer: {error}</div>}
+        {!drawer && !error && <div style={{ opacity: 0.7 }}>Loading…</div>}
+
+        {drawer && (
+          <div style={{ display: "grid", gap: 12 }}>
+            {!drawer.floatPence && (
+              <div style={{ ...styles.editCard, borderColor: "rgba(250,204,21,0.45)" }}>
+                No opening float recorded for this period yet.
+              </div>
+            )}
+
+            <div style={styles.editCard}>
+              <DrawerSummary drawer={drawer} />
+            </div>
+
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+              {kinds.map((k) => (
+                <button
+                  key={k}
+                  style={{ ...styles.tab, ...(kind === k ? styles.tabActive : {}) }}
+                  onClick={() => start(kind === k ? null : k)}
+                >
+                  {DRAWER_KINDS[k].label}
+                </button>
+              ))}
+            </div>
+
+            {kind && (
+              <form style={{ ...styles.editCard, display: "grid", gap: 8 }} onSubmit={save}>
+                {kind === "payOut" && (
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                    {PAY_OUT_REASONS.map((r) => (
+                      <button
+                        key={r}
+                        type="button"
+                        style={{ ...styles.tab, ...(reason === r ? styles.tabActive : {}) }}
+                        onClick={() => setReason(r)}
+                      >
+                        {r}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <div style={{ display: "flex", gap: 8 }}>
+                  <input
+                    style={{ ...styles.input, width: 110 }}
+                    inputMode="decimal"
+                    placeholder={currencySymbol()}
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                    autoFocus
+                  />
+                  <input
+                    style={styles.input}
+                    placeholder={kind === "float" ? "Note (optional)" : "Reason"}
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                  />
+                  <button style={styles.btnPrimary} type="submit" disabled={busy || !amount.trim()}>
+                    Save
+                  </button>
+                </div>
+                {kind === "safeDrop" && drawer.expectedPence > 0 && (
+                  <div style={{ fontSize: 12, opacity: 0.75 }}>
+                    {formatPence(drawer.expectedPence)} should be in the drawer before this drop.
+                  </div>
+                )}
+              </form>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
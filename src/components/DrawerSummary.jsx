@@ -0,0 +1,61 @@
+import React from "react";
+import { DRAWER_KINDS } from "../lib/drawer.js";
+import { formatDateTime, formatPence } from "../lib/helpers.js";
+
+/**
+ * How the expected drawer balance adds up, and the movements behind it
+ * (a summariseDrawer() result). Inherits colours so it prints, like ReportView.
+ */
+export default function DrawerSummary({ drawer }) {
+  const rows = [
+    ["Opening float", drawer.floatPence],
+    ["Cash takings (net of change and refunds)", drawer.cashSalesPence],
+    ["Pay-ins", drawer.payInPence],
+    ["Pay-outs", -drawer.payOutPence],
+    ["Safe drops", -drawer.safeDropPence],
+  ];
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+        <tbody>
+          {rows.map(([label, pence]) => (
+            <tr key={label}>
+              <td style={cell}>{label}</td>
+              <td className="num" style={num}>
+                {formatPence(pence)}
+              </td>
+            </tr>
+          ))}
+          <tr style={{ fontWeight: 900 }}>
+            <td style={cell}>Expected in drawer</td>
+            <td className="num" style={num}>
+              {formatPence(drawer.expectedPence)}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+
+      {drawer.moves.length > 0 && (
+        <div style={{ display: "grid", gap: 4, fontSize: 14 }}>
+          {drawer.moves.map((m) => (
+            <div key={m.id} style={{ display: "flex", justifyContent: "space-between", gap: 12 }}>
+              <div style={{ minWidth: 0 }}>
+                {DRAWER_KINDS[m.kind].label}
+                {m.reason ? `: ${m.reason}` : ""}
+                <div style={{ fontSize: 12, opacity: 0.8 }}>
+                  {formatDateTime(m.createdAt)} • {m.staffName || "Unknown"}
+                  {m.authorisedBy && m.authorisedBy.id !== m.staffId ? ` (authorised by ${m.authorisedBy.name})` : ""}
+                </div>
+              </div>
+              <div style={{ whiteSpace: "nowrap" }}>{formatPence(DRAWER_KINDS[m.kind].sign * m.amountPence)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const cell = { padding: "2px 4px" };
+const num = { ...cell, textAlign: "right", whiteSpace: "nowrap" };
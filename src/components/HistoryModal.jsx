@@ -0,0 +1,188 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { isRefund, listSales, saleMatches } from "../lib/journal.js";
+import { formatDateTime, formatPence } from "../lib/helpers.js";
+import { describeModifier } from "../lib/modifiers.js";
+import ReceiptActions from "./ReceiptActions.jsx";
+import RefundPanel from "./RefundPanel.jsx";
+import { TENDER_LABELS, saleTenders } from "../lib/tenders.js";
+import { styles } from "../styles.js";
+
+/**
+ * Browsable, searchable view of the sale journal.
+ * Records are shown exactly as they were written; a refund is a new negative record.
+ */
+export default function HistoryModal({ onClose, refreshKey, venue, onRefund }) {
+  const [sales, setSales] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [query, setQuery] = useState("");
+  const [day, setDay] = useState(""); // yyyy-mm-dd, empty = all
+  const [openId, setOpenId] = useState(null);
+  const [refundingId, setRefundingId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const range = day ? dayRange(day) : {};
+
+    listSales(range)
+      .then((rows) => {
+        if (cancelled) return;
+        setSales(rows);
+        setError(null);
+      })
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [day, refreshKey]);
+
+  const visible = useMemo(() => sales.filter((s) => saleMatches(s, query)), [sales, query]);
+  const visibleTotal = visible.reduce((sum, s) => sum + s.totalPence, 0);
+
+  return (
+    <div style={styles.modalOverlay} onClick={onClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.modalHeader}>
+          <div style={{ fontWeight: 1000, fontSize: 18 }}>Sales History</div>
+          <button style={styles.trashBtn} onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        <div style={styles.searchRow}>
+          <input
+            style={styles.input}
+            placeholder="Search item, category, deal, tab or sale ID"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <input
+            style={{ ...styles.input, width: 170 }}
+            type="date"
+            value={day}
+            onChange={(e) => setDay(e.target.value)}
+          />
+        </div>
+
+        <div style={{ ...styles.totalRow, marginBottom: 10, opacity: 0.85 }}>
+          <div>
+            {visible.length} sale{visible.length === 1 ? "" : "s"}
+          </div>
+          <div style={{ fontWeight: 900 }}>{formatPence(visibleTotal)}</div>
+        </div>
+
+        {error && <div style={{ color: "#ff9a9a" }}>Could not load history: {error}</div>}
+        {loading && !error && <div style={{ opacity: 0.7 }}>Loading…</div>}
+        {!loading && !error && visible.length === 0 && <div style={{ opacity: 0.7 }}>No sales found.</div>}
+
+        <div style={{ display: "grid", gap: 8 }}>
+          {visible.map((sale) => {
+            const open = openId === sale.id;
+            const itemCount = sale.lines.reduce((n, l) => n + l.qty, 0);
+
+            return (
+              <div key={sale.id} style={styles.editCard}>
+                <button style={styles.historyRow} onClick={() => setOpenId(open ? null : sale.id)}>
+                  <div style={{ minWidth: 0 }}>
+                    <div style={{ fontWeight: 900 }}>{formatDateTime(sale.createdAt)}</div>
+                    <div style={{ fontSize: 12, opacity: 0.75 }}>
+                      {isRefund(sale)
+                        ? `Refund of #${sale.refundOf}`
+                        : `${itemCount} item${itemCount === 1 ? "" : "s"} • #${sale.id}`}
+                      {sale.tabName ? ` • Tab: ${sale.tabName}` : ""}
+                      {sale.staffName ? ` • ${sale.staffName}` : ""}
+                    </div>
+                  </div>
+                  <div style={{ fontWeight: 1000 }}>{formatPence(sale.totalPence)}</div>
+                </button>
+
+                {open && (
+                  <div style={{ marginTop: 8, display: "grid", gap: 4, fontSize: 14 }}>
+                    {sale.lines.map((l, i) => (
+                      <div key={i} style={styles.totalRow}>
+                        <div style={{ minWidth: 0 }}>
+                          {l.qty} × {l.label} @ {formatPence(l.pricePence)}
+                          {l.priceRule && <span style={styles.ruleTag}>{l.priceRule}</span>}
+                          {l.modifiers?.length > 0 && (
+                            <div style={{ fontSize: 12, opacity: 0.8 }}>+ {l.modifiers.map(describeModifier).join(", ")}</div>
+                          )}
+                          {l.dealNote && <div style={{ fontSize: 12, opacity: 0.8 }}>Deal: {l.dealNote}</div>}
+                          {l.discountNote && (
+                            <div style={{ fontSize: 12, opacity: 0.8 }}>
+                              Discount: {l.discountNote} (−{formatPence(Math.abs(l.discountPence))})
+                            </div>
+                          )}
+                        </div>
+                        <div>{formatPence(l.totalPence)}</div>
+                      </div>
+                    ))}
+                    {(sale.deals || []).map((d, i) => (
+                      <div key={`deal-${i}`} style={{ fontSize: 12, opacity: 0.8 }}>
+                        {d.name}
+                        {d.count > 1 ? ` × ${d.count}` : ""} (−{formatPence(d.savingPence)}):{" "}
+                        {d.uses.map((u) => `${u.qty} × ${u.label}`).join(", ")}
+                      </div>
+                    ))}
+                    {(sale.discounts || []).map((d, i) => (
+                      <div key={`discount-${i}`} style={{ fontSize: 12, opacity: 0.8 }}>
+                        {d.name}
+                        {d.label ? ` on ${d.label}` : " on the basket"} (−{formatPence(d.amountPence)})
+                        {d.authorisedBy ? ` • by ${d.authorisedBy.name}` : ""}
+                      </div>
+                    ))}
+                    <div style={{ ...styles.totalRow, borderTop: "1px solid rgba(255,255,255,0.12)", paddingTop: 6 }}>
+                      <div>Total</div>
+                      <div style={{ fontWeight: 900 }}>{formatPence(sale.totalPence)}</div>
+                    </div>
+                    {saleTenders(sale).map((t, i) => (
+                      <div key={i} style={styles.totalRow}>
+                        <div>{TENDER_LABELS[t.method] || t.method}</div>
+                        <div>{formatPence(t.amountPence)}</div>
+                      </div>
+                    ))}
+                    <div style={styles.totalRow}>
+                      <div>Change</div>
+                      <div>{formatPence(sale.changePence)}</div>
+                    </div>
+                    {isRefund(sale) && (
+                      <div style={{ fontSize: 12, opacity: 0.8 }}>
+                        Reason: {sale.reason}
+                        {sale.authorisedBy ? ` • Authorised by ${sale.authorisedBy.name}` : ""}
+                      </div>
+                    )}
+                    <ReceiptActions sale={sale} venue={venue} reprint />
+                    {!isRefund(sale) &&
+                      (refundingId === sale.id ? (
+                        <RefundPanel
+                          sale={sale}
+                          cashRoundingPence={venue.money.cashRoundingPence}
+                          onRefund={onRefund}
+                          onClose={() => setRefundingId(null)}
+                        />
+                      ) : (
+                        <div>
+                          <button style={styles.btnDanger} onClick={() => setRefundingId(sale.id)}>
+                            Refund…
+                          </button>
+                        </div>
+                      ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function dayRange(day) {
+  const start = new Date(`${day}T00:00:00`);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  end.setMilliseconds(-1);
+  return { from: start.toISOString(), to: end.toISOString() };
+}
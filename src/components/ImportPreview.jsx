@@ -0,0 +1,77 @@
+import React from "react";
+import { styles } from "../styles.js";
+
+const CHANGE_LABELS = { added: "New", removed: "Removed", changed: "Changed" };
+
+/**
+ * Dry run of a config import: the problems that stop it, or what it would change.
+ * Nothing is written until Apply.
+ */
+export default function ImportPreview({ fileName, errors, diff, onApply, onClose }) {
+  return (
+    <div style={styles.modalOverlay} onClick={onClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.modalHeader}>
+          <div style={{ fontWeight: 1000, fontSize: 18 }}>Import {fileName}</div>
+          <button style={styles.trashBtn} onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        {errors.length > 0 ? (
+          <div style={{ display: "grid", gap: 8 }}>
+            <div style={{ fontWeight: 900 }}>This file can't be imported:</div>
+            {errors.map((e, i) => (
+              <div key={i} style={{ fontSize: 14 }}>
+                {e.path && <code style={{ opacity: 0.8 }}>{e.path}</code>} <span style={styles.fieldError}>{e.message}</span>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div style={{ display: "grid", gap: 12 }}>
+            <DiffSection title="Bands" rows={diff.bands} />
+            <DiffSection title="Products" rows={diff.products} />
+            <div style={{ fontSize: 14 }}>
+              {diff.counts.map((c) => (
+                <div key={c.label} style={styles.totalRow}>
+                  <div>{c.label}</div>
+                  <div>{c.from === c.to ? c.to : `${c.from} → ${c.to}`}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+          {errors.length === 0 && (
+            <button style={styles.btnPrimary} onClick={onApply}>
+              Apply Import
+            </button>
+          )}
+          <button style={styles.btn} onClick={onClose}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function DiffSection({ title, rows }) {
+  return (
+    <div>
+      <div style={{ fontWeight: 900, marginBottom: 4 }}>{title}</div>
+      {rows.length === 0 && <div style={{ fontSize: 14, opacity: 0.7 }}>No changes.</div>}
+      {rows.map((r) => (
+        <div key={`${r.change}:${r.id}`} style={{ fontSize: 14, marginBottom: 4 }}>
+          <b>{CHANGE_LABELS[r.change]}:</b> {r.name || r.id}
+          {r.details.map((d) => (
+            <div key={d} style={{ fontSize: 12, opacity: 0.8, marginLeft: 12 }}>
+              {d}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
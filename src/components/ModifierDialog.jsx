@@ -0,0 +1,90 @@
+import React, { useState } from "react";
+import { formatPence } from "../lib/helpers.js";
+import { describeModifier, missingChoice, modifierPence, pickedModifiers } from "../lib/modifiers.js";
+import { styles } from "../styles.js";
+
+/**
+ * Asks for an item's modifiers as it's rung up (see lib/modifiers.js).
+ * `onAdd(modifiers)` with the picked options. When every group is required and
+ * single-choice, the last answer adds the item straight away.
+ */
+export default function ModifierDialog({ title, groups, basePence, onAdd, onCancel }) {
+  const [picked, setPicked] = useState(() => new Set());
+  const [error, setError] = useState(null);
+
+  const modifiers = pickedModifiers(groups, picked);
+  const eachPence = basePence + modifierPence({ modifiers });
+
+  function add(next = picked) {
+    const problem = missingChoice(groups, next);
+    if (problem) setError(problem);
+    else onAdd(pickedModifiers(groups, next));
+  }
+
+  function toggle(group, option) {
+    const next = new Set(picked);
+    if (next.has(option.id)) next.delete(option.id);
+    else {
+      if (!group.multiple) group.options.forEach((o) => next.delete(o.id));
+      next.add(option.id);
+    }
+    setPicked(next);
+    setError(null);
+    // Tapping the last answer is enough when nothing else could still be picked
+    const settled = groups.every((g) => !g.multiple && g.required && g.options.some((o) => next.has(o.id)));
+    if (settled) add(next);
+  }
+
+  return (
+    <div style={styles.modalOverlay} onClick={onCancel}>
+      <div style={{ ...styles.modal, maxWidth: 520 }} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.modalHeader}>
+          <div style={{ fontWeight: 1000, fontSize: 18 }}>{title}</div>
+          <button style={styles.trashBtn} onClick={onCancel} title="Close">
+            ×
+          </button>
+        </div>
+
+        <div style={{ display: "grid", gap: 12 }}>
+          {groups.map((g) => (
+            <div key={g.id} style={{ display: "grid", gap: 6 }}>
+              <div style={{ fontSize: 12, opacity: 0.8 }}>
+                {g.name}
+                {g.required ? "" : " (optional)"}
+                {g.multiple ? " • pick any" : ""}
+              </div>
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                {g.options.map((o) => (
+                  <button
+                    key={o.id}
+                    style={{ ...styles.tab, ...(picked.has(o.id) ? styles.tabActive : {}) }}
+                    onClick={() => toggle(g, o)}
+                  >
+                    {describeModifier(o)}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          {error && <div style={styles.fieldError}>{error}</div>}
+
+          <div style={{ ...styles.totalRow, alignItems: "center" }}>
+            <div style={{ opacity: 0.85 }}>
+              {formatPence(eachPence)} each
+              {modifiers.length > 0 && ` • ${modifiers.map((m) => m.name).join(", ")}`}
+            </div>
+            <div style={{ display: "flex", gap: 8 }}>
+              <button style={styles.btn} onClick={onCancel}>
+                Cancel
+              </button>
+              <button style={styles.btnPrimary} onClick={() => add()}>
+                Add
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,216 @@
+import React, { useState } from "react";
+import { parsePounds, penceToInput } from "../lib/helpers.js";
+import { describeModifier, newModifierGroup, newModifierOption, validateModifierGroup } from "../lib/modifiers.js";
+import { MEASURES } from "../lib/stock.js";
+import { styles } from "../styles.js";
+
+/**
+ * Modifier groups (state.modifierGroups). Which bands and products ask for a
+ * group is set on the band or product itself.
+ */
+export default function ModifierGroupEditor({ groups, bands, products, stockItems, onSave, onDelete }) {
+  const [editingId, setEditingId] = useState(null); // group id, "new" or null
+
+  const usedBy = (id) => [
+    ...bands.filter((b) => (b.modifierGroupIds || []).includes(id)).map((b) => b.name),
+    ...products.filter((p) => (p.modifierGroupIds || []).includes(id)).map((p) => p.name),
+  ];
+
+  const form = (group) => (
+    <GroupForm
+      key={group?.id || "new"}
+      group={group}
+      groups={groups}
+      stockItems={stockItems}
+      onCancel={() => setEditingId(null)}
+      onSave={(next) => {
+        onSave(next, group?.id || null);
+        setEditingId(null);
+      }}
+    />
+  );
+
+  return (
+    <div style={{ display: "grid", gap: 10 }}>
+      {groups.length === 0 && <div style={{ opacity: 0.7 }}>No modifier groups yet.</div>}
+
+      {groups.map((g) =>
+        editingId === g.id ? (
+          form(g)
+        ) : (
+          <div key={g.id} style={{ ...styles.editCard, ...styles.totalRow, alignItems: "center" }}>
+            <div style={{ minWidth: 0 }}>
+              <div style={{ fontWeight: 900 }}>
+                {g.name}
+                {g.required ? "" : " (optional)"}
+              </div>
+              <div style={{ fontSize: 12, opacity: 0.8 }}>{g.options.map(describeModifier).join(" / ")}</div>
+              <div style={{ fontSize: 12, opacity: 0.8 }}>
+                {usedBy(g.id).length ? `Asked by: ${usedBy(g.id).join(", ")}` : "Not asked by any band or product."}
+              </div>
+            </div>
+            <div style={{ display: "flex", gap: 8 }}>
+              <button style={styles.btn} onClick={() => setEditingId(g.id)} disabled={!!editingId}>
+                Edit
+              </button>
+              <button
+                style={styles.btnDanger}
+                onClick={() =>
+                  confirm(`Delete modifier group "${g.name}"? Bands and products stop asking for it.`) && onDelete(g.id)
+                }
+                disabled={!!editingId}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        )
+      )}
+
+      {editingId === "new" ? (
+        form(null)
+      ) : (
+        <div>
+          <button style={styles.btn} onClick={() => setEditingId("new")} disabled={!!editingId}>
+            Add Group
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function GroupForm({ group, groups, stockItems, onCancel, onSave }) {
+  const [draft, setDraft] = useState(() => {
+    const base = group || newModifierGroup();
+    return {
+      ...base,
+      options: base.options.map((o) => ({
+        ...o,
+        price: penceToInput(o.pricePence),
+        stockItemId: o.stock?.itemId || "",
+        amount: o.stock ? String(o.stock.amount) : "",
+      })),
+    };
+  });
+  const [errors, setErrors] = useState({});
+
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const setOption = (i, patch) => set({ options: draft.options.map((o, j) => (j === i ? { ...o, ...patch } : o)) });
+
+  function save() {
+    const next = {
+      id: draft.id,
+      name: draft.name.trim(),
+      required: draft.required,
+      multiple: draft.multiple,
+      options: draft.options.map(({ id, name, price, stockItemId, amount }) => ({
+        id,
+        name: name.trim(),
+        pricePence: parsePounds(price),
+        ...(stockItemId ? { stock: { itemId: stockItemId, amount: Number(amount) } } : {}),
+      })),
+    };
+    const found = validateModifierGroup(next, { groups, stockItems });
+    setErrors(found);
+    if (!Object.keys(found).length) onSave(next);
+  }
+
+  return (
+    <div style={{ ...styles.editCard, display: "grid", gap: 10 }}>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "flex-end" }}>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Name</div>
+          <input
+            style={styles.input}
+            value={draft.name}
+            placeholder="e.g. Mixer"
+            onChange={(e) => set({ name: e.target.value })}
+          />
+          {errors.name && <div style={styles.fieldError}>{errors.name}</div>}
+        </label>
+        <label style={{ display: "flex", gap: 6, alignItems: "center", paddingBottom: 10 }}>
+          <input type="checkbox" checked={draft.required} onChange={(e) => set({ required: e.target.checked })} />
+          Must pick one
+        </label>
+        <label style={{ display: "flex", gap: 6, alignItems: "center", paddingBottom: 10 }}>
+          <input type="checkbox" checked={draft.multiple} onChange={(e) => set({ multiple: e.target.checked })} />
+          Can pick several
+        </label>
+      </div>
+
+      <div style={{ display: "grid", gap: 8 }}>
+        {draft.options.map((o, i) => {
+          const item = stockItems.find((s) => s.id === o.stockItemId);
+          return (
+            <div key={o.id} style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+              <input
+                style={{ ...styles.input, width: 150 }}
+                placeholder="Option (e.g. Coke)"
+                value={o.name}
+                onChange={(e) => setOption(i, { name: e.target.value })}
+              />
+              <input
+                style={{ ...styles.input, width: 90 }}
+                placeholder={penceToInput(0)}
+                inputMode="decimal"
+                value={o.price}
+                onChange={(e) => setOption(i, { price: e.target.value })}
+              />
+              <select
+                style={{ ...styles.input, width: "auto" }}
+                value={o.stockItemId}
+                onChange={(e) => setOption(i, { stockItemId: e.target.value })}
+              >
+                <option value="">No stock</option>
+                {stockItems.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.name}
+                  </option>
+                ))}
+              </select>
+              {item && (
+                <input
+                  style={{ ...styles.input, width: 90 }}
+                  inputMode="decimal"
+                  placeholder={MEASURES[item.measure]}
+                  title={`${MEASURES[item.measure]} used per item`}
+                  value={o.amount}
+                  onChange={(e) => setOption(i, { amount: e.target.value })}
+                />
+              )}
+              <button
+                style={styles.trashBtn}
+                title="Remove option"
+                onClick={() => set({ options: draft.options.filter((_, j) => j !== i) })}
+              >
+                ×
+              </button>
+            </div>
+          );
+        })}
+        <div>
+          <button
+            style={styles.btn}
+            onClick={() => {
+              const option = { ...newModifierOption(), price: penceToInput(0), stockItemId: "", amount: "" };
+              set({ options: [...draft.options, option] });
+            }}
+          >
+            Add Option
+          </button>
+        </div>
+        {errors.options && <div style={styles.fieldError}>{errors.options}</div>}
+      </div>
+
+      <div style={{ display: "flex", gap: 8 }}>
+        <button style={styles.btnPrimary} onClick={save}>
+          Save
+        </button>
+        <button style={styles.btn} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
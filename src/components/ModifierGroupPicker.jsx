@@ -0,0 +1,27 @@
+import React from "react";
+import { styles } from "../styles.js";
+
+/** Which modifier groups a band or product asks for, as toggles in the order they'll be asked. */
+export default function ModifierGroupPicker({ groups, value, onChange }) {
+  if (!groups.length) return <div style={{ fontSize: 12, opacity: 0.7 }}>No modifier groups set up.</div>;
+  const ids = value || [];
+
+  return (
+    <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+      {groups.map((g) => {
+        const on = ids.includes(g.id);
+        return (
+          <button
+            key={g.id}
+            type="button"
+            style={{ ...styles.tab, ...(on ? styles.tabActive : {}) }}
+            onClick={() => onChange(on ? ids.filter((id) => id !== g.id) : [...ids, g.id])}
+          >
+            {on ? "✓ " : ""}
+            {g.name}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import React, { useState } from "react";
+import { formatPence } from "../lib/helpers.js";
+import { CASH_ROUNDING, MONEY_PRESETS, validateMoney } from "../lib/money.js";
+import { styles } from "../styles.js";
+
+// Amount lists are typed as "5 10 20 50"; either decimal separator is accepted since the separator may be changing too
+const listToText = (pence) => pence.map((p) => String(p / 100)).join(" ");
+const textToList = (text) =>
+  text
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((t) => Math.round(Number(t.replace(",", ".")) * 100));
+
+/**
+ * The venue's currency and cash handling (venue.money, see lib/money.js).
+ * Saved as a whole, since the format, rounding and denominations only make sense together.
+ */
+export default function MoneyEditor({ money, onChange }) {
+  const toDraft = (m) => ({ ...m, quick: listToText(m.quickCashPence), denoms: listToText(m.denominationsPence) });
+  const [draft, setDraft] = useState(() => toDraft(money));
+  const [errors, setErrors] = useState({});
+
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+
+  function save() {
+    const next = {
+      currency: draft.currency.trim().toUpperCase(),
+      locale: draft.locale.trim(),
+      decimalSeparator: draft.decimalSeparator,
+      cashRoundingPence: draft.cashRoundingPence,
+      quickCashPence: textToList(draft.quick),
+      denominationsPence: textToList(draft.denoms).sort((a, b) => b - a),
+    };
+    const found = validateMoney(next);
+    setErrors(found);
+    if (!Object.keys(found).length) onChange(next);
+  }
+
+  const field = (label, key, placeholder) => (
+    <label style={styles.editField}>
+      <div style={{ fontSize: 12, opacity: 0.8 }}>{label}</div>
+      <input
+        style={styles.input}
+        value={draft[key]}
+        placeholder={placeholder}
+        onChange={(e) => set({ [key]: e.target.value })}
+      />
+    </label>
+  );
+
+  return (
+    <div style={{ ...styles.editCard, display: "grid", gap: 10 }}>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+        <div style={{ fontSize: 12, opacity: 0.8 }}>Start from</div>
+        {Object.keys(MONEY_PRESETS).map((code) => (
+          <button
+            key={code}
+            style={styles.btn}
+            onClick={() => {
+              setDraft(toDraft(MONEY_PRESETS[code]));
+              setErrors({});
+            }}
+          >
+            {code}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+        {field("Currency (ISO code)", "currency", "GBP")}
+        {field("Locale", "locale", "en-GB")}
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Decimal separator when typing</div>
+          <select
+            style={styles.input}
+            value={draft.decimalSeparator}
+            onChange={(e) => set({ decimalSeparator: e.target.value })}
+          >
+            <option value=".">Point (3.40)</option>
+            <option value=",">Comma (3,40)</option>
+          </select>
+        </label>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Cash rounding</div>
+          <select
+            style={styles.input}
+            value={draft.cashRoundingPence}
+            onChange={(e) => set({ cashRoundingPence: Number(e.target.value) })}
+          >
+            {Object.entries(CASH_ROUNDING).map(([step, label]) => (
+              <option key={step} value={step}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {errors.currency && <div style={styles.fieldError}>{errors.currency}</div>}
+
+      <label style={styles.editField}>
+        <div style={{ fontSize: 12, opacity: 0.8 }}>Quick-cash buttons (amounts separated by spaces)</div>
+        <input style={styles.input} value={draft.quick} onChange={(e) => set({ quick: e.target.value })} />
+        {errors.quickCashPence && <div style={styles.fieldError}>{errors.quickCashPence}</div>}
+      </label>
+      <label style={styles.editField}>
+        <div style={{ fontSize: 12, opacity: 0.8 }}>Notes and coins counted at cash-up</div>
+        <input style={styles.input} value={draft.denoms} onChange={(e) => set({ denoms: e.target.value })} />
+        {errors.denominationsPence && <div style={styles.fieldError}>{errors.denominationsPence}</div>}
+      </label>
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <button style={styles.btnPrimary} onClick={save}>
+          Save Currency
+        </button>
+        <div style={{ fontSize: 12, opacity: 0.8 }}>
+          Saved: {money.currency} ({money.locale}), e.g. {formatPence(123456)}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,263 @@
+import React, { useState } from "react";
+import { formatPence, parsePounds, penceToInput } from "../lib/helpers.js";
+import { WEEKDAYS, describeSchedule, newPriceRule, validatePriceRule } from "../lib/priceRules.js";
+import { styles } from "../styles.js";
+
+const CHANGE_KINDS = [
+  ["band", "Band prices"],
+  ["product", "Product prices"],
+  ["category", "% off category"],
+];
+
+/**
+ * Timed price rules (state.priceRules), e.g. weekday happy hour.
+ * `activeIds` marks the rules in effect on the till clock right now.
+ */
+export default function PriceRuleEditor({ rules, activeIds, products, bands, onSave, onDelete }) {
+  const [editingId, setEditingId] = useState(null); // rule id, "new" or null
+
+  const form = (rule) => (
+    <RuleForm
+      key={rule?.id || "new"}
+      rule={rule}
+      products={products}
+      bands={bands}
+      onCancel={() => setEditingId(null)}
+      onSave={(r) => {
+        onSave(r, rule?.id || null);
+        setEditingId(null);
+      }}
+    />
+  );
+
+  const targetName = (c) =>
+    c.kind === "band"
+      ? bands.find((b) => b.id === c.id)?.name || c.id
+      : c.kind === "product"
+        ? products.find((p) => p.id === c.id)?.name || c.id
+        : c.id;
+
+  const describeChange = (c) =>
+    c.kind === "category"
+      ? `${c.percentOff}% off ${c.id}`
+      : `${targetName(c)}: ${Object.entries(c.pricesPence)
+          .map(([u, p]) => `${u} ${formatPence(p)}`)
+          .join(", ")}`;
+
+  return (
+    <div style={{ display: "grid", gap: 10 }}>
+      {rules.length === 0 && <div style={{ opacity: 0.7 }}>No timed prices yet.</div>}
+
+      {rules.map((r) =>
+        editingId === r.id ? (
+          form(r)
+        ) : (
+          <div key={r.id} style={{ ...styles.editCard, ...styles.totalRow, alignItems: "center" }}>
+            <div style={{ minWidth: 0 }}>
+              <div style={{ fontWeight: 900 }}>
+                {r.name} • {describeSchedule(r)}
+                {activeIds.has(r.id) && <span style={styles.ruleTag}>On now</span>}
+              </div>
+              <div style={{ fontSize: 12, opacity: 0.8 }}>{r.changes.map(describeChange).join(" • ")}</div>
+            </div>
+            <div style={{ display: "flex", gap: 8 }}>
+              <button style={styles.btn} onClick={() => setEditingId(r.id)} disabled={!!editingId}>
+                Edit
+              </button>
+              <button
+                style={styles.btnDanger}
+                disabled={!!editingId}
+                onClick={() => confirm(`Delete "${r.name}"?`) && onDelete(r.id)}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        )
+      )}
+
+      {editingId === "new" ? (
+        form(null)
+      ) : (
+        <div>
+          <button style={styles.btn} onClick={() => setEditingId("new")} disabled={!!editingId}>
+            Add Timed Price
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RuleForm({ rule, products, bands, onCancel, onSave }) {
+  const [draft, setDraft] = useState(() => rule || newPriceRule());
+  const [changes, setChanges] = useState(() =>
+    draft.changes.map((c) => ({
+      kind: c.kind,
+      id: c.id,
+      prices: Object.fromEntries(Object.entries(c.pricesPence || {}).map(([u, p]) => [u, penceToInput(p)])),
+      percent: c.percentOff ? String(c.percentOff) : "",
+    }))
+  );
+  const [errors, setErrors] = useState({});
+
+  const categories = Array.from(new Set(products.map((p) => p.category))).sort();
+  const targets = {
+    band: bands.map((b) => [b.id, b.name]),
+    product: products.map((p) => [p.id, p.name]),
+    category: categories.map((c) => [c, c]),
+  };
+
+  function unitsFor(change) {
+    if (change.kind === "band") return bands.find((b) => b.id === change.id)?.units || [];
+    if (change.kind !== "product") return [];
+    const p = products.find((x) => x.id === change.id);
+    if (!p) return [];
+    return p.units || bands.find((b) => b.id === p.bandId)?.units || [];
+  }
+
+  const setChange = (i, patch) => setChanges((cs) => cs.map((c, j) => (j === i ? { ...c, ...patch } : c)));
+
+  function toggleDay(day) {
+    setDraft((d) => ({ ...d, days: d.days.includes(day) ? d.days.filter((x) => x !== day) : [...d.days, day] }));
+  }
+
+  function save() {
+    const next = {
+      ...draft,
+      name: draft.name.trim(),
+      changes: changes.map((c) => {
+        if (c.kind === "category") return { kind: c.kind, id: c.id, percentOff: Number(c.percent) };
+        const pricesPence = {};
+        for (const u of unitsFor(c)) {
+          // Blank means "leave this unit at its normal price"
+          if ((c.prices[u] || "").trim()) pricesPence[u] = parsePounds(c.prices[u]);
+        }
+        return { kind: c.kind, id: c.id, pricesPence };
+      }),
+    };
+    const found = validatePriceRule(next);
+    setErrors(found);
+    if (!Object.keys(found).length) onSave(next);
+  }
+
+  return (
+    <div style={{ ...styles.editCard, display: "grid", gap: 10 }}>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Name</div>
+          <input style={styles.input} value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+          {errors.name && <div style={styles.fieldError}>{errors.name}</div>}
+        </label>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>From</div>
+          <input
+            style={styles.input}
+            type="time"
+            value={draft.start}
+            onChange={(e) => setDraft({ ...draft, start: e.target.value })}
+          />
+        </label>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Until</div>
+          <input
+            style={styles.input}
+            type="time"
+            value={draft.end}
+            onChange={(e) => setDraft({ ...draft, end: e.target.value })}
+          />
+        </label>
+      </div>
+      {errors.time && <div style={styles.fieldError}>{errors.time}</div>}
+
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", fontSize: 13 }}>
+        {WEEKDAYS.map(([day, label]) => (
+          <label key={day} style={styles.checkboxRow}>
+            <input type="checkbox" checked={draft.days.includes(day)} onChange={() => toggleDay(day)} />
+            {label}
+          </label>
+        ))}
+      </div>
+      {errors.days && <div style={styles.fieldError}>{errors.days}</div>}
+
+      {changes.map((c, i) => (
+        <div key={i} style={{ ...styles.editCard, display: "grid", gap: 8 }}>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <select
+              style={{ ...styles.input, width: "auto" }}
+              value={c.kind}
+              onChange={(e) => setChange(i, { kind: e.target.value, id: "", prices: {}, percent: "" })}
+            >
+              {CHANGE_KINDS.map(([k, label]) => (
+                <option key={k} value={k}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <select
+              style={{ ...styles.input, width: "auto" }}
+              value={c.id}
+              onChange={(e) => setChange(i, { id: e.target.value, prices: {} })}
+            >
+              <option value="">Choose…</option>
+              {targets[c.kind].map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            {c.kind === "category" && (
+              <input
+                style={{ ...styles.input, width: 90 }}
+                inputMode="decimal"
+                placeholder="% off"
+                value={c.percent}
+                onChange={(e) => setChange(i, { percent: e.target.value })}
+              />
+            )}
+            <button
+              style={styles.trashBtn}
+              title="Remove change"
+              onClick={() => setChanges((cs) => cs.filter((_, j) => j !== i))}
+            >
+              ×
+            </button>
+          </div>
+
+          {c.kind !== "category" && c.id && (
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+              {unitsFor(c).map((u) => (
+                <label key={u} style={styles.editField}>
+                  <div style={{ fontSize: 12, opacity: 0.8 }}>{u}</div>
+                  <input
+                    style={styles.input}
+                    inputMode="decimal"
+                    placeholder="Normal price"
+                    value={c.prices[u] || ""}
+                    onChange={(e) => setChange(i, { prices: { ...c.prices, [u]: e.target.value } })}
+                  />
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+      {errors.changes && <div style={styles.fieldError}>{errors.changes}</div>}
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+        <button
+          style={styles.btn}
+          onClick={() => setChanges((cs) => [...cs, { kind: "band", id: "", prices: {}, percent: "" }])}
+        >
+          Add Price Change
+        </button>
+        <button style={styles.btnPrimary} onClick={save}>
+          Save
+        </button>
+        <button style={styles.btn} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,408 @@
+import React, { useMemo, useState } from "react";
+import { isOverridePriced, normaliseProduct, suggestProductId, validateProduct } from "../lib/catalog.js";
+import { validateCodes } from "../lib/codes.js";
+import { parsePounds, penceToInput } from "../lib/helpers.js";
+import { MEASURES, validateStockLink } from "../lib/stock.js";
+import { styles } from "../styles.js";
+import ModifierGroupPicker from "./ModifierGroupPicker.jsx";
+import VatRateInput from "./VatRateInput.jsx";
+
+/**
+ * Create / edit / delete products from the admin modal.
+ * Saving goes through validateProduct so bad IDs or missing bands never reach state.
+ */
+export default function ProductEditor({ products, bands, stockItems, modifierGroups, inheritedVatRate, onSave, onDelete }) {
+  const [editing, setEditing] = useState(null); // { originalId, draft } | null
+  const [filter, setFilter] = useState("");
+
+  const categories = useMemo(() => Array.from(new Set(products.map((p) => p.category))).sort(), [products]);
+  const bandName = (id) => bands.find((b) => b.id === id)?.name || `Missing band: ${id}`;
+
+  const q = filter.trim().toLowerCase();
+  const visible = products
+    .filter((p) => !q || p.name.toLowerCase().includes(q) || p.category.toLowerCase().includes(q))
+    .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+
+  function startNew() {
+    setEditing({
+      originalId: null,
+      draft: {
+        id: "",
+        name: "",
+        category: categories[0] || "",
+        mode: "band",
+        bandId: bands[0]?.id || "",
+        rows: [],
+        stockItemId: "",
+        usage: {},
+        plu: {},
+        barcodes: {},
+      },
+    });
+  }
+
+  function startEdit(p) {
+    const override = isOverridePriced(p);
+    // Barcodes are edited as one comma-separated list per unit
+    const barcodes = {};
+    for (const b of p.barcodes || []) barcodes[b.unit] = barcodes[b.unit] ? `${barcodes[b.unit]}, ${b.code}` : b.code;
+    setEditing({
+      originalId: p.id,
+      draft: {
+        ...p,
+        mode: override ? "override" : "band",
+        bandId: p.bandId || bands[0]?.id || "",
+        rows: override ? p.units.map((u) => ({ unit: u, price: penceToInput(p.pricesPence[u]) })) : [],
+        stockItemId: p.stock?.itemId || "",
+        usage: Object.fromEntries(Object.entries(p.stock?.usage || {}).map(([u, n]) => [u, String(n)])),
+        plu: { ...p.plu },
+        barcodes,
+      },
+    });
+  }
+
+  return (
+    <div style={{ display: "grid", gap: 10 }}>
+      <div style={styles.searchRow}>
+        <input
+          style={styles.input}
+          placeholder="Filter products"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+        />
+        <button style={styles.btn} onClick={startNew} disabled={!!editing}>
+          Add Product
+        </button>
+      </div>
+
+      {editing && editing.originalId === null && (
+        <ProductForm
+          key="new"
+          editing={editing}
+          products={products}
+          bands={bands}
+          stockItems={stockItems}
+          modifierGroups={modifierGroups}
+          categories={categories}
+          inheritedVatRate={inheritedVatRate}
+          onCancel={() => setEditing(null)}
+          onSave={(product) => {
+            onSave(product, null);
+            setEditing(null);
+          }}
+        />
+      )}
+
+      {visible.map((p) =>
+        editing?.originalId === p.id ? (
+          <ProductForm
+            key={p.id}
+            editing={editing}
+            products={products}
+            bands={bands}
+            stockItems={stockItems}
+            modifierGroups={modifierGroups}
+            categories={categories}
+            inheritedVatRate={inheritedVatRate}
+            onCancel={() => setEditing(null)}
+            onSave={(product) => {
+              onSave(product, p.id);
+              setEditing(null);
+            }}
+          />
+        ) : (
+          <div key={p.id} style={{ ...styles.editCard, ...styles.totalRow, alignItems: "center" }}>
+            <div style={{ minWidth: 0 }}>
+              <div style={{ fontWeight: 900 }}>{p.name}</div>
+              <div style={{ fontSize: 12, opacity: 0.8 }}>
+                {p.category} • {isOverridePriced(p) ? `Own prices (${p.units.join(", ")})` : bandName(p.bandId)} • {p.id}
+                {p.plu ? ` • PLU ${Object.values(p.plu).join(", ")}` : ""}
+              </div>
+            </div>
+            <div style={{ display: "flex", gap: 8 }}>
+              <button style={styles.btn} onClick={() => startEdit(p)} disabled={!!editing}>
+                Edit
+              </button>
+              <button
+                style={styles.btnDanger}
+                disabled={!!editing}
+                onClick={() => {
+                  if (confirm(`Delete "${p.name}"? Sales already recorded keep their copy.`)) onDelete(p.id);
+                }}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
+function ProductForm({
+  editing,
+  products,
+  bands,
+  stockItems,
+  modifierGroups,
+  categories,
+  inheritedVatRate,
+  onCancel,
+  onSave,
+}) {
+  const [draft, setDraft] = useState(editing.draft);
+  const [errors, setErrors] = useState({});
+  const isNew = editing.originalId === null;
+
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const setRow = (i, patch) => set({ rows: draft.rows.map((r, j) => (j === i ? { ...r, ...patch } : r)) });
+
+  function switchMode(mode) {
+    if (mode === draft.mode) return;
+    if (mode === "override" && draft.rows.length === 0) {
+      // Start from the band's current units and prices so nothing has to be retyped
+      const band = bands.find((b) => b.id === draft.bandId);
+      const rows = band
+        ? band.units.map((u) => ({ unit: u, price: penceToInput(band.pricesPence[u]) }))
+        : [{ unit: "One", price: "" }];
+      set({ mode, rows });
+      return;
+    }
+    set({ mode });
+  }
+
+  const saleUnits =
+    draft.mode === "override"
+      ? draft.rows.map((r) => r.unit.trim()).filter(Boolean)
+      : bands.find((b) => b.id === draft.bandId)?.units || [];
+  const stockItem = stockItems.find((i) => i.id === draft.stockItemId) || null;
+  const bandIds = draft.mode === "band" ? bands.find((b) => b.id === draft.bandId)?.modifierGroupIds || [] : [];
+  const bandGroups = modifierGroups.filter((g) => bandIds.includes(g.id));
+
+  function toProduct() {
+    const { mode, rows, stockItemId, usage, plu, barcodes, modifierGroupIds, ...rest } = draft;
+    const id = isNew && !rest.id.trim() ? suggestProductId(rest.name, new Set(products.map((p) => p.id))) : rest.id;
+    const stock = stockItemId
+      ? {
+          itemId: stockItemId,
+          // Blank usage means that unit doesn't draw stock down
+          usage: Object.fromEntries(saleUnits.filter((u) => (usage[u] || "").trim()).map((u) => [u, Number(usage[u])])),
+        }
+      : undefined;
+    const codes = {
+      plu: Object.fromEntries(saleUnits.filter((u) => (plu[u] || "").trim()).map((u) => [u, plu[u].trim()])),
+      barcodes: saleUnits.flatMap((u) =>
+        (barcodes[u] || "")
+          .split(/[\s,]+/)
+          .filter(Boolean)
+          .map((code) => ({ code, unit: u }))
+      ),
+    };
+    if (!Object.keys(codes.plu).length) codes.plu = undefined;
+    if (!codes.barcodes.length) codes.barcodes = undefined;
+    codes.modifierGroupIds = modifierGroupIds?.length ? modifierGroupIds : undefined;
+    if (mode === "override") {
+      const units = rows.map((r) => r.unit.trim());
+      const pricesPence = Object.fromEntries(rows.map((r) => [r.unit.trim(), parsePounds(r.price)]));
+      return { ...rest, ...codes, id, units, pricesPence, bandId: undefined, stock };
+    }
+    return { ...rest, ...codes, id, units: undefined, pricesPence: undefined, stock };
+  }
+
+  function save() {
+    const product = toProduct();
+    const found = {
+      ...validateProduct(product, { products, bands, originalId: editing.originalId }),
+      ...validateStockLink(product.stock, { stockItems, units: saleUnits }),
+      ...validateCodes(product, { others: products.filter((p) => p.id !== editing.originalId), units: saleUnits }),
+    };
+    setErrors(found);
+    if (Object.keys(found).length) return;
+    onSave(normaliseProduct(product));
+  }
+
+  return (
+    <div style={{ ...styles.editCard, display: "grid", gap: 10 }}>
+      <div style={{ fontWeight: 900 }}>{isNew ? "New product" : `Edit ${editing.draft.name}`}</div>
+
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+        <Field label="Name" error={errors.name}>
+          <input style={styles.input} value={draft.name} onChange={(e) => set({ name: e.target.value })} />
+        </Field>
+        <Field label="Category" error={errors.category}>
+          <input
+            style={styles.input}
+            list="product-categories"
+            value={draft.category}
+            onChange={(e) => set({ category: e.target.value })}
+          />
+          <datalist id="product-categories">
+            {categories.map((c) => (
+              <option key={c} value={c} />
+            ))}
+          </datalist>
+        </Field>
+        <Field label={isNew ? "ID (blank = from name)" : "ID"} error={errors.id}>
+          <input style={styles.input} value={draft.id} onChange={(e) => set({ id: e.target.value })} />
+        </Field>
+      </div>
+
+      <div style={{ display: "flex", gap: 8 }}>
+        {[
+          ["band", "Band price"],
+          ["override", "Own prices"],
+        ].map(([mode, label]) => (
+          <button
+            key={mode}
+            style={{ ...styles.tab, ...(draft.mode === mode ? styles.tabActive : {}) }}
+            onClick={() => switchMode(mode)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {draft.mode === "band" ? (
+        <Field label="Band" error={errors.bandId}>
+          <select style={styles.input} value={draft.bandId} onChange={(e) => set({ bandId: e.target.value })}>
+            {bands.map((b) => (
+              <option key={b.id} value={b.id}>
+                {b.name} ({b.units.join(" / ")})
+              </option>
+            ))}
+          </select>
+        </Field>
+      ) : (
+        <div style={{ display: "grid", gap: 8 }}>
+          {draft.rows.map((r, i) => (
+            <div key={i} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+              <input
+                style={styles.input}
+                placeholder="Unit (e.g. Pint)"
+                value={r.unit}
+                onChange={(e) => setRow(i, { unit: e.target.value })}
+              />
+              <input
+                style={{ ...styles.input, width: 120 }}
+                placeholder={penceToInput(0)}
+                inputMode="decimal"
+                value={r.price}
+                onChange={(e) => setRow(i, { price: e.target.value })}
+              />
+              <button
+                style={styles.trashBtn}
+                title="Remove unit"
+                onClick={() => set({ rows: draft.rows.filter((_, j) => j !== i) })}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <div>
+            <button style={styles.btn} onClick={() => set({ rows: [...draft.rows, { unit: "", price: "" }] })}>
+              Add Unit
+            </button>
+          </div>
+          {(errors.units || errors.prices) && <div style={styles.fieldError}>{errors.units || errors.prices}</div>}
+        </div>
+      )}
+
+      <Field label="VAT rate %" error={errors.vatRatePercent}>
+        <VatRateInput
+          value={draft.vatRatePercent}
+          inheritedLabel={`Inherit (${inheritedVatRate(toProduct())}%)`}
+          onChange={(rate) => set({ vatRatePercent: rate ?? undefined })}
+        />
+      </Field>
+
+      <Field label="Stock item" error={errors.stock}>
+        <select style={styles.input} value={draft.stockItemId} onChange={(e) => set({ stockItemId: e.target.value })}>
+          <option value="">Not stock-tracked</option>
+          {stockItems.map((i) => (
+            <option key={i.id} value={i.id}>
+              {i.name}
+            </option>
+          ))}
+        </select>
+      </Field>
+      {stockItem && (
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+          {saleUnits.map((u) => (
+            <Field key={u} label={`${u} uses (${MEASURES[stockItem.measure]})`}>
+              <input
+                style={{ ...styles.input, width: 120 }}
+                inputMode="decimal"
+                placeholder="0"
+                value={draft.usage[u] || ""}
+                onChange={(e) => set({ usage: { ...draft.usage, [u]: e.target.value } })}
+              />
+            </Field>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: "grid", gap: 6 }}>
+        <div style={{ fontSize: 12, opacity: 0.8 }}>
+          Modifiers to ask for
+          {bandGroups.length > 0 && ` (as well as the band's: ${bandGroups.map((g) => g.name).join(", ")})`}
+        </div>
+        <ModifierGroupPicker
+          groups={modifierGroups.filter((g) => !bandGroups.includes(g))}
+          value={draft.modifierGroupIds}
+          onChange={(ids) => set({ modifierGroupIds: ids })}
+        />
+      </div>
+
+      <div style={{ display: "grid", gap: 8 }}>
+        {saleUnits.map((u) => (
+          <div key={u} style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+            <Field label={`${u} PLU`}>
+              <input
+                style={{ ...styles.input, width: 100 }}
+                inputMode="numeric"
+                placeholder="e.g. 101"
+                value={draft.plu[u] || ""}
+                onChange={(e) => set({ plu: { ...draft.plu, [u]: e.target.value } })}
+              />
+            </Field>
+            <Field label={`${u} barcodes (scan or type, comma-separated)`}>
+              <input
+                style={styles.input}
+                inputMode="numeric"
+                value={draft.barcodes[u] || ""}
+                // A scanner ends with Enter; keep the next scan on the same unit
+                onKeyDown={(e) => {
+                  if (e.key !== "Enter") return;
+                  e.preventDefault();
+                  set({ barcodes: { ...draft.barcodes, [u]: `${e.target.value.replace(/[\s,]+$/, "")}, ` } });
+                }}
+                onChange={(e) => set({ barcodes: { ...draft.barcodes, [u]: e.target.value } })}
+              />
+            </Field>
+          </div>
+        ))}
+        {(errors.plu || errors.barcodes) && <div style={styles.fieldError}>{errors.plu || errors.barcodes}</div>}
+      </div>
+
+      <div style={{ display: "flex", gap: 8 }}>
+        <button style={styles.btnPrimary} onClick={save}>
+          Save
+        </button>
+        <button style={styles.btn} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function Field({ label, error, children }) {
+  return (
+    <label style={styles.editField}>
+      <div style={{ fontSize: 12, opacity: 0.8 }}>{label}</div>
+      {children}
+      {error && <div style={styles.fieldError}>{error}</div>}
+    </label>
+  );
+}
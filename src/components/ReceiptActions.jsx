@@ -0,0 +1,26 @@
+import React from "react";
+import { buildReceipt, printReceipt, receiptEscPos, sendEscPos } from "../lib/receipts.js";
+import { styles } from "../styles.js";
+
+/** Print / send-to-printer buttons for one completed sale. Reprints are marked on the receipt. */
+export default function ReceiptActions({ sale, venue, reprint = false }) {
+  async function escPos() {
+    try {
+      await sendEscPos(receiptEscPos(buildReceipt(sale, venue, { reprint })), `receipt-${sale.id}.bin`);
+    } catch (err) {
+      // Closing the printer picker isn't an error worth shouting about
+      if (err.name !== "NotFoundError") alert(`Receipt NOT sent: ${err.message}`);
+    }
+  }
+
+  return (
+    <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+      <button style={styles.btn} onClick={() => printReceipt(sale, venue, { reprint })}>
+        {reprint ? "Reprint Receipt" : "Print Receipt"}
+      </button>
+      <button style={styles.btn} onClick={escPos} title="Send to a thermal receipt printer (ESC/POS)">
+        Thermal Printer
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useEffect, useState } from "react";
+import { formatPence } from "../lib/helpers.js";
+import { listRefundsFor, refundPaidPence, refundPence, refundedQuantities } from "../lib/journal.js";
+import { TENDER_LABELS, TENDER_METHODS, saleTenders } from "../lib/tenders.js";
+import { styles } from "../styles.js";
+
+/**
+ * Refund some or all of a past sale. Lines already refunded can't be refunded
+ * again; `onRefund(sale, { quantities, refunds, method, reason })` writes the
+ * record and resolves true once it's saved.
+ */
+export default function RefundPanel({ sale, cashRoundingPence, onRefund, onClose }) {
+  const [refunds, setRefunds] = useState(null);
+  const [quantities, setQuantities] = useState({});
+  // Pay back the way it was mostly paid
+  const [method, setMethod] = useState(
+    () => saleTenders(sale).reduce((a, b) => (b.amountPence > a.amountPence ? b : a), { method: "cash", amountPence: 0 }).method
+  );
+  const [reason, setReason] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [loadKey, setLoadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    listRefundsFor(sale.id)
+      .then((rows) => !cancelled && setRefunds(rows))
+      .catch((err) => alert(`Could not load earlier refunds: ${err.message}`));
+    return () => {
+      cancelled = true;
+    };
+  }, [sale.id, loadKey]);
+
+  if (!refunds) return <div style={{ opacity: 0.7 }}>Loading…</div>;
+
+  const already = refundedQuantities(refunds);
+  const left = (i) => sale.lines[i].qty - (already.get(i) || 0);
+  const totalPence = Object.entries(quantities).reduce(
+    (sum, [i, qty]) => sum + refundPence(sale.lines[i], already.get(Number(i)) || 0, qty),
+    0
+  );
+  const setQty = (i, qty) => setQuantities((q) => ({ ...q, [i]: Math.max(0, Math.min(left(i), qty)) }));
+
+  async function submit() {
+    if (!Object.values(quantities).some(Boolean)) return;
+    if (!reason.trim()) {
+      alert("Enter a reason for the refund.");
+      return;
+    }
+    setBusy(true);
+    const ok = await onRefund(sale, { quantities, refunds, method, reason: reason.trim() });
+    setBusy(false);
+    if (ok) {
+      setQuantities({});
+      setReason("");
+      setLoadKey((k) => k + 1);
+    }
+  }
+
+  return (
+    <div style={{ ...styles.editCard, display: "grid", gap: 8 }}>
+      <div style={{ ...styles.totalRow, alignItems: "center" }}>
+        <div style={{ fontWeight: 900 }}>Refund</div>
+        <button style={styles.btn} onClick={onClose}>
+          Cancel
+        </button>
+      </div>
+
+      {sale.lines.map((l, i) =>
+        left(i) > 0 ? (
+          <div key={i} style={{ ...styles.totalRow, alignItems: "center" }}>
+            <div style={{ minWidth: 0 }}>
+              {l.label}
+              {l.modifiers?.length > 0 && ` + ${l.modifiers.map((m) => m.name).join(", ")}`}
+              <div style={{ fontSize: 12, opacity: 0.75 }}>
+                {left(i)} of {l.qty} refundable
+              </div>
+            </div>
+            <div style={styles.qtyBox}>
+              <button style={styles.qtyBtn} onClick={() => setQty(i, (quantities[i] || 0) - 1)}>
+                -
+              </button>
+              <div style={{ width: 24, textAlign: "center", fontWeight: 900 }}>{quantities[i] || 0}</div>
+              <button style={styles.qtyBtn} onClick={() => setQty(i, (quantities[i] || 0) + 1)}>
+                +
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div key={i} style={{ fontSize: 12, opacity: 0.6 }}>
+            {l.label}: fully refunded
+          </div>
+        )
+      )}
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+        {TENDER_METHODS.map((m) => (
+          <button key={m} style={{ ...styles.tab, ...(method === m ? styles.tabActive : {}) }} onClick={() => setMethod(m)}>
+            {TENDER_LABELS[m]}
+          </button>
+        ))}
+      </div>
+      <input style={styles.input} value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Reason" />
+      <div>
+        <button
+          style={styles.btnDanger}
+          onClick={submit}
+          disabled={busy || !Object.values(quantities).some(Boolean)}
+        >
+          Refund {formatPence(refundPaidPence(totalPence, method, cashRoundingPence))} by {TENDER_LABELS[method].toLowerCase()}
+        </button>
+      </div>
+    </div>
+  );
+}
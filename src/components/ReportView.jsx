@@ -0,0 +1,292 @@
+import React from "react";
+import DrawerSummary from "./DrawerSummary.jsx";
+import { formatDateTime, formatPence } from "../lib/helpers.js";
+import { overShortLabel } from "../lib/reports.js";
+import { TENDER_LABELS } from "../lib/tenders.js";
+
+/**
+ * Renders an X report or a closed Z report.
+ * Only inherits colours so the same markup works in the modal and on paper
+ * (see printElement in lib/printing.js).
+ */
+export default function ReportView({ report }) {
+  const { summary } = report;
+  const isZ = report.kind !== "X";
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <div>
+        <div style={{ fontWeight: 1000, fontSize: 18 }}>
+          {isZ ? `Z Report #${report.number}` : `X Report (period #${report.number}, still open)`}
+        </div>
+        <div style={{ fontSize: 12, opacity: 0.8 }}>
+          From {formatDateTime(report.openedAt)} to {formatDateTime(isZ ? report.closedAt : report.takenAt)}
+          {report.closedBy ? ` • Closed by ${report.closedBy.name}` : ""}
+        </div>
+      </div>
+
+      <ReportTable
+        rows={[
+          ["Sales", summary.saleCount],
+          ["Items", summary.itemCount],
+          ["Takings", formatPence(summary.grossPence)],
+          ...(summary.refundCount ? [[`Refunds given (${summary.refundCount})`, formatPence(summary.refundPence)]] : []),
+          ["Deal discounts given", formatPence(summary.dealDiscountPence)],
+          ...(summary.manualDiscountPence !== undefined
+            ? [["Manual discounts given", formatPence(summary.manualDiscountPence)]]
+            : []),
+          // Reports from before drawer tracking expected exactly the cash taken
+          [report.drawer ? "Cash takings" : "Cash expected in drawer", formatPence(summary.cashExpectedPence)],
+          ...(summary.cashRoundingPence
+            ? [["Cash rounding (in cash takings)", formatPence(summary.cashRoundingPence)]]
+            : []),
+          ...(report.openTabs
+            ? [[`Open tabs, not settled (${report.openTabs.count})`, formatPence(report.openTabs.totalPence)]]
+            : []),
+        ]}
+      />
+
+      {report.openTabs?.count > 0 && (
+        <div style={{ fontSize: 14 }}>Still open: {report.openTabs.names.join(", ")}</div>
+      )}
+
+      {report.drawer && (
+        <Section title="Cash drawer">
+          <DrawerSummary drawer={report.drawer} />
+        </Section>
+      )}
+
+      {isZ && (
+        <Section title="Cash-up">
+          <ReportTable
+            rows={[
+              ...Object.entries(report.cashCount)
+                .filter(([, n]) => Number(n) > 0)
+                .sort((a, b) => Number(b[0]) - Number(a[0]))
+                .map(([denom, n]) => [`${formatPence(Number(denom))} × ${n}`, formatPence(Number(denom) * n)]),
+              ["Counted", formatPence(report.countedPence)],
+              ["Expected", formatPence(report.expectedPence)],
+              [overShortLabel(report.overShortPence), formatPence(Math.abs(report.overShortPence))],
+            ]}
+          />
+        </Section>
+      )}
+
+      <Section title="By payment method">
+        <GroupTable
+          qtyLabel="Sales"
+          rows={summary.byMethod.map((r) => [TENDER_LABELS[r.method] || r.method, r.qty, r.totalPence])}
+        />
+      </Section>
+
+      {summary.byStaff && (
+        <Section title="By staff">
+          <GroupTable qtyLabel="Sales" rows={summary.byStaff.map((r) => [r.name, r.qty, r.totalPence])} />
+        </Section>
+      )}
+
+      {summary.byDiscount?.length > 0 && (
+        <Section title="Manual discounts">
+          <GroupTable qtyLabel="Given" rows={summary.byDiscount.map((r) => [r.name, r.qty, r.totalPence])} />
+        </Section>
+      )}
+
+      {report.voids && (
+        <Section title="Voids & refunds by staff">
+          <VoidsTable voids={report.voids} />
+        </Section>
+      )}
+
+      {report.voids?.entries.length > 0 && (
+        <Section title="Void & refund log">
+          <div style={{ display: "grid", gap: 4, fontSize: 14 }}>
+            {report.voids.entries.map((e, i) => (
+              <div key={i} style={{ display: "flex", justifyContent: "space-between", gap: 12 }}>
+                <div style={{ minWidth: 0 }}>
+                  {e.kind === "void" ? "Void" : "Refund"}: {e.items}
+                  <div style={{ fontSize: 12, opacity: 0.8 }}>
+                    {formatDateTime(e.createdAt)} • {e.staffName}
+                    {e.authorisedBy && e.authorisedBy !== e.staffName ? ` (authorised by ${e.authorisedBy})` : ""}
+                    {e.reason ? ` • ${e.reason}` : ""}
+                  </div>
+                </div>
+                <div style={{ whiteSpace: "nowrap" }}>{formatPence(e.totalPence)}</div>
+              </div>
+            ))}
+          </div>
+        </Section>
+      )}
+
+      {/* Z reports closed before VAT was tracked have no breakdown */}
+      {summary.vat && (
+        <Section title="VAT">
+          <VatTable rows={summary.vat} />
+        </Section>
+      )}
+
+      <Section title="By category">
+        <GroupTable rows={summary.byCategory.map((r) => [r.category, r.qty, r.totalPence])} />
+      </Section>
+
+      <Section title="By band">
+        <GroupTable rows={summary.byBand.map((r) => [r.name, r.qty, r.totalPence])} />
+      </Section>
+
+      <Section title="By product / unit">
+        <GroupTable rows={summary.byProduct.map((r) => [r.label, r.qty, r.totalPence])} />
+      </Section>
+    </div>
+  );
+}
+
+function Section({ title, children }) {
+  return (
+    <div>
+      <div style={{ fontWeight: 900, marginBottom: 4 }}>{title}</div>
+      {children}
+    </div>
+  );
+}
+
+const cell = { padding: "2px 4px" };
+const num = { ...cell, textAlign: "right", whiteSpace: "nowrap" };
+
+function ReportTable({ rows }) {
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+      <tbody>
+        {rows.map(([label, value], i) => (
+          <tr key={i}>
+            <td style={cell}>{label}</td>
+            <td className="num" style={num}>
+              {value}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function VoidsTable({ voids }) {
+  if (!voids.byStaff.length) return <div style={{ fontSize: 14, opacity: 0.7 }}>No voids or refunds.</div>;
+
+  const rows = [...voids.byStaff, { ...voids, name: "Total" }];
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+      <thead>
+        <tr style={{ opacity: 0.75 }}>
+          <th style={{ ...cell, textAlign: "left" }}></th>
+          <th className="num" style={num}>
+            Voids
+          </th>
+          <th className="num" style={num}>
+            Value
+          </th>
+          <th className="num" style={num}>
+            Refunds
+          </th>
+          <th className="num" style={num}>
+            Value
+          </th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((r, i) => (
+          <tr key={i} style={i === rows.length - 1 ? { fontWeight: 800 } : undefined}>
+            <td style={cell}>{r.name}</td>
+            <td className="num" style={num}>
+              {r.voidCount}
+            </td>
+            <td className="num" style={num}>
+              {formatPence(r.voidPence)}
+            </td>
+            <td className="num" style={num}>
+              {r.refundCount}
+            </td>
+            <td className="num" style={num}>
+              {formatPence(r.refundPence)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function VatTable({ rows }) {
+  if (!rows.length) return <div style={{ fontSize: 14, opacity: 0.7 }}>Nothing sold.</div>;
+
+  const money = (pence) => (pence === null ? "–" : formatPence(pence));
+  const sum = (field) => (rows.some((r) => r[field] === null) ? null : rows.reduce((t, r) => t + r[field], 0));
+  const total = { label: "Total", netPence: sum("netPence"), vatPence: sum("vatPence"), grossPence: sum("grossPence") };
+  const all = rows.length > 1 ? [...rows, total] : rows;
+  const label = (r) => r.label || (r.ratePercent === null ? "Not recorded (older sales)" : `${r.ratePercent}%`);
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+      <thead>
+        <tr style={{ opacity: 0.75 }}>
+          <th style={{ ...cell, textAlign: "left" }}>Rate</th>
+          <th className="num" style={num}>
+            Net
+          </th>
+          <th className="num" style={num}>
+            VAT
+          </th>
+          <th className="num" style={num}>
+            Gross
+          </th>
+        </tr>
+      </thead>
+      <tbody>
+        {all.map((r, i) => (
+          <tr key={i} style={r.label ? { fontWeight: 800 } : undefined}>
+            <td style={cell}>{label(r)}</td>
+            <td className="num" style={num}>
+              {money(r.netPence)}
+            </td>
+            <td className="num" style={num}>
+              {money(r.vatPence)}
+            </td>
+            <td className="num" style={num}>
+              {formatPence(r.grossPence)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function GroupTable({ rows, qtyLabel = "Qty" }) {
+  if (!rows.length) return <div style={{ fontSize: 14, opacity: 0.7 }}>Nothing sold.</div>;
+
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+      <thead>
+        <tr style={{ opacity: 0.75 }}>
+          <th style={{ ...cell, textAlign: "left" }}></th>
+          <th className="num" style={num}>
+            {qtyLabel}
+          </th>
+          <th className="num" style={num}>
+            Total
+          </th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(([label, qty, pence]) => (
+          <tr key={label}>
+            <td style={cell}>{label}</td>
+            <td className="num" style={num}>
+              {qty}
+            </td>
+            <td className="num" style={num}>
+              {formatPence(pence)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
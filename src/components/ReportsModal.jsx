@@ -0,0 +1,219 @@
+import React, { useEffect, useState } from "react";
+import ReportView from "./ReportView.jsx";
+import { formatDateTime, formatPence } from "../lib/helpers.js";
+import { printElement } from "../lib/printing.js";
+import {
+  buildXReport,
+  closeZReport,
+  countDrawer,
+  listZReports,
+  overShortLabel,
+} from "../lib/reports.js";
+import { styles } from "../styles.js";
+
+/**
+ * Manager reports: live X report, cash-up that closes a Z, and past Z reports.
+ * Closing a Z needs the zReport permission (see lib/staff.js).
+ * Closed Z reports are only ever viewed or printed from here, never edited.
+ */
+export default function ReportsModal({ onClose, refreshKey, openTabs, denominationsPence, authorise }) {
+  const [view, setView] = useState("x"); // x | cashup | history
+  const [xReport, setXReport] = useState(null);
+  const [zReports, setZReports] = useState([]);
+  const [selectedZ, setSelectedZ] = useState(null);
+  const [cashCount, setCashCount] = useState({});
+  const [closing, setClosing] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([buildXReport({ openTabs }), listZReports()])
+      .then(([x, zs]) => {
+        if (cancelled) return;
+        setXReport(x);
+        setZReports(zs);
+        setError(null);
+      })
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey, reloadKey, openTabs]);
+
+  const countedPence = countDrawer(cashCount);
+  const expectedPence = xReport?.drawer.expectedPence ?? 0;
+  const overShortPence = countedPence - expectedPence;
+
+  async function closePeriod() {
+    if (
+      openTabs.length &&
+      !confirm(`${openTabs.length} tab(s) are still open and not settled. Close the period anyway?`)
+    ) {
+      return;
+    }
+    if (!confirm("Close this period with a Z report? This cannot be undone.")) return;
+    const closedBy = await authorise("zReport", "Close Period");
+    if (!closedBy) return;
+    setClosing(true);
+    try {
+      const z = await closeZReport({ cashCount, openTabs, closedBy });
+      setCashCount({});
+      setSelectedZ(z);
+      setView("history");
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      alert(`Z report NOT saved: ${err.message}`);
+    } finally {
+      setClosing(false);
+    }
+  }
+
+  return (
+    <div style={styles.modalOverlay} onClick={onClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.modalHeader}>
+          <div style={{ fontWeight: 1000, fontSize: 18 }}>Reports</div>
+          <button style={styles.trashBtn} onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        <div style={styles.tabs}>
+          {[
+            ["x", "X Report"],
+            ["cashup", "Cash-up & Z"],
+            ["history", "Past Z Reports"],
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              style={{ ...styles.tab, ...(view === key ? styles.tabActive : {}) }}
+              onClick={() => setView(key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {error && <div style={{ color: "#ff9a9a" }}>Could not load reports: {error}</div>}
+        {!xReport && !error && <div style={{ opacity: 0.7 }}>Loading…</div>}
+
+        {view === "x" && xReport && (
+          <div style={{ display: "grid", gap: 12 }}>
+            <ReportView report={xReport} />
+            <div style={{ display: "flex", gap: 8 }}>
+              <button style={styles.btn} onClick={() => setReloadKey((k) => k + 1)}>
+                Refresh
+              </button>
+              <button style={styles.btn} onClick={() => printReport(xReport)}>
+                Print X
+              </button>
+            </div>
+          </div>
+        )}
+
+        {view === "cashup" && xReport && (
+          <div style={{ display: "grid", gap: 12 }}>
+            <div style={{ opacity: 0.85 }}>Count the drawer, then close the period.</div>
+
+            {!xReport.drawer.floatPence && (
+              <div style={{ ...styles.editCard, borderColor: "rgba(250,204,21,0.45)" }}>
+                No opening float was recorded, so the whole drawer is expected to be takings.
+              </div>
+            )}
+
+            {openTabs.length > 0 && (
+              <div style={{ ...styles.editCard, borderColor: "rgba(255,120,120,0.35)" }}>
+                {openTabs.length} open tab{openTabs.length === 1 ? "" : "s"} not settled:{" "}
+                {openTabs.map((t) => `${t.name} (${formatPence(t.totalPence)})`).join(", ")}
+              </div>
+            )}
+
+            <div style={styles.denomGrid}>
+              {denominationsPence.map((d) => (
+                <label key={d} style={styles.editField}>
+                  <div style={{ fontSize: 12, opacity: 0.8 }}>{formatPence(d)}</div>
+                  <input
+                    style={styles.input}
+                    inputMode="numeric"
+                    placeholder="0"
+                    value={cashCount[d] ?? ""}
+                    onChange={(e) => {
+                      const n = e.target.value.replace(/\D/g, "");
+                      setCashCount((c) => ({ ...c, [d]: n === "" ? undefined : Number(n) }));
+                    }}
+                  />
+                </label>
+              ))}
+            </div>
+
+            <div style={styles.editCard}>
+              <div style={styles.totalRow}>
+                <div>Counted</div>
+                <div style={{ fontWeight: 900 }}>{formatPence(countedPence)}</div>
+              </div>
+              <div style={styles.totalRow}>
+                <div>
+                  Expected
+                  <div style={{ fontSize: 12, opacity: 0.75 }}>
+                    Float {formatPence(xReport.drawer.floatPence)} + cash {formatPence(xReport.drawer.cashSalesPence)}
+                    {xReport.drawer.moves.some((m) => m.kind !== "float") ? " ± pay-ins, pay-outs & drops" : ""}
+                  </div>
+                </div>
+                <div style={{ fontWeight: 900 }}>{formatPence(expectedPence)}</div>
+              </div>
+              <div style={styles.totalRow}>
+                <div>{overShortLabel(overShortPence)}</div>
+                <div style={{ fontWeight: 1000, fontSize: 20 }}>{formatPence(Math.abs(overShortPence))}</div>
+              </div>
+            </div>
+
+            <button style={styles.btnDanger} onClick={closePeriod} disabled={closing}>
+              Close Period (Z Report)
+            </button>
+          </div>
+        )}
+
+        {view === "history" && (
+          <div style={{ display: "grid", gap: 8 }}>
+            {zReports.length === 0 && <div style={{ opacity: 0.7 }}>No Z reports yet.</div>}
+
+            {selectedZ ? (
+              <div style={{ display: "grid", gap: 12 }}>
+                <div style={{ display: "flex", gap: 8 }}>
+                  <button style={styles.btn} onClick={() => setSelectedZ(null)}>
+                    Back
+                  </button>
+                  <button style={styles.btn} onClick={() => printReport(selectedZ)}>
+                    Print
+                  </button>
+                </div>
+                <ReportView report={selectedZ} />
+              </div>
+            ) : (
+              zReports.map((z) => (
+                <div key={z.number} style={styles.editCard}>
+                  <button style={styles.historyRow} onClick={() => setSelectedZ(z)}>
+                    <div>
+                      <div style={{ fontWeight: 900 }}>Z #{z.number}</div>
+                      <div style={{ fontSize: 12, opacity: 0.75 }}>
+                        {formatDateTime(z.closedAt)} • {overShortLabel(z.overShortPence)}{" "}
+                        {formatPence(Math.abs(z.overShortPence))}
+                      </div>
+                    </div>
+                    <div style={{ fontWeight: 1000 }}>{formatPence(z.summary.grossPence)}</div>
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function printReport(report) {
+  const title = report.kind === "X" ? "X Report" : `Z Report #${report.number}`;
+  printElement(title, <ReportView report={report} />);
+}
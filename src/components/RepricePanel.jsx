@@ -0,0 +1,119 @@
+import React, { useMemo, useState } from "react";
+import { formatPence } from "../lib/helpers.js";
+import { ROUNDING_STEPS, planReprice, roundingLabel } from "../lib/repricing.js";
+import { styles } from "../styles.js";
+
+/**
+ * Bulk price change for a band or category, previewed before it's committed.
+ */
+export default function RepricePanel({ bands, products, onApply }) {
+  const categories = useMemo(() => Array.from(new Set(products.map((p) => p.category))).sort(), [products]);
+
+  const [scopeKey, setScopeKey] = useState(bands[0] ? `band:${bands[0].id}` : "");
+  const [mode, setMode] = useState("percent");
+  const [amountText, setAmountText] = useState("");
+  const [roundStep, setRoundStep] = useState(5);
+
+  const amount = Number(amountText);
+  const valid = amountText.trim() !== "" && Number.isFinite(amount) && amount !== 0 && scopeKey;
+
+  const plan = useMemo(() => {
+    if (!valid) return null;
+    const [kind, ...rest] = scopeKey.split(":");
+    return planReprice(
+      { bands, products },
+      // Pence amounts are typed as pence ("10" = +10p), matching the label
+      { scope: { kind, id: rest.join(":") }, mode, amount, roundStep }
+    );
+  }, [valid, scopeKey, mode, amount, roundStep, bands, products]);
+
+  const changed = plan ? plan.changes.filter((c) => c.newPence !== c.oldPence) : [];
+
+  function apply() {
+    if (!plan || !changed.length) return;
+    if (!confirm(`Apply ${changed.length} price change(s)?`)) return;
+    onApply(plan);
+    setAmountText("");
+  }
+
+  return (
+    <div style={{ ...styles.editCard, display: "grid", gap: 10 }}>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Apply to</div>
+          <select style={styles.input} value={scopeKey} onChange={(e) => setScopeKey(e.target.value)}>
+            <optgroup label="Band">
+              {bands.map((b) => (
+                <option key={b.id} value={`band:${b.id}`}>
+                  {b.name}
+                </option>
+              ))}
+            </optgroup>
+            <optgroup label="Category (own-priced products)">
+              {categories.map((c) => (
+                <option key={c} value={`category:${c}`}>
+                  {c}
+                </option>
+              ))}
+            </optgroup>
+          </select>
+        </label>
+
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Change</div>
+          <div style={{ display: "flex", gap: 6 }}>
+            <input
+              style={styles.input}
+              inputMode="decimal"
+              placeholder={mode === "percent" ? "e.g. 5 or -10" : "e.g. 20 or -10"}
+              value={amountText}
+              onChange={(e) => setAmountText(e.target.value)}
+            />
+            <select style={{ ...styles.input, width: 70 }} value={mode} onChange={(e) => setMode(e.target.value)}>
+              <option value="percent">%</option>
+              <option value="pence">p</option>
+            </select>
+          </div>
+        </label>
+
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Rounding</div>
+          <select style={styles.input} value={roundStep} onChange={(e) => setRoundStep(Number(e.target.value))}>
+            {ROUNDING_STEPS.map((step) => (
+              <option key={step} value={step}>
+                {roundingLabel(step)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {plan && (
+        <div style={{ display: "grid", gap: 4, fontSize: 14 }}>
+          {plan.changes.length === 0 && <div style={{ opacity: 0.7 }}>Nothing to reprice here.</div>}
+          {plan.changes.map((c) => (
+            <div key={`${c.kind}:${c.id}:${c.unit}`} style={styles.totalRow}>
+              <div>
+                {c.name} • {c.unit}
+              </div>
+              <div style={{ opacity: c.newPence === c.oldPence ? 0.6 : 1 }}>
+                {formatPence(c.oldPence)} → <b>{formatPence(c.newPence)}</b>
+              </div>
+            </div>
+          ))}
+          {plan.notes.length > 0 && (
+            <div style={{ fontSize: 12, opacity: 0.75, marginTop: 4 }}>
+              {plan.notes.map((s) => `${s.name} (${s.reason})`).join(", ")}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div>
+        <button style={styles.btnPrimary} onClick={apply} disabled={!changed.length}>
+          Apply {changed.length ? `${changed.length} change${changed.length === 1 ? "" : "s"}` : ""}
+        </button>
+      </div>
+    </div>
+  );
+}
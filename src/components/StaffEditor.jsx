@@ -0,0 +1,158 @@
+import React, { useState } from "react";
+import {
+  PERMISSIONS,
+  ROLES,
+  createStaffMember,
+  hashPin,
+  lastManagerBlocker,
+  permissionsFor,
+  validateStaffMember,
+} from "../lib/staff.js";
+import { styles } from "../styles.js";
+
+/**
+ * Staff accounts: add people, change roles, reset PINs, remove leavers.
+ * `currentId` is whoever is signed in, who can't remove themselves.
+ */
+export default function StaffEditor({ staff, currentId, onSave, onDelete }) {
+  const [adding, setAdding] = useState(false);
+
+  return (
+    <div style={{ display: "grid", gap: 10 }}>
+      <div style={{ fontSize: 12, opacity: 0.8 }}>
+        {Object.keys(ROLES)
+          .map((r) => `${ROLES[r]}: ${permissionsFor(r).map((p) => PERMISSIONS[p]).join(", ") || "sell only"}`)
+          .join(" • ")}
+      </div>
+
+      {staff.map((m) => (
+        <StaffRow key={m.id} member={m} staff={staff} isCurrent={m.id === currentId} onSave={onSave} onDelete={onDelete} />
+      ))}
+
+      {adding ? (
+        <NewStaffForm
+          staff={staff}
+          onCancel={() => setAdding(false)}
+          onSave={(m) => {
+            onSave(m);
+            setAdding(false);
+          }}
+        />
+      ) : (
+        <div>
+          <button style={styles.btn} onClick={() => setAdding(true)}>
+            Add Staff
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function StaffRow({ member, staff, isCurrent, onSave, onDelete }) {
+  const [error, setError] = useState(null);
+
+  function changeRole(role) {
+    const found = validateStaffMember({ ...member, role }, staff);
+    setError(found.role || null);
+    if (!found.role) onSave({ ...member, role });
+  }
+
+  async function resetPin() {
+    const pin = prompt(`New PIN for ${member.name} (4-8 digits)`);
+    if (pin === null) return;
+    const found = validateStaffMember({ ...member, pin }, staff);
+    setError(found.pin || null);
+    if (!found.pin) onSave({ ...member, pin: await hashPin(pin) });
+  }
+
+  function remove() {
+    const blocker = isCurrent ? "You can't remove yourself while signed in." : lastManagerBlocker(staff, member.id);
+    if (blocker) {
+      setError(blocker);
+      return;
+    }
+    if (confirm(`Remove ${member.name}? Their past sales keep their name.`)) onDelete(member.id);
+  }
+
+  return (
+    <div style={{ ...styles.editCard, display: "grid", gap: 6 }}>
+      <div style={{ ...styles.totalRow, alignItems: "center", flexWrap: "wrap" }}>
+        <div style={{ fontWeight: 900 }}>
+          {member.name}
+          {isCurrent ? " (you)" : ""}
+        </div>
+        <div style={{ display: "flex", gap: 8 }}>
+          <select style={{ ...styles.input, width: "auto" }} value={member.role} onChange={(e) => changeRole(e.target.value)}>
+            {Object.entries(ROLES).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button style={styles.btn} onClick={resetPin}>
+            Reset PIN
+          </button>
+          <button style={styles.btnDanger} onClick={remove}>
+            Remove
+          </button>
+        </div>
+      </div>
+      {error && <div style={styles.fieldError}>{error}</div>}
+    </div>
+  );
+}
+
+function NewStaffForm({ staff, onCancel, onSave }) {
+  const [name, setName] = useState("");
+  const [role, setRole] = useState("bar");
+  const [pin, setPin] = useState("");
+  const [errors, setErrors] = useState({});
+
+  async function save() {
+    const found = validateStaffMember({ id: null, name, role, pin }, staff);
+    setErrors(found);
+    if (!Object.keys(found).length) onSave(await createStaffMember({ name, role, pin }));
+  }
+
+  return (
+    <div style={{ ...styles.editCard, display: "grid", gap: 10 }}>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Name</div>
+          <input style={styles.input} value={name} onChange={(e) => setName(e.target.value)} />
+          {errors.name && <div style={styles.fieldError}>{errors.name}</div>}
+        </label>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Role</div>
+          <select style={styles.input} value={role} onChange={(e) => setRole(e.target.value)}>
+            {Object.entries(ROLES).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>PIN</div>
+          <input
+            style={styles.input}
+            type="password"
+            inputMode="numeric"
+            value={pin}
+            onChange={(e) => setPin(e.target.value.replace(/\D/g, ""))}
+          />
+          {errors.pin && <div style={styles.fieldError}>{errors.pin}</div>}
+        </label>
+      </div>
+      <div style={{ display: "flex", gap: 8 }}>
+        <button style={styles.btnPrimary} onClick={save}>
+          Save
+        </button>
+        <button style={styles.btn} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+import { ROLES, verifyPin } from "../lib/staff.js";
+import { styles } from "../styles.js";
+
+/**
+ * Pick a name, enter a PIN. Used to sign in at the till and for a supervisor or
+ * manager to authorise something the signed-in person's role can't do.
+ * Without `onCancel` it can't be dismissed (the till is locked until someone signs in).
+ */
+export default function StaffPinDialog({ title, message, staff, onDone, onCancel }) {
+  const [memberId, setMemberId] = useState(staff.length === 1 ? staff[0].id : null);
+  const [pin, setPin] = useState("");
+  const [error, setError] = useState(null);
+  const [checking, setChecking] = useState(false);
+
+  const member = staff.find((m) => m.id === memberId) || null;
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!member || checking) return;
+    setChecking(true);
+    const ok = await verifyPin(member, pin);
+    setChecking(false);
+    if (ok) {
+      onDone(member);
+    } else {
+      setPin("");
+      setError("Wrong PIN");
+    }
+  }
+
+  return (
+    <div style={styles.modalOverlay} onClick={onCancel}>
+      <div style={{ ...styles.modal, maxWidth: 460 }} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.modalHeader}>
+          <div style={{ fontWeight: 1000, fontSize: 18 }}>{title}</div>
+          {onCancel && (
+            <button style={styles.trashBtn} onClick={onCancel} title="Close">
+              ×
+            </button>
+          )}
+        </div>
+
+        <div style={{ display: "grid", gap: 10 }}>
+          {message && <div style={{ opacity: 0.85 }}>{message}</div>}
+          {staff.length === 0 && <div style={{ opacity: 0.7 }}>Nobody is set up with that permission.</div>}
+
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+            {staff.map((m) => (
+              <button
+                key={m.id}
+                style={{ ...styles.tab, ...(m.id === memberId ? styles.tabActive : {}) }}
+                onClick={() => {
+                  setMemberId(m.id);
+                  setPin("");
+                  setError(null);
+                }}
+              >
+                {m.name}
+                <span style={{ fontSize: 11, opacity: 0.7, marginLeft: 6 }}>{ROLES[m.role]}</span>
+              </button>
+            ))}
+          </div>
+
+          {member && (
+            <form style={{ display: "flex", gap: 8 }} onSubmit={submit}>
+              <input
+                style={styles.input}
+                value={pin}
+                onChange={(e) => setPin(e.target.value.replace(/\D/g, ""))}
+                placeholder={`PIN for ${member.name}`}
+                type="password"
+                inputMode="numeric"
+                autoFocus
+              />
+              <button style={styles.btnPrimary} type="submit" disabled={!pin || checking}>
+                OK
+              </button>
+            </form>
+          )}
+          {error && <div style={styles.fieldError}>{error}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
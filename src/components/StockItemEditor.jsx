@@ -0,0 +1,146 @@
+import React, { useState } from "react";
+import { optionsUsingStockItem } from "../lib/modifiers.js";
+import { MEASURES, newStockItem, productsUsingStockItem, validateStockItem } from "../lib/stock.js";
+import { styles } from "../styles.js";
+
+/**
+ * Stock item definitions (state.stockItems). Which product units draw on an
+ * item is set on the product itself.
+ */
+export default function StockItemEditor({ items, products, modifierGroups, onSave, onDelete }) {
+  const [editingId, setEditingId] = useState(null); // item id, "new" or null
+  const [error, setError] = useState(null);
+
+  const form = (item) => (
+    <StockItemForm
+      key={item?.id || "new"}
+      item={item}
+      items={items}
+      onCancel={() => setEditingId(null)}
+      onSave={(next) => {
+        onSave(next, item?.id || null);
+        setEditingId(null);
+      }}
+    />
+  );
+
+  function remove(item) {
+    const users = [
+      ...productsUsingStockItem(products, item.id).map((p) => p.name),
+      ...optionsUsingStockItem(modifierGroups, item.id),
+    ];
+    if (users.length) {
+      setError(`${item.name} is used by ${users.join(", ")}. Unlink them first.`);
+      return;
+    }
+    setError(null);
+    if (confirm(`Delete stock item "${item.name}"? Its stock history is kept.`)) onDelete(item.id);
+  }
+
+  return (
+    <div style={{ display: "grid", gap: 10 }}>
+      {items.length === 0 && <div style={{ opacity: 0.7 }}>No stock items yet.</div>}
+
+      {items.map((i) =>
+        editingId === i.id ? (
+          form(i)
+        ) : (
+          <div key={i.id} style={{ ...styles.editCard, ...styles.totalRow, alignItems: "center" }}>
+            <div style={{ minWidth: 0 }}>
+              <div style={{ fontWeight: 900 }}>{i.name}</div>
+              <div style={{ fontSize: 12, opacity: 0.8 }}>
+                {i.packName} of {i.packSize} {MEASURES[i.measure]} • low at {i.lowPacks} • used by{" "}
+                {productsUsingStockItem(products, i.id).length} product(s)
+              </div>
+            </div>
+            <div style={{ display: "flex", gap: 8 }}>
+              <button style={styles.btn} onClick={() => setEditingId(i.id)} disabled={!!editingId}>
+                Edit
+              </button>
+              <button style={styles.btnDanger} onClick={() => remove(i)} disabled={!!editingId}>
+                Delete
+              </button>
+            </div>
+          </div>
+        )
+      )}
+      {error && <div style={styles.fieldError}>{error}</div>}
+
+      {editingId === "new" ? (
+        form(null)
+      ) : (
+        <div>
+          <button style={styles.btn} onClick={() => setEditingId("new")} disabled={!!editingId}>
+            Add Stock Item
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function StockItemForm({ item, items, onCancel, onSave }) {
+  const [draft, setDraft] = useState(() => {
+    const base = item || newStockItem();
+    return { ...base, packSize: String(base.packSize), lowPacks: String(base.lowPacks) };
+  });
+  const [errors, setErrors] = useState({});
+
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+
+  function save() {
+    const next = {
+      ...draft,
+      name: draft.name.trim(),
+      packName: draft.packName.trim(),
+      packSize: Number(draft.packSize),
+      lowPacks: Number(draft.lowPacks),
+    };
+    const found = validateStockItem(next, items);
+    setErrors(found);
+    if (!Object.keys(found).length) onSave(next);
+  }
+
+  const field = (label, key, error, props = {}) => (
+    <label style={styles.editField}>
+      <div style={{ fontSize: 12, opacity: 0.8 }}>{label}</div>
+      <input style={styles.input} value={draft[key]} onChange={(e) => set({ [key]: e.target.value })} {...props} />
+      {error && <div style={styles.fieldError}>{error}</div>}
+    </label>
+  );
+
+  return (
+    <div style={{ ...styles.editCard, display: "grid", gap: 10 }}>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+        {field("Name", "name", errors.name, { placeholder: "e.g. Tanqueray 70cl" })}
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Measured in</div>
+          <select
+            style={styles.input}
+            value={draft.measure}
+            onChange={(e) => set({ measure: e.target.value, ...(e.target.value === "each" ? { packSize: "1" } : {}) })}
+          >
+            {Object.entries(MEASURES).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+        {field("Pack name", "packName", errors.packName, { placeholder: "bottle, keg, case" })}
+        {field(`Pack size (${MEASURES[draft.measure]})`, "packSize", errors.packSize, { inputMode: "decimal" })}
+        {field("Low stock at (packs)", "lowPacks", errors.lowPacks, { inputMode: "decimal" })}
+      </div>
+      <div style={{ display: "flex", gap: 8 }}>
+        <button style={styles.btnPrimary} onClick={save}>
+          Save
+        </button>
+        <button style={styles.btn} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
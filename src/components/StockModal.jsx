@@ -0,0 +1,243 @@
+import React, { useEffect, useState } from "react";
+import { formatDateTime } from "../lib/helpers.js";
+import { applyStockMoves, formatStock, listStockMoves, newMove, recordStockTake, stockStatus } from "../lib/stock.js";
+import { styles } from "../styles.js";
+
+const REASON_LABELS = { sale: "Sale", delivery: "Delivery", stocktake: "Stock-take" };
+
+// Deliveries and counts are entered in packs ("3.5" bottles); levels are kept in the item's measure
+const packsToQty = (item, text) => Math.round(Number(text) * item.packSize * 10) / 10;
+const validPacks = (text) => text.trim() !== "" && Number.isFinite(Number(text)) && Number(text) >= 0;
+
+/**
+ * Stock levels, booking in deliveries, stock-takes (expected vs counted) and recent movements.
+ * Booking and counting need the manageStock permission (see lib/staff.js).
+ */
+export default function StockModal({ items, levels, authorise, onChanged, onClose }) {
+  const [view, setView] = useState("levels"); // levels | delivery | stocktake | history
+  const [delivery, setDelivery] = useState({});
+  const [note, setNote] = useState("");
+  const [counts, setCounts] = useState({});
+  const [lastTake, setLastTake] = useState(null);
+  const [moves, setMoves] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const itemById = new Map(items.map((i) => [i.id, i]));
+
+  useEffect(() => {
+    if (view !== "history") return;
+    let cancelled = false;
+    listStockMoves()
+      .then((rows) => !cancelled && setMoves(rows.slice(0, 200)))
+      .catch((err) => alert(`Could not load stock history: ${err.message}`));
+    return () => {
+      cancelled = true;
+    };
+  }, [view, levels]);
+
+  async function bookDelivery() {
+    const lines = items.filter((i) => validPacks(delivery[i.id] || "") && Number(delivery[i.id]) > 0);
+    if (!lines.length) return;
+    const who = await authorise("manageStock", "Book Delivery");
+    if (!who) return;
+    setBusy(true);
+    try {
+      await applyStockMoves(
+        lines.map((i) =>
+          newMove({ itemId: i.id, delta: packsToQty(i, delivery[i.id]), reason: "delivery", note: note.trim(), staffName: who.name })
+        )
+      );
+      setDelivery({});
+      setNote("");
+      onChanged();
+      setView("levels");
+    } catch (err) {
+      alert(`Delivery NOT saved: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function saveStockTake() {
+    const counted = items.filter((i) => validPacks(counts[i.id] || ""));
+    if (!counted.length) return;
+    if (counted.length < items.length && !confirm(`Only ${counted.length} of ${items.length} items counted. Save those?`)) return;
+    const who = await authorise("manageStock", "Stock-take");
+    if (!who) return;
+    setBusy(true);
+    try {
+      const result = await recordStockTake(Object.fromEntries(counted.map((i) => [i.id, packsToQty(i, counts[i.id])])), {
+        staffName: who.name,
+      });
+      setCounts({});
+      setLastTake(result);
+      onChanged();
+    } catch (err) {
+      alert(`Stock-take NOT saved: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const levelText = (item) => (levels[item.id] === undefined ? "Not tracked yet" : formatStock(item, levels[item.id]));
+
+  return (
+    <div style={styles.modalOverlay} onClick={onClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.modalHeader}>
+          <div style={{ fontWeight: 1000, fontSize: 18 }}>Stock</div>
+          <button style={styles.trashBtn} onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        <div style={styles.tabs}>
+          {[
+            ["levels", "Levels"],
+            ["delivery", "Book Delivery"],
+            ["stocktake", "Stock-take"],
+            ["history", "History"],
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              style={{ ...styles.tab, ...(view === key ? styles.tabActive : {}) }}
+              onClick={() => setView(key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {items.length === 0 && (
+          <div style={{ opacity: 0.7 }}>No stock items yet. Add them under Edit Prices → Stock items.</div>
+        )}
+
+        {view === "levels" &&
+          items.map((i) => {
+            const status = stockStatus(i, levels[i.id]);
+            return (
+              <div key={i.id} style={{ ...styles.totalRow, fontSize: 14, padding: "4px 0" }}>
+                <div>
+                  {i.name}
+                  {status && <span style={styles.stockTag}>{status === "out" ? "Out" : "Low"}</span>}
+                </div>
+                <div style={{ fontWeight: 800 }}>{levelText(i)}</div>
+              </div>
+            );
+          })}
+
+        {view === "delivery" && items.length > 0 && (
+          <div style={{ display: "grid", gap: 8 }}>
+            {items.map((i) => (
+              <div key={i.id} style={{ ...styles.totalRow, alignItems: "center", fontSize: 14 }}>
+                <div>
+                  {i.name}
+                  <div style={{ fontSize: 12, opacity: 0.7 }}>{levelText(i)}</div>
+                </div>
+                <input
+                  style={{ ...styles.input, width: 110 }}
+                  inputMode="decimal"
+                  placeholder={`${i.packName}s`}
+                  value={delivery[i.id] || ""}
+                  onChange={(e) => setDelivery((d) => ({ ...d, [i.id]: e.target.value }))}
+                />
+              </div>
+            ))}
+            <input
+              style={styles.input}
+              placeholder="Supplier / invoice no. (optional)"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+            />
+            <div>
+              <button style={styles.btnPrimary} onClick={bookDelivery} disabled={busy}>
+                Book In
+              </button>
+            </div>
+          </div>
+        )}
+
+        {view === "stocktake" && items.length > 0 && (
+          <div style={{ display: "grid", gap: 8 }}>
+            <div style={{ opacity: 0.85, fontSize: 14 }}>
+              Count in {items.some((i) => i.packSize !== 1) ? "packs (e.g. 3.5 bottles)" : "units"}. Blank items
+              aren&apos;t changed.
+            </div>
+            {items.map((i) => {
+              const expected = levels[i.id] ?? 0;
+              const counted = validPacks(counts[i.id] || "") ? packsToQty(i, counts[i.id]) : null;
+              const variance = counted === null ? null : Math.round((counted - expected) * 10) / 10;
+              return (
+                <div key={i.id} style={{ ...styles.totalRow, alignItems: "center", fontSize: 14 }}>
+                  <div style={{ minWidth: 0 }}>
+                    {i.name}
+                    <div style={{ fontSize: 12, opacity: 0.7 }}>Expected {formatStock(i, expected)}</div>
+                    {variance !== null && variance !== 0 && (
+                      <div style={{ fontSize: 12, color: variance < 0 ? "#ff9a9a" : "#9affb0" }}>
+                        {variance < 0 ? "Short" : "Over"} {formatStock(i, Math.abs(variance))}
+                      </div>
+                    )}
+                  </div>
+                  <input
+                    style={{ ...styles.input, width: 110 }}
+                    inputMode="decimal"
+                    placeholder="Counted"
+                    value={counts[i.id] || ""}
+                    onChange={(e) => setCounts((c) => ({ ...c, [i.id]: e.target.value }))}
+                  />
+                </div>
+              );
+            })}
+            <div>
+              <button style={styles.btnPrimary} onClick={saveStockTake} disabled={busy}>
+                Save Stock-take
+              </button>
+            </div>
+
+            {lastTake && (
+              <div style={styles.editCard}>
+                <div style={{ fontWeight: 900, marginBottom: 4 }}>Stock-take saved: wastage / variance</div>
+                {lastTake.map((m) => {
+                  const item = itemById.get(m.itemId);
+                  return (
+                    <div key={m.id} style={{ ...styles.totalRow, fontSize: 14 }}>
+                      <div>{item?.name || m.itemId}</div>
+                      <div>
+                        {m.delta === 0 ? "Matches" : `${m.delta < 0 ? "Short" : "Over"} ${formatStock(item, Math.abs(m.delta))}`}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        )}
+
+        {view === "history" && (
+          <div style={{ display: "grid", gap: 4, fontSize: 14 }}>
+            {moves.length === 0 && <div style={{ opacity: 0.7 }}>No stock movements yet.</div>}
+            {moves.map((m) => {
+              const item = itemById.get(m.itemId);
+              return (
+                <div key={m.id} style={styles.totalRow}>
+                  <div style={{ minWidth: 0 }}>
+                    {item?.name || m.itemId} • {REASON_LABELS[m.reason] || m.reason}
+                    <div style={{ fontSize: 12, opacity: 0.7 }}>
+                      {formatDateTime(m.createdAt)}
+                      {m.staffName ? ` • ${m.staffName}` : ""}
+                      {m.note ? ` • ${m.note}` : ""}
+                    </div>
+                  </div>
+                  <div style={{ whiteSpace: "nowrap" }}>
+                    {m.delta > 0 ? "+" : m.delta < 0 ? "−" : ""}
+                    {item ? formatStock(item, Math.abs(m.delta)) : Math.abs(m.delta)}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
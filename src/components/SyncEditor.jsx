@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+import { syncLabel } from "../lib/sync.js";
+import { styles } from "../styles.js";
+
+/** This device's sync server (see lib/sync.js). Kept on the device, not in the shared config. */
+export default function SyncEditor({ settings, status, onSave }) {
+  const [url, setUrl] = useState(settings.url);
+  const [secret, setSecret] = useState(settings.secret);
+  const [error, setError] = useState(null);
+
+  function save() {
+    const next = { url: url.trim(), secret: secret.trim() };
+    if (next.url && !/^https?:\/\/[^/\s]+/i.test(next.url)) {
+      setError("Enter the server's address, e.g. http://192.168.1.20:8787");
+      return;
+    }
+    setError(null);
+    onSave(next);
+  }
+
+  return (
+    <div style={{ ...styles.editCard, display: "grid", gap: 10 }}>
+      <div style={{ fontSize: 13, opacity: 0.8 }}>
+        Tills pointed at the same sync server share prices, deals, staff and open tabs. Run{" "}
+        <code>npm run sync-server</code> on a machine on the bar&apos;s network. Sales and stock stay on each till.
+        A till served over https needs the server behind https too.
+      </div>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Server address</div>
+          <input
+            style={styles.input}
+            value={url}
+            placeholder="http://192.168.1.20:8787"
+            onChange={(e) => setUrl(e.target.value)}
+          />
+          {error && <div style={styles.fieldError}>{error}</div>}
+        </label>
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Till key (SYNC_KEY, if set)</div>
+          <input style={styles.input} type="password" value={secret} onChange={(e) => setSecret(e.target.value)} />
+        </label>
+      </div>
+      <div style={{ fontSize: 13 }}>
+        {settings.url ? syncLabel(status) : "Not syncing: this till works on its own."}
+        {status?.error && <span style={{ opacity: 0.75 }}> ({status.error})</span>}
+      </div>
+      <div style={{ display: "flex", gap: 8 }}>
+        <button style={styles.btnPrimary} onClick={save}>
+          Save
+        </button>
+        {settings.url && (
+          <button
+            style={styles.btn}
+            onClick={() => {
+              setUrl("");
+              onSave({ url: "", secret: "" });
+            }}
+          >
+            Stop Syncing
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+import { formatDateTime, formatPence } from "../lib/helpers.js";
+import { styles } from "../styles.js";
+
+/**
+ * List of open tabs with their running totals.
+ * `tabs` already carry `totalPence` and `itemCount` worked out by the till.
+ */
+export default function TabsModal({ tabs, activeTabId, onRecall, onClose }) {
+  const grandTotal = tabs.reduce((sum, t) => sum + t.totalPence, 0);
+
+  return (
+    <div style={styles.modalOverlay} onClick={onClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.modalHeader}>
+          <div style={{ fontWeight: 1000, fontSize: 18 }}>Open Tabs</div>
+          <button style={styles.trashBtn} onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        {tabs.length === 0 ? (
+          <div style={{ opacity: 0.7 }}>No open tabs. Use “Park” on the basket to start one.</div>
+        ) : (
+          <div style={{ display: "grid", gap: 8 }}>
+            <div style={{ ...styles.totalRow, opacity: 0.85 }}>
+              <div>
+                {tabs.length} open, not settled
+              </div>
+              <div style={{ fontWeight: 900 }}>{formatPence(grandTotal)}</div>
+            </div>
+
+            {tabs.map((t) => (
+              <div key={t.id} style={styles.editCard}>
+                <div style={styles.totalRow}>
+                  <div style={{ minWidth: 0 }}>
+                    <div style={{ fontWeight: 900 }}>
+                      {t.name}
+                      {t.id === activeTabId ? " (on till)" : ""}
+                    </div>
+                    <div style={{ fontSize: 12, opacity: 0.75 }}>
+                      {t.itemCount} item{t.itemCount === 1 ? "" : "s"} • opened {formatDateTime(t.openedAt)}
+                    </div>
+                  </div>
+                  <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                    <div style={{ fontWeight: 1000 }}>{formatPence(t.totalPence)}</div>
+                    <button style={styles.btn} onClick={() => onRecall(t.id)} disabled={t.id === activeTabId}>
+                      Recall
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
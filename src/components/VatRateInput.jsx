@@ -0,0 +1,28 @@
+import React, { useState } from "react";
+import { validateVatRate } from "../lib/vat.js";
+import { styles } from "../styles.js";
+
+/**
+ * A VAT rate that may be left blank to inherit one (see lib/vat.js).
+ * Saved on blur like the venue's rate: `onChange(rate)` with a number, or null when blanked;
+ * anything that isn't a rate puts the old value back.
+ */
+export default function VatRateInput({ value, inheritedLabel, onChange }) {
+  const [text, setText] = useState(value == null ? "" : String(value));
+
+  return (
+    <input
+      style={{ ...styles.input, width: 140 }}
+      inputMode="decimal"
+      value={text}
+      placeholder={inheritedLabel}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => {
+        const rate = Number(text.replace(",", "."));
+        if (!text.trim()) onChange(null);
+        else if (!validateVatRate(rate)) onChange(rate);
+        else setText(value == null ? "" : String(value));
+      }}
+    />
+  );
+}
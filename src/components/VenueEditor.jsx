@@ -0,0 +1,61 @@
+import React, { useState } from "react";
+import { styles } from "../styles.js";
+
+/**
+ * Venue details printed on receipts (state.venue). Saved on blur like the price fields.
+ * The standard VAT rate applies to anything without a rate of its own (see lib/vat.js).
+ */
+export default function VenueEditor({ venue, onChange }) {
+  const [address, setAddress] = useState(venue.addressLines.join("\n"));
+  const [vatRate, setVatRate] = useState(String(venue.vatRatePercent));
+
+  const text = (label, key, placeholder) => (
+    <label style={styles.editField}>
+      <div style={{ fontSize: 12, opacity: 0.8 }}>{label}</div>
+      <input
+        style={styles.input}
+        defaultValue={venue[key]}
+        placeholder={placeholder}
+        onBlur={(e) => {
+          const value = e.target.value.trim();
+          // The venue name heads every receipt, so it can't be blanked
+          if (key === "name" && !value) e.target.value = venue.name;
+          else onChange({ [key]: value });
+        }}
+      />
+    </label>
+  );
+
+  return (
+    <div style={{ ...styles.editCard, display: "grid", gap: 10 }}>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+        {text("Venue name", "name", "The Red Lion")}
+        {text("VAT number", "vatNumber", "GB123456789")}
+        <label style={styles.editField}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>Standard VAT rate %</div>
+          <input
+            style={styles.input}
+            inputMode="decimal"
+            value={vatRate}
+            onChange={(e) => setVatRate(e.target.value)}
+            onBlur={() => {
+              const n = Number(vatRate);
+              if (vatRate.trim() !== "" && n >= 0 && n <= 100) onChange({ vatRatePercent: n });
+              else setVatRate(String(venue.vatRatePercent));
+            }}
+          />
+        </label>
+      </div>
+      <label style={styles.editField}>
+        <div style={{ fontSize: 12, opacity: 0.8 }}>Address (one line per row)</div>
+        <textarea
+          style={{ ...styles.input, minHeight: 64, fontFamily: "inherit" }}
+          value={address}
+          onChange={(e) => setAddress(e.target.value)}
+          onBlur={() => onChange({ addressLines: address.split("\n").map((l) => l.trim()).filter(Boolean) })}
+        />
+      </label>
+      {text("Receipt footer", "receiptFooter", "Thank you! Please drink responsibly.")}
+    </div>
+  );
+}
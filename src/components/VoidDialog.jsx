@@ -0,0 +1,68 @@
+import React, { useState } from "react";
+import { formatPence } from "../lib/helpers.js";
+import { VOID_REASONS } from "../lib/voids.js";
+import { styles } from "../styles.js";
+
+/** Asks why items already rung up are being taken off; `lines` are { label, qty, pricePence }. */
+export default function VoidDialog({ title, lines, onDone, onCancel }) {
+  const [other, setOther] = useState("");
+
+  const totalPence = lines.reduce((sum, l) => sum + l.pricePence * l.qty, 0);
+
+  return (
+    <div style={styles.modalOverlay} onClick={onCancel}>
+      <div style={{ ...styles.modal, maxWidth: 460 }} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.modalHeader}>
+          <div style={{ fontWeight: 1000, fontSize: 18 }}>{title}</div>
+          <button style={styles.trashBtn} onClick={onCancel} title="Close">
+            ×
+          </button>
+        </div>
+
+        <div style={{ display: "grid", gap: 10 }}>
+          <div style={{ fontSize: 14 }}>
+            {lines.map((l, i) => (
+              <div key={i} style={styles.totalRow}>
+                <div>
+                  {l.qty} × {l.label}
+                  {l.modifiers?.length > 0 && ` + ${l.modifiers.map((m) => m.name).join(", ")}`}
+                </div>
+                <div>{formatPence(l.pricePence * l.qty)}</div>
+              </div>
+            ))}
+            <div style={{ ...styles.totalRow, fontWeight: 900 }}>
+              <div>Voiding</div>
+              <div>{formatPence(totalPence)}</div>
+            </div>
+          </div>
+
+          <div style={{ opacity: 0.85 }}>Why? Voids are logged against your name.</div>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+            {VOID_REASONS.map((r) => (
+              <button key={r} style={styles.btn} onClick={() => onDone(r)}>
+                {r}
+              </button>
+            ))}
+          </div>
+          <form
+            style={{ display: "flex", gap: 8 }}
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (other.trim()) onDone(other.trim());
+            }}
+          >
+            <input
+              style={styles.input}
+              value={other}
+              onChange={(e) => setOther(e.target.value)}
+              placeholder="Other reason"
+            />
+            <button style={styles.btnPrimary} type="submit" disabled={!other.trim()}>
+              Void
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
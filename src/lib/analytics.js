@@ -0,0 +1,155 @@
+import { isRefund } from "./journal.js";
+import { summariseSales } from "./reports.js";
+
+/**
+ * Sales analytics for the dashboard, worked out on the till from the local
+ * journal (see journal.js) so it works offline.
+ *
+ * Ranges are whole local days, { fromDay, toDay } as "yyyy-mm-dd" like the date
+ * inputs use. A range is compared with the same number of days just before it,
+ * moved back in whole weeks so weekdays line up and the two never overlap: a
+ * single day against the same weekday last week, and "This month" (up to 31
+ * days) against the same weekdays five weeks earlier.
+ *
+ * Refunds count against takings, items and their groups as they do in reports
+ * (see summariseSales), but not towards the number of sales or the average basket.
+ */
+
+export const RANGE_PRESETS = {
+  today: "Today",
+  yesterday: "Yesterday",
+  week: "Last 7 days",
+  month: "This month",
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/** "yyyy-mm-dd" for `date` in local time. */
+export function localDay(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00`);
+  d.setDate(d.getDate() + n);
+  return localDay(d);
+}
+
+export function presetRange(preset, now = new Date()) {
+  const today = localDay(now);
+  if (preset === "yesterday") return { fromDay: addDays(today, -1), toDay: addDays(today, -1) };
+  if (preset === "week") return { fromDay: addDays(today, -6), toDay: today };
+  if (preset === "month") return { fromDay: `${today.slice(0, 8)}01`, toDay: today };
+  return { fromDay: today, toDay: today };
+}
+
+/** Number of days in a range, counting both ends. */
+export const rangeDays = ({ fromDay, toDay }) =>
+  Math.round((new Date(`${toDay}T00:00:00`) - new Date(`${fromDay}T00:00:00`)) / 86400000) + 1;
+
+const comparisonWeeks = (range) => Math.ceil(rangeDays(range) / 7);
+
+/** The range `range` is compared with: the same days, whole weeks earlier and not overlapping it. */
+export function comparisonRange(range) {
+  const days = -7 * comparisonWeeks(range);
+  return { fromDay: addDays(range.fromDay, days), toDay: addDays(range.toDay, days) };
+}
+
+export function comparisonLabel(range) {
+  const weeks = comparisonWeeks(range);
+  if (weeks > 1) return `Same days ${weeks} weeks earlier`;
+  return rangeDays(range) === 1 ? "Same day last week" : "Same days last week";
+}
+
+/** The range as the ISO timestamps listSales() takes. */
+export function rangeTimestamps({ fromDay, toDay }) {
+  const end = new Date(`${addDays(toDay, 1)}T00:00:00`);
+  end.setMilliseconds(-1);
+  return { from: new Date(`${fromDay}T00:00:00`).toISOString(), to: end.toISOString() };
+}
+
+// Bundle deals were recorded without a kind at first; their ids say what they were
+const dealKind = (d) => d.kind || (d.dealId.includes(":bundle:") ? "bundle" : "mix");
+
+/**
+ * {
+ *   saleCount, takingsPence, itemCount,
+ *   averageBasketPence,                               // sales only, before refunds
+ *   byHour: [{ hour, saleCount, takingsPence }],      // all 24 hours, local time
+ *   byDay: [{ day, saleCount, takingsPence }],        // every day of `range`, or just days with sales without one
+ *   topProducts: [{ label, unit, qty, totalPence }],  // best takings first, at most `top`
+ *   topUnits: [{ unit, qty, totalPence }],            // e.g. Pint against Half, most sold first
+ *   categoryMix: [{ category, qty, totalPence, share }],  // share of takings, 0-1
+ *   deals: [{ name, kind, count, saleCount, savingPence }],  // count: times applied; most used first
+ *   dealSaleCount                                     // sales where any deal applied
+ * }
+ */
+export function analyseSales(records, { range = null, top = 10 } = {}) {
+  const summary = summariseSales(records);
+  const sales = records.filter((r) => !isRefund(r));
+
+  const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, saleCount: 0, takingsPence: 0 }));
+  const byDay = new Map();
+  if (range) {
+    for (let day = range.fromDay; day <= range.toDay; day = addDays(day, 1)) {
+      byDay.set(day, { day, saleCount: 0, takingsPence: 0 });
+    }
+  }
+  const byUnit = new Map();
+  const byDeal = new Map();
+  let dealSaleCount = 0;
+
+  for (const record of records) {
+    const at = new Date(record.createdAt);
+    const day = byDay.get(localDay(at)) || { day: localDay(at), saleCount: 0, takingsPence: 0 };
+    byDay.set(day.day, day);
+    for (const row of [byHour[at.getHours()], day]) {
+      row.takingsPence += record.totalPence;
+      if (!isRefund(record)) row.saleCount += 1;
+    }
+
+    for (const l of record.lines) {
+      const row = byUnit.get(l.unit) || { unit: l.unit, qty: 0, totalPence: 0 };
+      row.qty += l.qty;
+      row.totalPence += l.totalPence;
+      byUnit.set(l.unit, row);
+    }
+  }
+
+  for (const sale of sales) {
+    if (sale.deals?.length) dealSaleCount += 1;
+    for (const d of sale.deals || []) {
+      const key = `${dealKind(d)}|${d.name}`;
+      const row = byDeal.get(key) || { name: d.name, kind: dealKind(d), count: 0, saleCount: 0, savingPence: 0 };
+      row.count += d.count;
+      row.saleCount += 1;
+      row.savingPence += d.savingPence;
+      byDeal.set(key, row);
+    }
+  }
+
+  const salesPence = sales.reduce((sum, s) => sum + s.totalPence, 0);
+  const categoryPence = summary.byCategory.reduce((sum, c) => sum + Math.max(0, c.totalPence), 0);
+
+  return {
+    saleCount: summary.saleCount,
+    takingsPence: summary.grossPence,
+    itemCount: summary.itemCount,
+    averageBasketPence: sales.length ? Math.round(salesPence / sales.length) : 0,
+    byHour,
+    byDay: Array.from(byDay.values()).sort((a, b) => a.day.localeCompare(b.day)),
+    topProducts: summary.byProduct.slice(0, top),
+    topUnits: Array.from(byUnit.values()).sort((a, b) => b.qty - a.qty),
+    categoryMix: summary.byCategory.map((c) => ({
+      ...c,
+      share: categoryPence > 0 ? Math.max(0, c.totalPence) / categoryPence : 0,
+    })),
+    deals: Array.from(byDeal.values()).sort((a, b) => b.count - a.count),
+    dealSaleCount,
+  };
+}
+
+/** Change from `before` to `now` as a fraction (0.12 = up 12%), or null when there's nothing to compare with. */
+export function change(now, before) {
+  return before ? (now - before) / Math.abs(before) : null;
+}
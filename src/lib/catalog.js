@@ -0,0 +1,114 @@
+import { validateVatRate } from "./vat.js";
+
+/**
+ * Product catalogue checks used by the admin editor.
+ *
+ * A product is either band-priced ({ bandId }) or override-priced
+ * ({ units, pricesPence }); never both, because the till resolves overrides first.
+ */
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+export function isOverridePriced(product) {
+  return !!(product.pricesPence && product.units);
+}
+
+/** "Guest Ale: Hop Monster" -> "p-guest-ale-hop-monster", made unique against `takenIds`. */
+export function suggestProductId(name, takenIds) {
+  return suggestId("p", name, takenIds);
+}
+
+export function suggestBandId(name, takenIds) {
+  return suggestId("band", name, takenIds);
+}
+
+function suggestId(prefix, name, takenIds) {
+  const base =
+    `${prefix}-` +
+    (name || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 40);
+  const stem = base === `${prefix}-` ? `${prefix}-item` : base;
+
+  let id = stem;
+  for (let n = 2; takenIds.has(id); n++) id = `${stem}-${n}`;
+  return id;
+}
+
+/**
+ * Field-level errors for a product about to be saved, as { field: message }.
+ * `originalId` is the id being edited (null when creating), so a product can keep its own id.
+ */
+export function validateProduct(product, { products, bands, originalId = null }) {
+  const errors = {};
+
+  const id = (product.id || "").trim();
+  if (!id) errors.id = "ID is required.";
+  else if (!ID_PATTERN.test(id)) errors.id = "Use lowercase letters, numbers and dashes only.";
+  else if (id !== originalId && products.some((p) => p.id === id)) errors.id = `"${id}" is already used by another product.`;
+
+  if (!(product.name || "").trim()) errors.name = "Name is required.";
+  if (!(product.category || "").trim()) errors.category = "Category is required.";
+
+  if (isOverridePriced(product)) {
+    const units = product.units.map((u) => (u || "").trim());
+    if (units.length === 0) errors.units = "Add at least one unit.";
+    else if (units.some((u) => !u)) errors.units = "Unit names can't be blank.";
+    else if (new Set(units.map((u) => u.toLowerCase())).size !== units.length) errors.units = "Unit names must be unique.";
+
+    const badPrice = units.find((u) => {
+      const p = product.pricesPence[u];
+      return !Number.isInteger(p) || p < 0;
+    });
+    if (!errors.units && badPrice !== undefined) errors.prices = `Enter a valid price for ${badPrice}.`;
+  } else if (!product.bandId) {
+    errors.bandId = "Choose a price band.";
+  } else if (!bands.some((b) => b.id === product.bandId)) {
+    errors.bandId = `Band "${product.bandId}" doesn't exist.`;
+  }
+
+  // Without its own rate a product takes its band's or category's (see vat.js)
+  const vatProblem = product.vatRatePercent === undefined ? null : validateVatRate(product.vatRatePercent);
+  if (vatProblem) errors.vatRatePercent = vatProblem;
+
+  return errors;
+}
+
+/** Strips whichever pricing fields don't apply so the stored product is unambiguous. */
+export function normaliseProduct(product) {
+  const { units, pricesPence, bandId, ...rest } = product;
+  const base = { ...rest, id: rest.id.trim(), name: rest.name.trim(), category: rest.category.trim() };
+
+  if (units && pricesPence) {
+    const cleanUnits = units.map((u) => u.trim());
+    return {
+      ...base,
+      units: cleanUnits,
+      pricesPence: Object.fromEntries(cleanUnits.map((u) => [u, pricesPence[u]])),
+    };
+  }
+  return { ...base, bandId };
+}
+
+// ---------- Bands ----------
+
+export function productsUsingBand(products, bandId) {
+  return products.filter((p) => !isOverridePriced(p) && p.bandId === bandId);
+}
+
+/** Error message for a new unit name on a band (or product), or null if it's fine. */
+export function validateUnitName(name, existingUnits) {
+  const n = (name || "").trim();
+  if (!n) return "Unit name is required.";
+  if (existingUnits.some((u) => u.toLowerCase() === n.toLowerCase())) return `"${n}" already exists.`;
+  return null;
+}
+
+/** Why a band can't be deleted, or null if nothing depends on it. */
+export function bandDeleteBlocker(products, bandId) {
+  const users = productsUsingBand(products, bandId);
+  if (!users.length) return null;
+  return `Used by ${users.map((p) => p.name).join(", ")}. Move them to another band first.`;
+}
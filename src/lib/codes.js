@@ -0,0 +1,91 @@
+/**
+ * PLU codes and barcodes: ringing products up without touching the grid.
+ *
+ * Product fields (both optional):
+ *   plu:      { [unit]: "101" }                       // one short code per unit, typed on the keypad
+ *   barcodes: [{ code: "5012345678900", unit }]       // EAN-8/EAN-13/UPC-A/GTIN-14, read by a USB scanner
+ *
+ * A scanner types like a keyboard and ends with Enter, so both arrive as a run
+ * of digits and one lookup serves both. PLUs are kept to 6 digits and barcodes
+ * to 8 or more, so a code can never be read as the other kind.
+ */
+
+const PLU_PATTERN = /^\d{1,6}$/;
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+/** GTIN check digit: weights 3 and 1 alternate from the right, excluding the check digit itself. */
+export function isValidBarcode(code) {
+  if (!/^\d+$/.test(code) || !GTIN_LENGTHS.includes(code.length)) return false;
+  const digits = Array.from(code, Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((s, d, i) => s + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+/** Every code in use, as [code, { productId, unit, kind }] pairs. */
+function codeEntries(products) {
+  return products.flatMap((p) => [
+    ...Object.entries(p.plu || {}).map(([unit, code]) => [code, { productId: p.id, unit, kind: "plu" }]),
+    ...(p.barcodes || []).map((b) => [b.code, { productId: p.id, unit: b.unit, kind: "barcode" }]),
+  ]);
+}
+
+/** code -> { product, unit, kind } for ringing up. */
+export function buildCodeIndex(products) {
+  const byId = new Map(products.map((p) => [p.id, p]));
+  return new Map(codeEntries(products).map(([code, e]) => [code, { ...e, product: byId.get(e.productId) }]));
+}
+
+/**
+ * Field errors for a product's codes, as { plu, barcodes }. `others` are the
+ * other products (so a product can keep its own codes); `units` are its units.
+ */
+export function validateCodes(product, { others, units }) {
+  const errors = {};
+  const taken = new Map(codeEntries(others));
+  const clash = (code) => {
+    const owner = others.find((p) => p.id === taken.get(code)?.productId);
+    return owner ? `${code} is already used by ${owner.name}.` : null;
+  };
+
+  // The first problem with each kind of code is enough to show
+  const seen = new Set();
+  const problem = (code, unit, checkFormat) => {
+    if (!units.includes(unit)) return `${code} is for "${unit}", which isn't one of its units.`;
+    const formatError = checkFormat(code);
+    if (formatError) return formatError;
+    if (seen.has(code)) return `${code} is used twice.`;
+    seen.add(code);
+    return clash(code);
+  };
+
+  for (const [unit, code] of Object.entries(product.plu || {})) {
+    const message = problem(code, unit, (c) => (PLU_PATTERN.test(c) ? null : `PLU for ${unit} must be 1 to 6 digits.`));
+    if (message) {
+      errors.plu = message;
+      break;
+    }
+  }
+  for (const { code, unit } of product.barcodes || []) {
+    const message = problem(code, unit, (c) =>
+      isValidBarcode(c) ? null : `${c} isn't a valid EAN/UPC barcode (check the digits).`
+    );
+    if (message) {
+      errors.barcodes = message;
+      break;
+    }
+  }
+
+  return errors;
+}
+
+/** `product` without any codes for `unit`, for when the unit is removed from its band. */
+export function dropUnitCodes(product, unit) {
+  const { [unit]: _dropped, ...plu } = product.plu || {};
+  const barcodes = (product.barcodes || []).filter((b) => b.unit !== unit);
+  return {
+    ...product,
+    plu: Object.keys(plu).length ? plu : undefined,
+    barcodes: barcodes.length ? barcodes : undefined,
+  };
+}
@@ -0,0 +1,360 @@
+import { validateProduct } from "./catalog.js";
+import { validateCodes } from "./codes.js";
+import { validateDeal } from "./deals.js";
+import { STACKING_MODES, validateDiscount } from "./discounts.js";
+import { formatPence } from "./helpers.js";
+import { legacyCategoryLayout, validateCategoryLayout } from "./layout.js";
+import { validateModifierGroup } from "./modifiers.js";
+import { DEFAULT_MONEY, validateMoney } from "./money.js";
+import { validatePriceRule } from "./priceRules.js";
+import { ROLES } from "./staff.js";
+import { validateStockItem, validateStockLink } from "./stock.js";
+import { validateVatRate } from "./vat.js";
+
+/**
+ * Till config (the localStorage blob and exported JSON files): versioning,
+ * migration, validation and the import preview diff.
+ *
+ * Versions:
+ *   1  no `version` field; bands, products and one shared plain-text `pin`
+ *   2  adds `version`, mix-and-match `deals`, `priceRules` and `staff`. A v1 PIN is
+ *      carried over as `legacyPin` until the till hashes it into a manager account.
+ *   3  adds `stockItems`; products may carry a `stock` link (see stock.js)
+ *   4  adds `venue` (receipt header/footer and VAT rate, see receipts.js)
+ *   5  adds `settings` (till behaviour switches such as whether voids need a supervisor)
+ *   6  adds `discountPresets` and settings.discountStacking (see discounts.js)
+ *   7  products may carry `plu` codes and `barcodes` (see codes.js)
+ *   8  adds `categories`: tab order, colours, hidden categories, pins and default units (see layout.js)
+ *   9  adds `modifierGroups`; bands and products may list `modifierGroupIds` (see modifiers.js)
+ *  10  adds venue.money: currency, locale, cash rounding and denominations (see money.js)
+ *  11  products, bands and categories may carry a `vatRatePercent` (see vat.js)
+ *
+ * Bump CONFIG_VERSION and add a step to MIGRATIONS whenever the shape changes.
+ */
+
+export const CONFIG_VERSION = 11;
+
+export const DEFAULT_VENUE = {
+  name: "Pub Till",
+  addressLines: [],
+  vatNumber: "",
+  vatRatePercent: 20,
+  receiptFooter: "Thank you!",
+  money: DEFAULT_MONEY,
+};
+
+export const DEFAULT_SETTINGS = { voidsNeedAuthorisation: true, discountStacking: "stack" };
+
+export const DEFAULT_DISCOUNT_PRESETS = [
+  { id: "dp-staff", name: "Staff 25%", kind: "percent", value: 25 },
+  { id: "dp-comp", name: "Manager comp 100%", kind: "percent", value: 100 },
+];
+
+// MIGRATIONS[v - 1] turns a version v config into version v + 1
+const MIGRATIONS = [
+  // v1 -> v2
+  (c) => {
+    const { pin, pinEnabled: _pinEnabled, ...rest } = c;
+    return {
+      ...rest,
+      version: 2,
+      deals: c.deals || [],
+      priceRules: c.priceRules || [],
+      staff: c.staff || [],
+      ...(c.staff?.length ? {} : { legacyPin: typeof pin === "string" && pin ? pin : "1234" }),
+    };
+  },
+  // v2 -> v3
+  (c) => ({ ...c, version: 3, stockItems: c.stockItems || [] }),
+  // v3 -> v4
+  (c) => ({ ...c, version: 4, venue: c.venue || DEFAULT_VENUE }),
+  // v4 -> v5
+  (c) => ({ ...c, version: 5, settings: { ...DEFAULT_SETTINGS, ...c.settings } }),
+  // v5 -> v6
+  (c) => ({
+    ...c,
+    version: 6,
+    discountPresets: c.discountPresets || DEFAULT_DISCOUNT_PRESETS,
+    settings: { ...DEFAULT_SETTINGS, ...c.settings },
+  }),
+  // v6 -> v7: codes are optional, so nothing to fill in
+  (c) => ({ ...c, version: 7 }),
+  // v7 -> v8: keep the layout that used to be hardcoded
+  (c) => ({ ...c, version: 8, categories: c.categories || legacyCategoryLayout(c.products || []) }),
+  // v8 -> v9
+  (c) => ({ ...c, version: 9, modifierGroups: c.modifierGroups || [] }),
+  // v9 -> v10: existing tills were all sterling
+  (c) => ({ ...c, version: 10, venue: { ...c.venue, money: c.venue?.money || DEFAULT_MONEY } }),
+  // v10 -> v11: without their own rates everything keeps the venue's
+  (c) => ({ ...c, version: 11 }),
+];
+
+const isObject = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+const isPence = (x) => Number.isInteger(x) && x >= 0;
+
+/**
+ * Upgrades and checks a parsed config of any version.
+ * Returns { config, errors } where errors are [{ path, message }]; `config` is
+ * only safe to use when `errors` is empty.
+ */
+export function parseConfig(raw) {
+  if (!isObject(raw)) return { config: null, errors: [{ path: "", message: "Not a till config (expected a JSON object)." }] };
+
+  const version = raw.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    return { config: null, errors: [{ path: "version", message: `Unknown config version "${raw.version}".` }] };
+  }
+  if (version > CONFIG_VERSION) {
+    return {
+      config: null,
+      errors: [{ path: "version", message: `Made by a newer till (version ${version}); this till reads up to ${CONFIG_VERSION}.` }],
+    };
+  }
+
+  let config = raw;
+  for (let v = version; v < CONFIG_VERSION; v++) config = MIGRATIONS[v - 1](config);
+  return { config, errors: validateConfig(config) };
+}
+
+export function validateConfig(config) {
+  const errors = [];
+  const add = (path, message) => errors.push({ path, message });
+  // Field errors from the editors' own validators, prefixed with where they were found
+  const addAll = (path, found) => Object.entries(found).forEach(([field, message]) => add(`${path}.${field}`, message));
+  const at = (list, i, item) => `${list}[${i}]${item?.name ? ` "${item.name}"` : ""}`;
+
+  for (const key of [
+    "bands",
+    "products",
+    "deals",
+    "priceRules",
+    "staff",
+    "stockItems",
+    "discountPresets",
+    "categories",
+    "modifierGroups",
+  ]) {
+    if (!Array.isArray(config[key])) add(key, "Missing or not a list.");
+  }
+  if (!isObject(config.venue)) add("venue", "Missing venue details.");
+  if (!isObject(config.settings)) add("settings", "Missing till settings.");
+  if (errors.length) return errors;
+
+  const { venue } = config;
+  if (!(venue.name || "").trim()) add("venue.name", "Venue name is required.");
+  if (!Array.isArray(venue.addressLines) || venue.addressLines.some((l) => typeof l !== "string")) {
+    add("venue.addressLines", "Address must be a list of lines.");
+  }
+  if (validateVatRate(venue.vatRatePercent)) add("venue.vatRatePercent", validateVatRate(venue.vatRatePercent));
+  if (!isObject(venue.money)) add("venue.money", "Missing currency settings.");
+  else addAll("venue.money", validateMoney(venue.money));
+
+  if (typeof config.settings.voidsNeedAuthorisation !== "boolean") {
+    add("settings.voidsNeedAuthorisation", "Must be true or false.");
+  }
+  if (!STACKING_MODES[config.settings.discountStacking]) {
+    add("settings.discountStacking", `Unknown stacking rule "${config.settings.discountStacking}".`);
+  }
+
+  const bandIds = new Set();
+  config.bands.forEach((b, i) => {
+    const path = at("bands", i, b);
+    if (!isObject(b)) return add(path, "Not an object.");
+    if (!b.id || typeof b.id !== "string") add(`${path}.id`, "ID is required.");
+    else if (bandIds.has(b.id)) add(`${path}.id`, `"${b.id}" is used by another band.`);
+    bandIds.add(b.id);
+    if (!(b.name || "").trim()) add(`${path}.name`, "Name is required.");
+    if (!Array.isArray(b.units) || !b.units.length) add(`${path}.units`, "Add at least one unit.");
+    else if (!isObject(b.pricesPence)) add(`${path}.pricesPence`, "Missing prices.");
+    else {
+      const bad = b.units.find((u) => !isPence(b.pricesPence[u]));
+      if (bad !== undefined) add(`${path}.pricesPence`, `No valid price for ${bad}.`);
+    }
+    if (b.vatRatePercent !== undefined && validateVatRate(b.vatRatePercent)) {
+      add(`${path}.vatRatePercent`, validateVatRate(b.vatRatePercent));
+    }
+  });
+
+  const stockIds = new Set();
+  config.stockItems.forEach((item, i) => {
+    const path = at("stockItems", i, item);
+    if (!isObject(item)) return add(path, "Not an object.");
+    if (!item.id || stockIds.has(item.id)) add(`${path}.id`, item.id ? `"${item.id}" is used by another item.` : "ID is required.");
+    stockIds.add(item.id);
+    addAll(path, validateStockItem(item, config.stockItems));
+  });
+
+  const groupIds = new Set();
+  config.modifierGroups.forEach((g, i) => {
+    const path = at("modifierGroups", i, g);
+    if (!isObject(g)) return add(path, "Not an object.");
+    if (!g.id || groupIds.has(g.id)) add(`${path}.id`, g.id ? `"${g.id}" is used by another group.` : "ID is required.");
+    groupIds.add(g.id);
+    if (!Array.isArray(g.options) || !g.options.every(isObject)) return add(`${path}.options`, "Options must be a list.");
+    addAll(path, validateModifierGroup(g, { groups: config.modifierGroups, stockItems: config.stockItems }));
+  });
+  // Bands and products only name the groups they prompt for
+  const checkGroupIds = (path, ids) => {
+    if (ids === undefined) return;
+    if (!Array.isArray(ids)) return add(`${path}.modifierGroupIds`, "Must be a list of modifier group IDs.");
+    const missing = ids.find((id) => !groupIds.has(id));
+    if (missing !== undefined) add(`${path}.modifierGroupIds`, `Modifier group "${missing}" doesn't exist.`);
+  };
+  config.bands.forEach((b, i) => isObject(b) && checkGroupIds(at("bands", i, b), b.modifierGroupIds));
+
+  config.products.forEach((p, i) => {
+    const path = at("products", i, p);
+    if (!isObject(p)) return add(path, "Not an object.");
+    // Checked against the products before it, so the second of two duplicates is the one reported
+    addAll(path, validateProduct(p, { products: config.products.slice(0, i), bands: config.bands }));
+    const units = p.units || config.bands.find((b) => b.id === p.bandId)?.units || [];
+    addAll(path, validateStockLink(p.stock, { stockItems: config.stockItems, units }));
+    addAll(path, validateCodes(p, { others: config.products.slice(0, i), units }));
+    checkGroupIds(path, p.modifierGroupIds);
+    const badBundle = (d) =>
+      !isObject(d) || d.type !== "bundle" || !Number.isInteger(d.qty) || d.qty < 2 || !isPence(d.pricePence);
+    if (p.deals !== undefined && (!Array.isArray(p.deals) || p.deals.some(badBundle))) {
+      add(`${path}.deals`, "Bundle deals need a quantity of 2 or more and a price.");
+    }
+  });
+
+  const dealIds = new Set();
+  config.deals.forEach((d, i) => {
+    const path = at("deals", i, d);
+    if (!isObject(d)) return add(path, "Not an object.");
+    if (!d.id || dealIds.has(d.id)) add(`${path}.id`, d.id ? `"${d.id}" is used by another deal.` : "ID is required.");
+    dealIds.add(d.id);
+    addAll(path, validateDeal(d, { deals: config.deals, originalId: d.id }));
+  });
+
+  const ruleIds = new Set();
+  config.priceRules.forEach((r, i) => {
+    const path = at("priceRules", i, r);
+    if (!isObject(r)) return add(path, "Not an object.");
+    if (!r.id || ruleIds.has(r.id)) add(`${path}.id`, r.id ? `"${r.id}" is used by another rule.` : "ID is required.");
+    ruleIds.add(r.id);
+    addAll(path, validatePriceRule(r));
+  });
+
+  const categoryNames = new Set();
+  config.categories.forEach((c, i) => {
+    const path = at("categories", i, c);
+    if (!isObject(c)) return add(path, "Not an object.");
+    if (categoryNames.has(c.name)) add(`${path}.name`, `"${c.name}" is listed twice.`);
+    categoryNames.add(c.name);
+    addAll(path, validateCategoryLayout(c));
+  });
+
+  const presetIds = new Set();
+  config.discountPresets.forEach((d, i) => {
+    const path = at("discountPresets", i, d);
+    if (!isObject(d)) return add(path, "Not an object.");
+    if (!d.id || presetIds.has(d.id)) add(`${path}.id`, d.id ? `"${d.id}" is used by another preset.` : "ID is required.");
+    presetIds.add(d.id);
+    addAll(path, validateDiscount(d));
+  });
+
+  const staffIds = new Set();
+  config.staff.forEach((m, i) => {
+    const path = at("staff", i, m);
+    if (!isObject(m)) return add(path, "Not an object.");
+    if (!m.id || staffIds.has(m.id)) add(`${path}.id`, m.id ? `"${m.id}" is used by someone else.` : "ID is required.");
+    staffIds.add(m.id);
+    if (!(m.name || "").trim()) add(`${path}.name`, "Name is required.");
+    if (!ROLES[m.role]) add(`${path}.role`, `Unknown role "${m.role}".`);
+    if (!isObject(m.pin) || typeof m.pin.salt !== "string" || typeof m.pin.hash !== "string" || !Number.isInteger(m.pin.iterations)) {
+      add(`${path}.pin`, "Missing PIN hash (plain-text PINs aren't accepted).");
+    }
+  });
+  if (config.staff.length && !config.staff.some((m) => m.role === "manager")) add("staff", "There must be at least one manager.");
+  if (!config.staff.length && typeof config.legacyPin !== "string") add("staff", "No staff accounts.");
+
+  return errors;
+}
+
+/**
+ * The config saved under `key`, upgraded to the current version, or `fallback`
+ * when there is none or it's unusable. An unusable one is copied to `${key}-invalid`
+ * so nothing is lost, and `problem` says what was wrong.
+ */
+export function loadSavedConfig(key, fallback) {
+  const saved = localStorage.getItem(key);
+  if (!saved) return { state: fallback, problem: null };
+
+  let errors;
+  try {
+    const parsed = parseConfig(JSON.parse(saved));
+    if (!parsed.errors.length) return { state: parsed.config, problem: null };
+    errors = parsed.errors;
+  } catch (err) {
+    errors = [{ path: "", message: `Not valid JSON (${err.message}).` }];
+  }
+
+  localStorage.setItem(`${key}-invalid`, saved);
+  return { state: fallback, problem: describeErrors(errors) };
+}
+
+export function describeErrors(errors, limit = 5) {
+  const shown = errors.slice(0, limit).map((e) => (e.path ? `${e.path}: ${e.message}` : e.message));
+  if (errors.length > limit) shown.push(`…and ${errors.length - limit} more`);
+  return shown.join("\n");
+}
+
+/**
+ * What applying `next` over `current` would change, for the import preview.
+ * Bands and products are compared item by item:
+ *   { bands: [{ change: "added" | "removed" | "changed", id, name, details: [string] }], products: [...],
+ *     counts: [{ label, from, to }] }
+ */
+export function diffConfig(current, next) {
+  const describeUnits = (x, bands) => {
+    if (x.units && x.pricesPence) return x.units.map((u) => `${u} ${formatPence(x.pricesPence[u] ?? 0)}`).join(", ");
+    return `band ${bands.find((b) => b.id === x.bandId)?.name || x.bandId}`;
+  };
+
+  const diffList = (before, after, detailsOf) => {
+    const out = [];
+    const old = new Map(before.map((x) => [x.id, x]));
+    const ids = new Set(after.map((x) => x.id));
+    for (const x of after) {
+      const was = old.get(x.id);
+      if (!was) out.push({ change: "added", id: x.id, name: x.name, details: [] });
+      else {
+        const details = detailsOf(was, x);
+        if (details.length) out.push({ change: "changed", id: x.id, name: x.name, details });
+      }
+    }
+    for (const x of before) if (!ids.has(x.id)) out.push({ change: "removed", id: x.id, name: x.name, details: [] });
+    return out;
+  };
+
+  const field = (label, a, b) => (a === b ? [] : [`${label}: ${a ?? "—"} → ${b ?? "—"}`]);
+
+  const bands = diffList(current.bands, next.bands, (a, b) => [
+    ...field("name", a.name, b.name),
+    ...field("prices", describeUnits(a, current.bands), describeUnits(b, next.bands)),
+  ]);
+
+  const products = diffList(current.products, next.products, (a, b) => [
+    ...field("name", a.name, b.name),
+    ...field("category", a.category, b.category),
+    ...field("pricing", describeUnits(a, current.bands), describeUnits(b, next.bands)),
+    ...field(
+      "bundle deals",
+      (a.deals || []).map((d) => `${d.qty} for ${formatPence(d.pricePence)}`).join(", ") || null,
+      (b.deals || []).map((d) => `${d.qty} for ${formatPence(d.pricePence)}`).join(", ") || null
+    ),
+  ]);
+
+  const counts = [
+    ["Mix-and-match deals", "deals"],
+    ["Timed prices", "priceRules"],
+    ["Staff accounts", "staff"],
+    ["Stock items", "stockItems"],
+    ["Discount presets", "discountPresets"],
+    ["Category layout entries", "categories"],
+    ["Modifier groups", "modifierGroups"],
+  ].map(([label, key]) => ({ label, from: (current[key] || []).length, to: (next[key] || []).length }));
+
+  return { bands, products, counts };
+}
@@ -0,0 +1,341 @@
+import { localDay } from "./analytics.js";
+import { isOverridePriced, normaliseProduct, suggestBandId, suggestProductId } from "./catalog.js";
+import { validateConfig } from "./config.js";
+import { isRefund } from "./journal.js";
+import { netByMethod } from "./tenders.js";
+import { vatIncluded } from "./vat.js";
+
+/**
+ * CSV files for spreadsheets and accounting software: the menu (export and
+ * import) and the sales journal (export only).
+ *
+ * Amounts are written as plain decimals ("3.40") whatever the venue's currency
+ * format, so other software reads them as numbers; imports also take "£3.40"
+ * or "3,40". Files start with a byte-order mark so Excel reads them as UTF-8.
+ *
+ * Menu: one row per product × unit.
+ *   Pricing "band": the price is the band's for that unit, so every row for the
+ *     same band and unit must agree; a changed price reprices the whole band,
+ *     and a new unit or Band ID adds it.
+ *   Pricing "own": the product's own price for that unit (see catalog.js).
+ *   Bundle deals: "3 for 7.00; 2 for 12.00", repeated on each of a product's rows.
+ * Importing replaces the menu: products missing from the file are removed, and
+ * anything the file has no column for (stock, codes, modifiers, VAT) is kept.
+ */
+
+export const MENU_COLUMNS = [
+  "Product ID",
+  "Product",
+  "Category",
+  "Unit",
+  "Pricing",
+  "Band ID",
+  "Band",
+  "Price",
+  "Bundle deals",
+];
+
+export const SALES_COLUMNS = [
+  "Date",
+  "Time",
+  "Sale ID",
+  "Type",
+  "Refund of",
+  "Staff",
+  "Tab",
+  "Product",
+  "Unit",
+  "Category",
+  "Qty",
+  "Unit price",
+  "Discount",
+  "Line total",
+  "VAT rate",
+  "Net",
+  "VAT",
+  "Sale total",
+  "Cash",
+  "Card",
+  "Cash rounding",
+];
+
+// ---------- Reading and writing ----------
+
+// Text starting like this would run as a formula when opened in a spreadsheet (negative amounts are fine)
+const FORMULA_START = /^([=+@\t\r]|-(?!\d))/;
+
+// Guarded on export with a leading "'", and unguarded on import by the same test. Text that already
+// starts with quotes before a formula gets one more, so every value reads back as it was written.
+const needsGuard = (text) => FORMULA_START.test(text.replace(/^'+/, ""));
+
+const amount = (pence) => (pence / 100).toFixed(2);
+
+function cell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && needsGuard(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows) {
+  return `\uFEFF${rows.map((r) => r.map(cell).join(",")).join("\r\n")}\r\n`;
+}
+
+/** Rows of cells from CSV text: quoted cells may hold commas, quotes ("") and line breaks. */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else value += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(value);
+      value = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      rows.push([...row, value]);
+      row = [];
+      value = "";
+    } else value += ch;
+  }
+  if (value || row.length) rows.push([...row, value]);
+  // Undo the formula guard added on export
+  return rows.map((r) => r.map((v) => (v.startsWith("'") && needsGuard(v.slice(1)) ? v.slice(1) : v)));
+}
+
+/** "£3.40", "3.40" or "3,40" -> 340; NaN for anything else, including negative amounts. */
+export function parseAmount(text) {
+  if (String(text ?? "").includes("-")) return NaN;
+  const t = String(text ?? "").replace(/[^\d.,]/g, "");
+  if (!/^\d+([.,]\d{1,2})?$/.test(t)) return NaN;
+  return Math.round(Number(t.replace(",", ".")) * 100);
+}
+
+/** Saves `rows` as a CSV download. Must be called from a click. */
+export function downloadCsv(fileName, rows) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([toCsv(rows)], { type: "text/csv;charset=utf-8" }));
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+// ---------- Menu ----------
+
+const describeDeals = (deals) => (deals || []).map((d) => `${d.qty} for ${amount(d.pricePence)}`).join("; ");
+
+function parseDeals(text) {
+  const parts = text.split(";").map((p) => p.trim()).filter(Boolean);
+  const deals = parts.map((p) => {
+    const m = p.match(/^(\d+)\s*for\s*(.+)$/i);
+    return m ? { type: "bundle", qty: Number(m[1]), pricePence: parseAmount(m[2]) } : null;
+  });
+  return deals.some((d) => !d || !(d.qty >= 2) || Number.isNaN(d.pricePence)) ? null : deals;
+}
+
+// Columns every row of a product must repeat the same, as [row field, column name]
+const SHARED_COLUMNS = [
+  ["name", "Product"],
+  ["category", "Category"],
+  ["pricing", "Pricing"],
+  ["bandId", "Band ID"],
+  ["bandName", "Band"],
+];
+
+export function menuToCsv({ products, bands }) {
+  const bandById = new Map(bands.map((b) => [b.id, b]));
+  const rows = [MENU_COLUMNS];
+  for (const p of products) {
+    const band = isOverridePriced(p) ? null : bandById.get(p.bandId);
+    const units = band ? band.units : p.units || [];
+    for (const u of units) {
+      rows.push([
+        p.id,
+        p.name,
+        p.category,
+        u,
+        band ? "band" : "own",
+        band?.id ?? null,
+        band?.name ?? null,
+        amount((band || p).pricesPence[u] ?? 0),
+        describeDeals(p.deals),
+      ]);
+    }
+  }
+  return rows;
+}
+
+/**
+ * The config with its menu replaced by a menu CSV: { config, errors } like
+ * parseConfig(), errors as [{ path: "Row 4", message }]. Problems with the file
+ * itself are reported first; only a readable file goes on to validateConfig().
+ */
+export function menuFromCsv(text, config) {
+  const [header = [], ...body] = parseCsv(text);
+  const errors = [];
+  const add = (rowNo, message) => errors.push({ path: rowNo ? `Row ${rowNo}` : "", message });
+
+  const columnOf = (name) => header.findIndex((h) => h.trim().toLowerCase() === name.toLowerCase());
+  const col = Object.fromEntries(MENU_COLUMNS.map((name) => [name, columnOf(name)]));
+  const missing = MENU_COLUMNS.filter((name) => col[name] < 0);
+  if (missing.length) {
+    const list = `column${missing.length === 1 ? "" : "s"}: ${missing.join(", ")}`;
+    add(null, `Missing ${list}. Export a menu CSV to see the layout.`);
+    return { config: null, errors };
+  }
+
+  // Rows grouped by product, in file order; rows without an ID are grouped by name
+  const groups = new Map();
+  body.forEach((cells, i) => {
+    const rowNo = i + 2;
+    const get = (name) => (cells[col[name]] || "").trim();
+    if (cells.every((c) => !c.trim())) return;
+    const row = {
+      rowNo,
+      id: get("Product ID"),
+      name: get("Product"),
+      category: get("Category"),
+      unit: get("Unit"),
+      pricing: get("Pricing").toLowerCase(),
+      bandId: get("Band ID"),
+      bandName: get("Band"),
+      pricePence: parseAmount(get("Price")),
+      deals: parseDeals(get("Bundle deals")),
+    };
+    if (!row.id && !row.name) return add(rowNo, "Needs a Product ID or a Product name.");
+    if (!row.unit) return add(rowNo, "Unit is required.");
+    if (row.pricing !== "band" && row.pricing !== "own") return add(rowNo, 'Pricing must be "band" or "own".');
+    if (Number.isNaN(row.pricePence)) return add(rowNo, `"${get("Price")}" isn't a price.`);
+    if (!row.deals) return add(rowNo, 'Bundle deals must look like "3 for 7.00; 2 for 12.00".');
+    const key = row.id || `name:${row.name.toLowerCase()}`;
+    groups.set(key, [...(groups.get(key) || []), row]);
+  });
+
+  // Band prices first, so band-priced products can be checked against the units they end up with
+  const bands = config.bands.map((b) => ({ ...b, units: [...b.units], pricesPence: { ...b.pricesPence } }));
+  const takenBandIds = new Set(bands.map((b) => b.id));
+  const setPrice = new Map(); // "bandId|unit" -> rowNo that set it
+  const bandFor = (row) => {
+    const found =
+      bands.find((b) => row.bandId && b.id === row.bandId) ||
+      bands.find((b) => !row.bandId && row.bandName && b.name.toLowerCase() === row.bandName.toLowerCase());
+    if (found) return found;
+    if (!row.bandName) return null;
+    const id = row.bandId || suggestBandId(row.bandName, takenBandIds);
+    const band = { id, name: row.bandName, units: [], pricesPence: {} };
+    takenBandIds.add(band.id);
+    bands.push(band);
+    return band;
+  };
+
+  const takenProductIds = new Set(config.products.map((p) => p.id));
+  const existing = new Map(config.products.map((p) => [p.id, p]));
+  const products = [];
+
+  for (const rows of groups.values()) {
+    const [first] = rows;
+    const label = first.name || first.id;
+    const disagree = SHARED_COLUMNS.find(([f]) => rows.some((r) => r[f] !== first[f]));
+    if (disagree) {
+      const [f, column] = disagree;
+      add(rows.find((r) => r[f] !== first[f]).rowNo, `Rows for ${label} disagree on ${column}.`);
+      continue;
+    }
+    if (rows.some((r) => describeDeals(r.deals) !== describeDeals(first.deals))) {
+      add(first.rowNo, `Rows for ${label} disagree on bundle deals.`);
+      continue;
+    }
+    const units = rows.map((r) => r.unit);
+    if (new Set(units.map((u) => u.toLowerCase())).size !== units.length) {
+      add(first.rowNo, `${label} lists a unit twice.`);
+      continue;
+    }
+
+    const id = first.id || suggestProductId(first.name, takenProductIds);
+    takenProductIds.add(id);
+    const { deals: _deals, ...kept } = existing.get(id) || {};
+    const base = { ...kept, id, name: first.name, category: first.category };
+    if (first.deals.length) base.deals = first.deals;
+
+    if (first.pricing === "own") {
+      const pricesPence = Object.fromEntries(rows.map((r) => [r.unit, r.pricePence]));
+      products.push(normaliseProduct({ ...base, units, pricesPence }));
+      continue;
+    }
+
+    const band = bandFor(first);
+    if (!band) {
+      add(first.rowNo, `Band "${first.bandId}" doesn't exist; give a Band name to create it.`);
+      continue;
+    }
+    for (const r of rows) {
+      const key = `${band.id}|${r.unit}`;
+      if (setPrice.has(key) && band.pricesPence[r.unit] !== r.pricePence) {
+        add(r.rowNo, `${band.name} ${r.unit} is priced differently on row ${setPrice.get(key)}.`);
+      }
+      setPrice.set(key, r.rowNo);
+      if (!band.units.includes(r.unit)) band.units.push(r.unit);
+      band.pricesPence[r.unit] = r.pricePence;
+    }
+    products.push(normaliseProduct({ ...base, units: undefined, pricesPence: undefined, bandId: band.id }));
+  }
+
+  if (errors.length) return { config: null, errors };
+  const next = { ...config, bands, products };
+  return { config: next, errors: validateConfig(next) };
+}
+
+// ---------- Sales ----------
+
+/**
+ * One row per sale line, oldest first, for accounting software. Sale-level
+ * amounts (total, cash, card, rounding) are only on a sale's first row so
+ * columns can be summed. Net and VAT are blank for lines sold before VAT rates
+ * were recorded (see vat.js).
+ */
+export function salesToCsv(sales) {
+  const rows = [SALES_COLUMNS];
+  const oldestFirst = [...sales].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const sale of oldestFirst) {
+    const at = new Date(sale.createdAt);
+    const byMethod = netByMethod(sale);
+    sale.lines.forEach((l, i) => {
+      const rate = l.vatRatePercent ?? null;
+      const vatPence = rate === null ? null : vatIncluded(l.totalPence, rate);
+      rows.push([
+        localDay(at),
+        at.toTimeString().slice(0, 5),
+        sale.id,
+        isRefund(sale) ? "Refund" : "Sale",
+        sale.refundOf ?? null,
+        sale.staffName ?? null,
+        sale.tabName ?? null,
+        l.label,
+        l.unit,
+        l.category ?? null,
+        l.qty,
+        amount(l.pricePence),
+        amount(l.discountPence || 0),
+        amount(l.totalPence),
+        rate,
+        vatPence === null ? null : amount(l.totalPence - vatPence),
+        vatPence === null ? null : amount(vatPence),
+        i === 0 ? amount(sale.totalPence) : null,
+        i === 0 ? amount(byMethod.cash || 0) : null,
+        i === 0 ? amount(byMethod.card || 0) : null,
+        i === 0 ? amount(sale.roundingPence || 0) : null,
+      ]);
+    });
+  }
+  return rows;
+}
@@ -0,0 +1,124 @@
+/**
+ * Tiny promise wrapper around IndexedDB.
+ *
+ * Config (bands, products, staff; see config.js) stays in the localStorage blob; anything that
+ * grows with trade (the sale journal and friends) lives here instead, where
+ * we are not limited to a few MB and can query by index.
+ *
+ * Bump DB_VERSION and add a step to UPGRADES whenever a store or index is added.
+ */
+
+const DB_NAME = "pub-till";
+const DB_VERSION = 5;
+
+const UPGRADES = [
+  // v1: immutable sale journal, newest-first browsing by createdAt
+  (db) => {
+    const sales = db.createObjectStore("sales", { keyPath: "id" });
+    sales.createIndex("createdAt", "createdAt");
+  },
+  // v2: closed Z reports, keyed by their sequential number
+  (db) => {
+    db.createObjectStore("zReports", { keyPath: "number" });
+  },
+  // v3: stock levels per item and the movements that change them (see stock.js)
+  (db) => {
+    db.createObjectStore("stockLevels", { keyPath: "itemId" });
+    const moves = db.createObjectStore("stockMoves", { keyPath: "id" });
+    moves.createIndex("createdAt", "createdAt");
+  },
+  // v4: voided basket lines (see voids.js), and refunds looked up by the sale they refund
+  (db, t) => {
+    const voids = db.createObjectStore("voids", { keyPath: "id" });
+    voids.createIndex("createdAt", "createdAt");
+    t.objectStore("sales").createIndex("refundOf", "refundOf");
+  },
+  // v5: float, pay-ins, pay-outs and safe drops (see drawer.js)
+  (db) => {
+    const moves = db.createObjectStore("drawerMoves", { keyPath: "id" });
+    moves.createIndex("createdAt", "createdAt");
+  },
+];
+
+let dbPromise = null;
+
+export function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      for (let v = e.oldVersion; v < DB_VERSION; v++) UPGRADES[v](db, req.transaction);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  // Let a later call retry if opening failed (e.g. private mode quota errors)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+function reqToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Runs `fn(stores)` inside one transaction and resolves once it commits.
+ * `fn` gets an object keyed by store name and may return a value (or a request,
+ * whose result is used).
+ */
+export async function tx(storeNames, mode, fn) {
+  const db = await openDb();
+  const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(names, mode);
+    const stores = Object.fromEntries(names.map((n) => [n, t.objectStore(n)]));
+
+    let result;
+    try {
+      result = fn(stores);
+    } catch (err) {
+      t.abort();
+      reject(err);
+      return;
+    }
+
+    t.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+    t.onerror = (e) => reject(e.target.error || t.error);
+    t.onabort = () => reject(t.error || new Error("Transaction aborted"));
+  });
+}
+
+export function getAll(storeName, query) {
+  return tx(storeName, "readonly", (s) => s[storeName].getAll(query));
+}
+
+export function getOne(storeName, key) {
+  return tx(storeName, "readonly", (s) => s[storeName].get(key));
+}
+
+/** Reads an index between `from` and `to` (inclusive, either may be omitted). */
+export async function getAllByIndex(storeName, indexName, { from, to } = {}) {
+  let range = null;
+  if (from != null && to != null) range = IDBKeyRange.bound(from, to);
+  else if (from != null) range = IDBKeyRange.lowerBound(from);
+  else if (to != null) range = IDBKeyRange.upperBound(to);
+
+  const db = await openDb();
+  const t = db.transaction(storeName, "readonly");
+  return reqToPromise(t.objectStore(storeName).index(indexName).getAll(range));
+}
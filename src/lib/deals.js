@@ -0,0 +1,477 @@
+import { isOverridePriced } from "./catalog.js";
+import { formatPence } from "./helpers.js";
+import { modifierPence } from "./modifiers.js";
+
+/**
+ * Deal pricing for the whole basket.
+ *
+ * Two kinds of deal exist:
+ *
+ * - Product bundle deals, stored on the product:
+ *     { type: "bundle", qty: 3, pricePence: 700 }
+ *   They only ever apply within one basket line.
+ *
+ * - Mix-and-match deals, stored in `state.deals`, which can span lines:
+ *     { id, name, pricePence, slots: [{ qty, target }] }
+ *   target = { kind: "category" | "products" | "band", ids: [...], units?: [...] }
+ *   e.g. "Pint + Burger for £10":
+ *     slots: [{ qty: 1, target: { kind: "category", ids: ["Draft"], units: ["Pint"] } },
+ *             { qty: 1, target: { kind: "products", ids: ["p-burger"] } }]
+ *
+ * priceBasket() finds the cheapest combination of both kinds for the whole
+ * basket and spreads each mix deal's price back over the lines it used, so
+ * every line still has its own total.
+ *
+ * Deals are on the item itself: a line's modifiers (e.g. the mixer) are added
+ * on top at their own price, so "2 for £12" doesn't swallow a +70p mixer.
+ */
+
+/**
+ * Calculates the cheapest line total given bundle deals, combining them freely
+ * (with "2 for £5" and "3 for £7", 5 items price as one of each).
+ * Supports deals shaped like: { type:"bundle", qty:3, pricePence:700 }
+ *
+ * Unbounded-knapsack DP over quantity: O(qty × deals), so cheap on every tap.
+ * Returns { totalPence, dealNote, bundles: [{ deal, count }] }.
+ */
+export function bestLineTotalWithDeals({ unitPricePence, qty, deals }) {
+  const plain = { totalPence: unitPricePence * qty, dealNote: null, bundles: [] };
+  if (!deals || deals.length === 0 || qty <= 0) return plain;
+
+  const bundleDeals = deals.filter(
+    (d) => d && d.type === "bundle" && Number.isFinite(d.qty) && d.qty > 0 && Number.isFinite(d.pricePence) && d.pricePence >= 0
+  );
+  if (bundleDeals.length === 0) return plain;
+
+  // cost[q] = cheapest price for q items; choice[q] = bundle used last (-1 = one item at unit price)
+  const cost = [0];
+  const choice = [-1];
+  for (let q = 1; q <= qty; q++) {
+    cost[q] = cost[q - 1] + unitPricePence;
+    choice[q] = -1;
+    bundleDeals.forEach((d, i) => {
+      if (d.qty <= q && cost[q - d.qty] + d.pricePence < cost[q]) {
+        cost[q] = cost[q - d.qty] + d.pricePence;
+        choice[q] = i;
+      }
+    });
+  }
+
+  const counts = new Map();
+  for (let q = qty; q > 0; ) {
+    const i = choice[q];
+    if (i === -1) q -= 1;
+    else {
+      counts.set(i, (counts.get(i) || 0) + 1);
+      q -= bundleDeals[i].qty;
+    }
+  }
+  if (counts.size === 0) return plain;
+
+  const bundles = Array.from(counts, ([i, count]) => ({ deal: bundleDeals[i], count })).sort((a, b) => b.deal.qty - a.deal.qty);
+  return {
+    totalPence: cost[qty],
+    dealNote: bundles.map((b) => `${b.deal.qty} for ${formatPence(b.deal.pricePence)} × ${b.count}`).join(" + "),
+    bundles,
+  };
+}
+
+/** Whether a basket line can fill a mix-deal slot. */
+export function lineMatchesTarget(line, product, target) {
+  if (!product || !target) return false;
+  if (target.units?.length && !target.units.includes(line.unit)) return false;
+
+  const ids = target.ids || [];
+  if (target.kind === "category") return ids.includes(product.category);
+  if (target.kind === "products") return ids.includes(product.id);
+  if (target.kind === "band") return !isOverridePriced(product) && ids.includes(product.bandId);
+  return false;
+}
+
+function validMixDeal(d) {
+  return (
+    d &&
+    Number.isFinite(d.pricePence) &&
+    d.pricePence >= 0 &&
+    Array.isArray(d.slots) &&
+    d.slots.length > 0 &&
+    d.slots.every((s) => Number.isInteger(s.qty) && s.qty > 0 && s.target)
+  );
+}
+
+// Upper limit on search work (deal fills tried) per group of lines sharing deals.
+// Far above what a real round needs; it only stops a pathological basket freezing a slow tablet.
+const MAX_SEARCH_STEPS = 10000;
+
+class SearchBudgetExceeded extends Error {}
+
+/**
+ * Calls `visit(taken)` for every distinct way to fill all slots of a deal
+ * `times` times over from `rem` (qty left per line). `slotLines[s]` lists the
+ * line indexes allowed in slot s; `taken` is qty per line, valid only during the call.
+ *
+ * Filling each slot with `times × qty` items at once is the same as `times`
+ * separate applications (the items can always be split back into groups), and
+ * it means the search never tries the same applications in a different order.
+ */
+function forEachFill(deal, times, slotLines, rem, visit) {
+  const taken = new Array(rem.length).fill(0);
+  // Overlapping slots can reach the same items in a different order
+  const seen = deal.slots.length > 1 ? new Set() : null;
+
+  function fill(s, j, need) {
+    if (need === 0) {
+      if (s + 1 < deal.slots.length) {
+        fill(s + 1, 0, deal.slots[s + 1].qty * times);
+        return;
+      }
+      if (seen) {
+        const key = taken.join(",");
+        if (seen.has(key)) return;
+        seen.add(key);
+      }
+      visit(taken);
+      return;
+    }
+
+    const lines = slotLines[s];
+    // Not enough left in this slot's remaining lines: nothing below can succeed
+    let avail = 0;
+    for (let k = j; k < lines.length && avail < need; k++) avail += rem[lines[k]] - taken[lines[k]];
+    if (avail < need) return;
+
+    const line = lines[j];
+    for (let c = Math.min(need, rem[line] - taken[line]); c >= 0; c--) {
+      taken[line] += c;
+      fill(s, j + 1, need - c);
+      taken[line] -= c;
+    }
+  }
+
+  fill(0, 0, deal.slots[0].qty * times);
+}
+
+/**
+ * Cheapest set of mix-deal applications for one group of lines that share deals,
+ * or null if none is cheaper than `limitPence`.
+ *
+ * Takes the group's deals one at a time and tries every number of applications
+ * with every choice of items, memoised on the quantities left. Items not used by
+ * a mix deal are priced by `bundleCost` (the per-line bundle DP), so product
+ * bundles and mix deals are weighed against each other.
+ *
+ * Branch and bound: no item can cost less than the cheapest per-item rate of its
+ * bundles or of a deal still to come, so a branch whose items can't beat the
+ * cheapest total found so far (starting from `limitPence`) isn't explored.
+ *
+ * Returns [{ dealIndex, times, fill: Map(lineIndex -> qty) }].
+ */
+function searchMixDeals({ group, basket, deals, slotLines, bundleCost, limitPence }) {
+  const budget = { steps: 0 };
+  // memo: state -> { result } (the cheapest) or { atLeast } (nothing cheaper than that)
+  const memo = new Map();
+
+  // rateFrom[pos][i]: lowest price per item line i can get from its bundles or deals pos onwards
+  const rateFrom = [];
+  rateFrom[group.deals.length] = basket.map((l, i) => {
+    let rate = l.pricePence;
+    for (let q = 2; q <= l.qty; q++) rate = Math.min(rate, bundleCost(i, q) / q);
+    return rate;
+  });
+  for (let pos = group.deals.length - 1; pos >= 0; pos--) {
+    const d = group.deals[pos];
+    const deal = deals[d];
+    const perItem = deal.pricePence / deal.slots.reduce((n, slot) => n + slot.qty, 0);
+    const covered = new Set(slotLines[d].flat());
+    rateFrom[pos] = rateFrom[pos + 1].map((rate, i) => (covered.has(i) ? Math.min(rate, perItem) : rate));
+  }
+  const lowerBound = (rem, pos) => group.lines.reduce((sum, i) => sum + rem[i] * rateFrom[pos][i], 0);
+
+  function best(rem, pos, limit) {
+    if (pos === group.deals.length) {
+      const cost = group.lines.reduce((sum, i) => sum + bundleCost(i, rem[i]), 0);
+      return cost < limit ? { cost, step: null, next: null } : null;
+    }
+
+    const key = `${group.lines.map((i) => rem[i]).join(",")}|${pos}`;
+    const hit = memo.get(key);
+    if (hit?.result) return hit.result.cost < limit ? hit.result : null;
+    if (hit && hit.atLeast >= limit) return null;
+    if (lowerBound(rem, pos) >= limit) return null;
+
+    const d = group.deals[pos];
+    const deal = deals[d];
+    let result = null;
+    let bound = limit;
+    // Skipping this deal entirely is always an option
+    const skip = best(rem, pos + 1, bound);
+    if (skip) {
+      result = { cost: skip.cost, step: null, next: skip };
+      bound = skip.cost;
+    }
+
+    const maxTimes = Math.min(
+      ...deal.slots.map((slot, s) => Math.floor(slotLines[d][s].reduce((n, i) => n + rem[i], 0) / slot.qty))
+    );
+    // The most the items taken by `times` applications could knock off the bound for what's left
+    const takeable = [...new Set(slotLines[d].flat())]
+      .flatMap((i) => Array(rem[i]).fill(rateFrom[pos + 1][i]))
+      .sort((a, b) => b - a);
+    const itemsPerTime = deal.slots.reduce((n, slot) => n + slot.qty, 0);
+    const restBound = lowerBound(rem, pos + 1);
+
+    for (let times = maxTimes; times >= 1; times--) {
+      const mostTaken = takeable.slice(0, itemsPerTime * times).reduce((sum, r) => sum + r, 0);
+      if (deal.pricePence * times + restBound - mostTaken >= bound) continue;
+
+      forEachFill(deal, times, slotLines[d], rem, (taken) => {
+        if (++budget.steps > MAX_SEARCH_STEPS) throw new SearchBudgetExceeded();
+        let listPence = 0;
+        for (const i of group.lines) listPence += basket[i].pricePence * taken[i];
+        // Deals dearer than their items at list price can't be part of the cheapest total
+        if (deal.pricePence * times >= listPence) return;
+
+        const left = rem.map((q, i) => q - taken[i]);
+        if (deal.pricePence * times + lowerBound(left, pos + 1) >= bound) return;
+        const sub = best(left, pos + 1, bound - deal.pricePence * times);
+        if (!sub) return;
+        const fill = new Map(group.lines.filter((i) => taken[i] > 0).map((i) => [i, taken[i]]));
+        result = { cost: deal.pricePence * times + sub.cost, step: { dealIndex: d, times, fill }, next: sub };
+        bound = result.cost;
+      });
+    }
+
+    // Branches cut off above could only match `bound`, so a result found is the cheapest
+    memo.set(key, result ? { result } : { atLeast: Math.max(limit, hit?.atLeast ?? 0) });
+    return result;
+  }
+
+  const found = best(
+    basket.map((l) => l.qty),
+    0,
+    limitPence
+  );
+  if (!found) return null;
+  const steps = [];
+  for (let r = found; r; r = r.next) if (r.step) steps.push(r.step);
+  return steps;
+}
+
+/**
+ * A quick first answer, and the fallback when the search budget runs out: apply
+ * the group's deals in order, each as often as it helps, filling slots with the
+ * dearest eligible items. Falls back further to no mix deals at all if that works
+ * out cheaper. Returns { steps, costPence } like searchMixDeals().
+ */
+function greedyMixDeals({ group, basket, deals, slotLines, bundleCost }) {
+  const rem = basket.map((l) => l.qty);
+  const steps = [];
+
+  for (const d of group.deals) {
+    const deal = deals[d];
+    for (;;) {
+      const fill = new Map();
+      const filled = deal.slots.every((slot, s) => {
+        let need = slot.qty;
+        const dearestFirst = slotLines[d][s].slice().sort((a, b) => basket[b].pricePence - basket[a].pricePence);
+        for (const i of dearestFirst) {
+          const n = Math.min(need, rem[i] - (fill.get(i) || 0));
+          if (n > 0) fill.set(i, (fill.get(i) || 0) + n);
+          need -= Math.max(0, n);
+          if (need === 0) break;
+        }
+        return need === 0;
+      });
+
+      let listPence = 0;
+      for (const [i, n] of fill) listPence += basket[i].pricePence * n;
+      if (!filled || deal.pricePence >= listPence) break;
+
+      for (const [i, n] of fill) rem[i] -= n;
+      steps.push({ dealIndex: d, times: 1, fill });
+    }
+  }
+
+  const cost = (qtys) => group.lines.reduce((sum, i) => sum + bundleCost(i, qtys[i]), 0);
+  const greedyCost = steps.reduce((sum, st) => sum + deals[st.dealIndex].pricePence * st.times, 0) + cost(rem);
+  const plainCost = cost(basket.map((l) => l.qty));
+  return greedyCost < plainCost ? { steps, costPence: greedyCost } : { steps: [], costPence: plainCost };
+}
+
+/**
+ * Splits lines into groups that share mix deals, so each group is searched on
+ * its own (two unrelated deals don't multiply each other's search space).
+ */
+function groupLines(basketSize, deals, slotLines) {
+  const parent = Array.from({ length: basketSize }, (_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  deals.forEach((_, d) => {
+    if (!slotLines[d]) return;
+    const lines = slotLines[d].flat();
+    for (const i of lines) parent[find(i)] = find(lines[0]);
+  });
+
+  const groups = new Map();
+  deals.forEach((_, d) => {
+    if (!slotLines[d]) return;
+    const root = find(slotLines[d][0][0]);
+    if (!groups.has(root)) groups.set(root, { lines: [], deals: [] });
+    groups.get(root).deals.push(d);
+  });
+  for (let i = 0; i < basketSize; i++) groups.get(find(i))?.lines.push(i);
+
+  return Array.from(groups.values());
+}
+
+/**
+ * Splits `pricePence` over a fill in proportion to list price.
+ * Integer pence; rounding leftovers go to the dearest share so the sum is exact.
+ */
+function allocate(pricePence, fill, basket) {
+  const shares = Array.from(fill, ([i, qty]) => ({ i, qty, list: basket[i].pricePence * qty, pence: 0 }));
+  const listTotal = shares.reduce((sum, s) => sum + s.list, 0);
+  if (listTotal === 0) return shares;
+
+  for (const s of shares) s.pence = Math.floor((pricePence * s.list) / listTotal);
+  const leftover = pricePence - shares.reduce((sum, s) => sum + s.pence, 0);
+  shares.reduce((a, b) => (b.list > a.list ? b : a)).pence += leftover;
+  return shares;
+}
+
+/**
+ * Prices a basket at the cheapest combination of all applicable deals.
+ * Returns {
+ *   totalPence, listPence, savingPence,
+ *   exact,   // false only if a pathological basket hit the search limit and greedy was used
+ *   lines: Map(lineKey -> { totalPence, dealNote }),
+ *   applied: [{ dealId, kind: "mix" | "bundle", name, pricePence, count, savingPence, uses: [{ lineKey, label, qty }] }]
+ * }
+ */
+export function priceBasket(lines, { productById, deals = [] }) {
+  const mixDeals = deals.filter(validMixDeal);
+  const basket = lines.map((l) => ({ ...l, pricePence: l.pricePence - modifierPence(l) }));
+
+  // Cheapest bundle pricing per (line, qty), shared by every search state
+  const bundleMemo = new Map();
+  const bundlePricing = (i, qty) => {
+    const key = `${i}:${qty}`;
+    if (!bundleMemo.has(key)) {
+      const l = basket[i];
+      bundleMemo.set(
+        key,
+        bestLineTotalWithDeals({ unitPricePence: l.pricePence, qty, deals: productById.get(l.productId)?.deals })
+      );
+    }
+    return bundleMemo.get(key);
+  };
+  const bundleCost = (i, qty) => bundlePricing(i, qty).totalPence;
+
+  // slotLines[d][s] = basket indexes that can fill slot s of deal d; null if some slot has none
+  const slotLines = mixDeals.map((deal) => {
+    const perSlot = deal.slots.map((slot) =>
+      basket.flatMap((l, i) => (lineMatchesTarget(l, productById.get(l.productId), slot.target) ? [i] : []))
+    );
+    return perSlot.every((ls) => ls.length) ? perSlot : null;
+  });
+
+  // Each group searches for anything cheaper than the greedy answer, with its own budget
+  let exact = true;
+  const steps = [];
+  for (const group of groupLines(basket.length, mixDeals, slotLines)) {
+    const args = { group, basket, deals: mixDeals, slotLines, bundleCost };
+    const greedy = greedyMixDeals(args);
+    try {
+      steps.push(...(searchMixDeals({ ...args, limitPence: greedy.costPence }) || greedy.steps));
+    } catch (err) {
+      if (!(err instanceof SearchBudgetExceeded)) throw err;
+      exact = false;
+      steps.push(...greedy.steps);
+    }
+  }
+
+  // Roll the chosen applications up per line and per deal
+  const rem = basket.map((l) => l.qty);
+  const mixPence = basket.map(() => 0);
+  const lineNotes = basket.map(() => []);
+  const appliedMix = new Map(); // dealIndex -> applied entry
+
+  for (const { dealIndex, times, fill } of steps) {
+    const deal = mixDeals[dealIndex];
+    let entry = appliedMix.get(dealIndex);
+    if (!entry) {
+      entry = { dealId: deal.id, kind: "mix", name: deal.name, pricePence: deal.pricePence, count: 0, savingPence: 0, used: new Map() };
+      appliedMix.set(dealIndex, entry);
+    }
+    entry.count += times;
+
+    for (const share of allocate(deal.pricePence * times, fill, basket)) {
+      rem[share.i] -= share.qty;
+      mixPence[share.i] += share.pence;
+      entry.savingPence += share.list - share.pence;
+      entry.used.set(share.i, (entry.used.get(share.i) || 0) + share.qty);
+    }
+  }
+
+  const applied = [];
+  for (const entry of appliedMix.values()) {
+    const { used, ...rest } = entry;
+    for (const [i, qty] of used) lineNotes[i].push(`${entry.name} (${qty})`);
+    applied.push({ ...rest, uses: Array.from(used, ([i, qty]) => ({ lineKey: basket[i].key, label: basket[i].label, qty })) });
+  }
+
+  const totals = new Map();
+  let totalPence = 0;
+  let listPence = 0;
+
+  basket.forEach((l, i) => {
+    const rest = bundlePricing(i, rem[i]);
+    for (const { deal, count } of rest.bundles) {
+      applied.push({
+        dealId: `${l.key}:bundle:${deal.qty}:${deal.pricePence}`,
+        kind: "bundle",
+        name: `${l.label}: ${deal.qty} for ${formatPence(deal.pricePence)}`,
+        pricePence: deal.pricePence,
+        count,
+        savingPence: count * (deal.qty * l.pricePence - deal.pricePence),
+        uses: [{ lineKey: l.key, label: l.label, qty: count * deal.qty }],
+      });
+    }
+    if (rest.dealNote) lineNotes[i].push(rest.dealNote);
+
+    const extrasPence = modifierPence(l) * l.qty;
+    const lineTotalPence = mixPence[i] + rest.totalPence + extrasPence;
+    totals.set(l.key, { totalPence: lineTotalPence, dealNote: lineNotes[i].length ? lineNotes[i].join(" + ") : null });
+    totalPence += lineTotalPence;
+    listPence += l.pricePence * l.qty + extrasPence;
+  });
+
+  return { totalPence, listPence, savingPence: listPence - totalPence, exact, lines: totals, applied };
+}
+
+/** Short description of what a mix deal targets, for the admin list. */
+export function describeTarget(target, { productById, bandById }) {
+  const ids = target.ids || [];
+  let what;
+  if (target.kind === "category") what = ids.join(" / ");
+  else if (target.kind === "products") what = ids.map((id) => productById.get(id)?.name || id).join(" / ");
+  else what = ids.map((id) => bandById.get(id)?.name || id).join(" / ");
+  return target.units?.length ? `${what} (${target.units.join("/")})` : what;
+}
+
+/** Field-level errors for a mix deal about to be saved, as { field: message }. */
+export function validateDeal(deal, { deals, originalId = null }) {
+  const errors = {};
+  if (!(deal.name || "").trim()) errors.name = "Name is required.";
+  else if (deals.some((d) => d.id !== originalId && d.name.trim().toLowerCase() === deal.name.trim().toLowerCase())) {
+    errors.name = "Another deal already has this name.";
+  }
+  if (!Number.isInteger(deal.pricePence) || deal.pricePence < 0) errors.pricePence = "Enter a valid price.";
+
+  if (!deal.slots?.length) errors.slots = "Add at least one item slot.";
+  else {
+    const bad = deal.slots.findIndex((s) => !Number.isInteger(s.qty) || s.qty < 1 || !s.target?.ids?.length);
+    if (bad >= 0) errors.slots = `Slot ${bad + 1} needs a quantity and at least one ${deal.slots[bad].target?.kind || "target"}.`;
+  }
+  return errors;
+}
@@ -0,0 +1,171 @@
+import { formatPence, uid } from "./helpers.js";
+
+/**
+ * Manual discounts given at the till, on top of (or instead of) deals.
+ *
+ * A discount is { name, kind: "percent" | "fixed", value, authorisedBy: { id, name }, authorisedFor, authorisedPence }
+ *   percent: value is 1-100; fixed: value is pence off the whole line or basket.
+ *   authorisedFor: the permission it was given under ("discount" or "comp"), and
+ *   authorisedPence what it took off then (see authoriseDiscount()).
+ * A basket line can carry one (line.discount) and the basket as a whole one more.
+ * Presets (state.discountPresets) are { id, name, kind, value }.
+ *
+ * How they stack with deals (state.settings.discountStacking):
+ *   "stack"   a line discount comes off the line's deal price, and the basket
+ *             discount off what every line then costs
+ *   "bestOf"  a discounted line pays the cheaper of its deal price or its list
+ *             price less the discount; the basket discount only touches lines
+ *             with neither a deal nor a line discount
+ * Either way a line's discountPence is what the discount took off below its deal price.
+ *
+ * Giving a discount needs the "discount" permission; making something free
+ * (100%, or a fixed amount that covers it) needs "comp" (see staff.js). What
+ * was authorised holds as the basket changes: a comp never takes more than it
+ * did when given (comping one pint doesn't comp the next nine), and a discount
+ * stops applying if the total shrinks until it would make it free.
+ */
+
+export const DISCOUNT_KINDS = {
+  percent: "% off",
+  fixed: "Amount off",
+};
+
+export const STACKING_MODES = {
+  stack: "Discounts come off deal prices",
+  bestOf: "Deal or discount, whichever is cheaper",
+};
+
+export function newDiscountPreset() {
+  return { id: `dp-${uid()}`, name: "", kind: "percent", value: 10 };
+}
+
+/** Field-level errors for a preset or a discount about to be given, as { field: message }. */
+export function validateDiscount(discount) {
+  const errors = {};
+  if (!(discount.name || "").trim()) errors.name = "Name is required.";
+  if (!DISCOUNT_KINDS[discount.kind]) errors.kind = "Pick percent or amount.";
+  else if (discount.kind === "percent" && !(discount.value > 0 && discount.value <= 100)) {
+    errors.value = "Enter a percentage from 1 to 100.";
+  } else if (discount.kind === "fixed" && !(Number.isInteger(discount.value) && discount.value > 0)) {
+    errors.value = `Enter an amount more than ${formatPence(0)}.`;
+  }
+  return errors;
+}
+
+/** "25% off" or "£2.00 off". */
+export function describeDiscount(discount) {
+  return discount.kind === "percent" ? `${discount.value}% off` : `${formatPence(discount.value)} off`;
+}
+
+/** Pence the discount takes off `pence`; never more than all of it. */
+export function discountOff(discount, pence) {
+  if (!discount || pence <= 0) return 0;
+  const off = discount.kind === "percent" ? Math.round((pence * discount.value) / 100) : discount.value;
+  return Math.min(pence, Math.max(0, off));
+}
+
+/** The permission needed to give `discount` on something costing `pence`. */
+export function discountPermission(discount, pence) {
+  return discountOff(discount, pence) >= pence ? "comp" : "discount";
+}
+
+/** `discount` as given by `who` on something costing `pence`, recording what they authorised. */
+export function authoriseDiscount(discount, pence, who) {
+  return {
+    ...discount,
+    authorisedBy: { id: who.id, name: who.name },
+    authorisedFor: discountPermission(discount, pence),
+    authorisedPence: discountOff(discount, pence),
+  };
+}
+
+// What a given discount may take off `pence`; discounts given before authorisation was recorded apply as they are
+function authorisedOff(discount, pence) {
+  const off = discountOff(discount, pence);
+  if (discount?.authorisedFor === "comp") return Math.min(off, discount.authorisedPence);
+  if (discount?.authorisedFor === "discount" && off >= pence) return 0;
+  return off;
+}
+
+/**
+ * Applies line and basket discounts to a priceBasket() result.
+ * Returns {
+ *   totalPence, discountPence, basketDiscountPence,
+ *   basketablePence,   // what the basket discount comes off
+ *   lines: Map(lineKey -> { totalPence, dealNote, discountPence, lineDiscountPence, discountNote })
+ * }
+ * discountPence includes the line's share of the basket discount; lineDiscountPence is its own discount alone.
+ */
+export function applyDiscounts(basket, pricing, basketDiscount, { stacking = "stack" } = {}) {
+  const rows = basket.map((l) => {
+    const dealt = pricing.lines.get(l.key) || { totalPence: l.pricePence * l.qty, dealNote: null };
+    const listPence = l.pricePence * l.qty;
+    const row = { key: l.key, ...dealt, discountPence: 0, lineDiscountPence: 0, notes: [] };
+    if (!l.discount) return { ...row, basketable: stacking === "stack" || dealt.totalPence === listPence };
+
+    if (stacking === "bestOf") {
+      const discounted = listPence - authorisedOff(l.discount, listPence);
+      if (discounted < dealt.totalPence) {
+        row.discountPence = dealt.totalPence - discounted;
+        row.totalPence = discounted;
+        row.dealNote = null;
+      }
+    } else {
+      row.discountPence = authorisedOff(l.discount, dealt.totalPence);
+      row.totalPence -= row.discountPence;
+    }
+    if (row.discountPence) row.notes.push(l.discount.name);
+    return { ...row, lineDiscountPence: row.discountPence, basketable: stacking === "stack" };
+  });
+
+  // Basket discount is spread over the lines it applies to, in proportion, so each line keeps a true total
+  const eligible = rows.filter((r) => r.basketable && r.totalPence > 0);
+  const eligiblePence = eligible.reduce((sum, r) => sum + r.totalPence, 0);
+  const basketDiscountPence = authorisedOff(basketDiscount, eligiblePence);
+  // Whole pence rounded down, then the pennies left over to the lines that lost most to rounding: never negative
+  const shares = eligible.map((r) => {
+    const exact = (basketDiscountPence * r.totalPence) / eligiblePence;
+    return { r, pence: Math.floor(exact), rest: exact - Math.floor(exact) };
+  });
+  let left = basketDiscountPence - shares.reduce((sum, s) => sum + s.pence, 0);
+  for (const s of [...shares].sort((a, b) => b.rest - a.rest)) {
+    if (left <= 0) break;
+    s.pence += 1;
+    left -= 1;
+  }
+  for (const { r, pence } of shares) {
+    r.totalPence -= pence;
+    r.discountPence += pence;
+    if (pence) r.notes.push(basketDiscount.name);
+  }
+
+  const lines = new Map();
+  let totalPence = 0;
+  let discountPence = 0;
+  for (const r of rows) {
+    lines.set(r.key, {
+      totalPence: r.totalPence,
+      dealNote: r.dealNote,
+      discountPence: r.discountPence,
+      lineDiscountPence: r.lineDiscountPence,
+      discountNote: r.notes.length ? r.notes.join(" + ") : null,
+    });
+    totalPence += r.totalPence;
+    discountPence += r.discountPence;
+  }
+  return { totalPence, discountPence, basketDiscountPence, basketablePence: eligiblePence, lines };
+}
+
+/** The discounts given on a sale, for its journal record: [{ scope, name, kind, value, label, amountPence, authorisedBy }]. */
+export function saleDiscounts(basket, basketDiscount, discounted) {
+  const out = [];
+  const record = (scope, d, label, amountPence) => {
+    if (amountPence > 0) {
+      out.push({ scope, name: d.name, kind: d.kind, value: d.value, label, amountPence, authorisedBy: d.authorisedBy || null });
+    }
+  };
+
+  for (const l of basket) if (l.discount) record("line", l.discount, l.label, discounted.lines.get(l.key).lineDiscountPence);
+  if (basketDiscount) record("basket", basketDiscount, null, discounted.basketDiscountPence);
+  return out;
+}
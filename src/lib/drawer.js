@@ -0,0 +1,74 @@
+import { getAllByIndex, tx } from "./db.js";
+import { uid } from "./helpers.js";
+
+/**
+ * Cash drawer: the opening float and cash put in or taken out other than by sales.
+ *
+ * Each movement is written to the "drawerMoves" store:
+ * {
+ *   id, createdAt, kind,                // kind: key of DRAWER_KINDS
+ *   amountPence,                        // always positive; DRAWER_KINDS says which way it goes
+ *   reason,
+ *   staffId, staffName,                 // who was signed in
+ *   authorisedBy: { id, name } | null   // who approved it, when approval was needed
+ * }
+ *
+ * Movements belong to the period they fall in, like sales (see reports.js), so
+ * the expected drawer is the float, plus cash takings and pay-ins, less pay-outs
+ * and safe drops since the last Z.
+ */
+
+export const DRAWER_KINDS = {
+  float: { label: "Opening float", sign: 1 },
+  payIn: { label: "Pay-in", sign: 1 },
+  payOut: { label: "Pay-out", sign: -1 },
+  safeDrop: { label: "Safe drop", sign: -1 },
+};
+
+export const PAY_OUT_REASONS = ["Window cleaner", "Milk & supplies", "Staff wages", "Petty cash"];
+
+export function buildDrawerMove({ kind, amountPence, reason = "", staff = null, authorisedBy = null, now = new Date() }) {
+  return {
+    id: `${now.getTime().toString(36)}-${uid()}`,
+    createdAt: now.toISOString(),
+    kind,
+    amountPence,
+    reason,
+    staffId: staff?.id ?? null,
+    staffName: staff?.name ?? null,
+    authorisedBy: authorisedBy ? { id: authorisedBy.id, name: authorisedBy.name } : null,
+  };
+}
+
+/** Writes a movement. Uses `add`, so an existing id can never be overwritten. */
+export async function recordDrawerMove(move) {
+  await tx("drawerMoves", "readwrite", (s) => s.drawerMoves.add(move));
+  return move;
+}
+
+/** Movements between two ISO timestamps (inclusive), newest first. */
+export async function listDrawerMoves({ from, to } = {}) {
+  const rows = await getAllByIndex("drawerMoves", "createdAt", { from, to });
+  return rows.reverse();
+}
+
+/**
+ * What should be in the drawer, given a period's movements and its net cash
+ * takings (summariseSales().cashExpectedPence, so refunds in cash are already off).
+ * { floatPence, cashSalesPence, payInPence, payOutPence, safeDropPence, expectedPence, moves }
+ */
+export function summariseDrawer(moves, cashSalesPence) {
+  const totals = { float: 0, payIn: 0, payOut: 0, safeDrop: 0 };
+  for (const m of moves) totals[m.kind] += m.amountPence;
+
+  const moved = moves.reduce((sum, m) => sum + DRAWER_KINDS[m.kind].sign * m.amountPence, 0);
+  return {
+    floatPence: totals.float,
+    cashSalesPence,
+    payInPence: totals.payIn,
+    payOutPence: totals.payOut,
+    safeDropPence: totals.safeDrop,
+    expectedPence: cashSalesPence + moved,
+    moves,
+  };
+}
@@ -0,0 +1,39 @@
+// ---------- Shared helpers ----------
+// Money is stored as integer pence everywhere; these only format it for display.
+// Currency and locale follow the venue (see money.js): App calls setMoneyFormat() when it changes.
+
+let format = {
+  money: new Intl.NumberFormat("en-GB", { style: "currency", currency: "GBP" }),
+  dateTime: new Intl.DateTimeFormat("en-GB", { dateStyle: "short", timeStyle: "short" }),
+  decimalSeparator: ".",
+};
+
+export function setMoneyFormat({ currency, locale, decimalSeparator }) {
+  format = {
+    money: new Intl.NumberFormat(locale, { style: "currency", currency }),
+    dateTime: new Intl.DateTimeFormat(locale, { dateStyle: "short", timeStyle: "short" }),
+    decimalSeparator,
+  };
+}
+
+export const formatPence = (p) => format.money.format((p || 0) / 100);
+
+/** "£", "€": for placeholders and labels next to amount fields. */
+export const currencySymbol = () => format.money.formatToParts(0).find((part) => part.type === "currency")?.value || "";
+
+export function uid() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+export const formatDateTime = (iso) => (iso ? format.dateTime.format(new Date(iso)) : "");
+
+/** "3.40" -> 340 (or "3,40" where that's the decimal separator). NaN for blank or non-numeric input. */
+export function parsePounds(text) {
+  const t = String(text ?? "").trim();
+  const sep = format.decimalSeparator === "," ? "," : "\\.";
+  if (!t || !new RegExp(`^\\d*${sep}?\\d*$`).test(t)) return NaN;
+  const n = Number(t.replace(",", "."));
+  return Number.isFinite(n) ? Math.round(n * 100) : NaN;
+}
+
+export const penceToInput = (p) => ((p || 0) / 100).toFixed(2).replace(".", format.decimalSeparator);
@@ -0,0 +1,225 @@
+import { getAllByIndex, getOne, tx } from "./db.js";
+import { uid } from "./helpers.js";
+import { roundCash } from "./money.js";
+import { settleTenders } from "./tenders.js";
+
+/**
+ * Sale journal: one immutable record per completed sale or refund.
+ *
+ * Record shape:
+ * {
+ *   id, createdAt (ISO string),
+ *   lines: [{ productId, label, category, bandId, bandName, unit, pricePence, priceRule, modifiers, qty, totalPence,
+ *             dealNote, discountPence, discountNote, vatRatePercent }],
+ *                    // modifiers: [{ groupId, optionId, name, pricePence }] picked with it, in pricePence (see modifiers.js)
+ *                    // priceRule: name of the timed price (e.g. happy hour) the item was rung up at
+ *                    // discountPence: manual discounts on the line, below its deal price (see discounts.js)
+ *                    // vatRatePercent: the VAT rate it sold at (see vat.js); missing on older sales
+ *   totalPence,
+ *   tenders: [{ method: "cash" | "card", amountPence }],
+ *   tenderedPence,   // sum of tenders
+ *   changePence,     // given from the cash tender only
+ *   roundingPence,   // cash rounding (see tenders.js): tenders less change = totalPence + roundingPence
+ *   tabName,         // set when the sale settled an open tab
+ *   staffId, staffName,   // who served it (name copied so it survives the account being removed)
+ *   deals: [{ dealId, kind, name, count, savingPence, uses: [{ label, qty }] }],  // deals applied: kind "mix" or "bundle"
+ *   discounts: [{ scope: "line" | "basket", name, kind, value, label, amountPence, authorisedBy }],
+ *   discountPence    // all manual discounts given
+ * }
+ *
+ * A refund is a negative record against an earlier sale: the same shape with
+ * `kind: "refund"`, `refundOf` (the sale id), `reason` and `authorisedBy`, and
+ * negative qty, totals and tenders on lines that carry `refundOfLine` (the index
+ * of the sale line). Sales have no `kind`. Refunds don't put stock back.
+ *
+ * Records are only ever added, never updated or deleted — corrections belong in
+ * new records so the history stays auditable.
+ */
+
+export function buildSaleRecord({
+  lines,
+  totalPence,
+  tenders,
+  deals = [],
+  discounts = [],
+  tabName = null,
+  staff = null,
+  cashRoundingPence = 1,
+  now = new Date(),
+}) {
+  const amount = (method) => tenders.filter((t) => t.method === method).reduce((sum, t) => sum + t.amountPence, 0);
+  const { changePence, roundingPence } = settleTenders({
+    totalPence,
+    cashPence: amount("cash"),
+    cardPence: amount("card"),
+    cashRoundingPence,
+  });
+
+  return deepFreeze({
+    id: `${now.getTime().toString(36)}-${uid()}`,
+    createdAt: now.toISOString(),
+    lines: lines.map((l) => ({
+      productId: l.productId,
+      label: l.label,
+      category: l.category ?? null,
+      bandId: l.bandId ?? null,
+      bandName: l.bandName ?? null,
+      unit: l.unit,
+      pricePence: l.pricePence,
+      priceRule: l.priceRule ?? null,
+      modifiers: (l.modifiers || []).map((m) => ({ ...m })),
+      qty: l.qty,
+      totalPence: l.totalPence,
+      dealNote: l.dealNote ?? null,
+      discountPence: l.discountPence || 0,
+      discountNote: l.discountNote ?? null,
+      vatRatePercent: l.vatRatePercent ?? null,
+    })),
+    totalPence,
+    tenders: tenders.map((t) => ({ method: t.method, amountPence: t.amountPence })),
+    tenderedPence: tenders.reduce((sum, t) => sum + t.amountPence, 0),
+    changePence,
+    roundingPence,
+    tabName,
+    staffId: staff?.id ?? null,
+    staffName: staff?.name ?? null,
+    deals: deals.map((d) => ({
+      dealId: d.dealId,
+      kind: d.kind,
+      name: d.name,
+      count: d.count,
+      savingPence: d.savingPence,
+      uses: d.uses.map((u) => ({ label: u.label, qty: u.qty })),
+    })),
+    discounts: discounts.map((d) => ({ ...d, authorisedBy: d.authorisedBy ? { ...d.authorisedBy } : null })),
+    discountPence: discounts.reduce((sum, d) => sum + d.amountPence, 0),
+  });
+}
+
+/**
+ * A refund of `quantities` ({ [lineIndex]: qty }) from `sale`, paid back by `method`.
+ * `refunds` are the sale's earlier refunds: each line refunds its share of what
+ * was actually paid (after deals), and the shares add up to the line total once
+ * everything is refunded.
+ */
+export function buildRefundRecord({
+  sale,
+  quantities,
+  refunds = [],
+  method,
+  reason,
+  staff = null,
+  authorisedBy = null,
+  cashRoundingPence = 1,
+  now = new Date(),
+}) {
+  const already = refundedQuantities(refunds);
+  const lines = [];
+  for (const [index, qty] of Object.entries(quantities)) {
+    const l = sale.lines[index];
+    if (!l || !(qty > 0)) continue;
+    const before = already.get(Number(index)) || 0;
+    if (before + qty > l.qty) throw new Error(`Only ${l.qty - before} × ${l.label} left to refund.`);
+    lines.push({
+      ...l,
+      qty: -qty,
+      totalPence: -refundPence(l, before, qty),
+      discountPence: -refundPence(l, before, qty, "discountPence"),
+      refundOfLine: Number(index),
+    });
+  }
+  if (!lines.length) throw new Error("Nothing to refund.");
+
+  const totalPence = lines.reduce((sum, l) => sum + l.totalPence, 0);
+  const paidPence = -refundPaidPence(-totalPence, method, cashRoundingPence);
+  return deepFreeze({
+    id: `${now.getTime().toString(36)}-${uid()}`,
+    createdAt: now.toISOString(),
+    kind: "refund",
+    refundOf: sale.id,
+    reason,
+    lines,
+    totalPence,
+    tenders: [{ method, amountPence: paidPence }],
+    tenderedPence: paidPence,
+    changePence: 0,
+    roundingPence: paidPence - totalPence,
+    tabName: sale.tabName ?? null,
+    staffId: staff?.id ?? null,
+    staffName: staff?.name ?? null,
+    authorisedBy: authorisedBy ? { id: authorisedBy.id, name: authorisedBy.name } : null,
+    deals: [],
+    discounts: [],
+    discountPence: lines.reduce((sum, l) => sum + l.discountPence, 0),
+  });
+}
+
+/**
+ * What refunding `qty` more of a sale line pays back, when `before` were already refunded.
+ * `field` picks another of the line's amounts to share out the same way.
+ */
+export function refundPence(line, before, qty, field = "totalPence") {
+  const share = (n) => Math.round(((line[field] || 0) * n) / line.qty);
+  return share(before + qty) - share(before);
+}
+
+/** What actually goes back to the customer for a refund worth `pence`: cash is rounded the same way cash taken is. */
+export function refundPaidPence(pence, method, cashRoundingPence = 1) {
+  return method === "cash" ? roundCash(pence, cashRoundingPence) : pence;
+}
+
+/** Qty already refunded per sale line index, from a sale's refund records. */
+export function refundedQuantities(refunds) {
+  const out = new Map();
+  for (const r of refunds) for (const l of r.lines) out.set(l.refundOfLine, (out.get(l.refundOfLine) || 0) - l.qty);
+  return out;
+}
+
+export const isRefund = (record) => record.kind === "refund";
+
+/** Writes a sale. Uses `add`, so an existing id can never be overwritten. */
+export async function recordSale(sale) {
+  await tx("sales", "readwrite", (s) => s.sales.add(sale));
+  return sale;
+}
+
+export async function getSale(id) {
+  const sale = await getOne("sales", id);
+  return sale ? deepFreeze(sale) : null;
+}
+
+/** Sales between two ISO timestamps (inclusive), newest first. */
+export async function listSales({ from, to } = {}) {
+  const sales = await getAllByIndex("sales", "createdAt", { from, to });
+  return sales.reverse().map(deepFreeze);
+}
+
+/** Refunds made against one sale, oldest first. */
+export async function listRefundsFor(saleId) {
+  const rows = await getAllByIndex("sales", "refundOf", { from: saleId, to: saleId });
+  return rows.map(deepFreeze);
+}
+
+/** Case-insensitive match against sale id, tab name, staff name, refund reason, line labels, categories and deal notes. */
+export function saleMatches(sale, query) {
+  const q = (query || "").trim().toLowerCase();
+  if (!q) return true;
+  if (sale.id.toLowerCase().includes(q)) return true;
+  if ((sale.tabName || "").toLowerCase().includes(q)) return true;
+  if ((sale.staffName || "").toLowerCase().includes(q)) return true;
+  if ((sale.reason || "").toLowerCase().includes(q) || (sale.refundOf || "").toLowerCase().includes(q)) return true;
+  return sale.lines.some(
+    (l) =>
+      l.label.toLowerCase().includes(q) ||
+      (l.category || "").toLowerCase().includes(q) ||
+      (l.dealNote || "").toLowerCase().includes(q)
+  );
+}
+
+function deepFreeze(obj) {
+  if (obj && typeof obj === "object" && !Object.isFrozen(obj)) {
+    Object.freeze(obj);
+    Object.values(obj).forEach(deepFreeze);
+  }
+  return obj;
+}
@@ -0,0 +1,71 @@
+import { validateVatRate } from "./vat.js";
+
+/**
+ * Till screen layout (state.categories): the order of the category tabs, their
+ * colours, which are hidden, products pinned to the front of a tab and the unit
+ * a tap on a product adds by default. Each entry also carries the category's
+ * default VAT rate (see vat.js), as it's the one place a category has settings.
+ *
+ * Entry shape: { name, color, hidden, pinned: [productId], defaultUnit, vatRatePercent }
+ *   color: "#rrggbb" or null; defaultUnit: a unit name or null (then every unit needs its own tap)
+ *   vatRatePercent: a number, or null (or absent) for the venue's standard rate
+ *
+ * Categories that products use but the layout doesn't mention go on the end,
+ * shown, so a product added under a new category appears without a layout change.
+ * Pins to products that no longer exist are skipped rather than treated as errors.
+ */
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+export function newCategoryLayout(name) {
+  return { name, color: null, hidden: false, pinned: [], defaultUnit: null, vatRatePercent: null };
+}
+
+/** The layout for configs from before it was configurable: Add-ons hidden, the mixer charge pinned on Spirits. */
+export function legacyCategoryLayout(products) {
+  const names = Array.from(new Set(products.map((p) => p.category)));
+  const hasMixer = products.some((p) => p.id === "p-mixer-charge");
+  return names.map((name) => ({
+    ...newCategoryLayout(name),
+    hidden: name === "Add-ons",
+    pinned: name === "Spirits" && hasMixer ? ["p-mixer-charge"] : [],
+  }));
+}
+
+/** Every category in display order, including ones only products know about. */
+export function resolveCategories(categories, products) {
+  const known = new Set(categories.map((c) => c.name));
+  const extra = Array.from(new Set(products.map((p) => p.category))).filter((name) => !known.has(name));
+  return [...categories, ...extra.map(newCategoryLayout)];
+}
+
+/** The layout with `name`'s entry changed by `fn`, adding the entry first if there isn't one. */
+export function updateCategory(categories, products, name, fn) {
+  return resolveCategories(categories, products).map((c) => (c.name === name ? fn(c) : c));
+}
+
+/** Moves `name` one place up (delta -1) or down (+1) among all categories. */
+export function moveCategory(categories, products, name, delta) {
+  const all = resolveCategories(categories, products);
+  const from = all.findIndex((c) => c.name === name);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= all.length) return all;
+  const next = [...all];
+  [next[from], next[to]] = [next[to], next[from]];
+  return next;
+}
+
+/** Problems with one layout entry, as { field: message } like the other editors' validators. */
+export function validateCategoryLayout(entry) {
+  const errors = {};
+  if (!(entry.name || "").trim()) errors.name = "Name is required.";
+  if (entry.color !== null && !COLOR_PATTERN.test(entry.color || "")) errors.color = "Colour must be like #3366ff.";
+  if (typeof entry.hidden !== "boolean") errors.hidden = "Must be true or false.";
+  if (!Array.isArray(entry.pinned) || entry.pinned.some((id) => typeof id !== "string")) {
+    errors.pinned = "Pinned items must be a list of product IDs.";
+  }
+  if (entry.defaultUnit !== null && typeof entry.defaultUnit !== "string") errors.defaultUnit = "Must be a unit name.";
+  const vatProblem = entry.vatRatePercent == null ? null : validateVatRate(entry.vatRatePercent);
+  if (vatProblem) errors.vatRatePercent = vatProblem;
+  return errors;
+}
@@ -0,0 +1,106 @@
+import { formatPence, uid } from "./helpers.js";
+
+/**
+ * Modifiers: choices made as an item is rung up, such as the mixer with a spirit
+ * or ice / no ice, each with its own price and stock use.
+ *
+ * Groups are config (state.modifierGroups):
+ *   { id, name, required, multiple, options: [{ id, name, pricePence, stock }] }
+ *     required: something must be picked before the item goes in the basket
+ *     multiple: more than one option may be picked (e.g. garnishes)
+ *     stock:    { itemId, amount } used per item in the stock item's measure, or absent
+ * A band or a product lists the groups it prompts for (modifierGroupIds); a
+ * product asks its band's groups first, then its own.
+ *
+ * A basket line carries what was picked, in group order:
+ *   modifiers: [{ groupId, optionId, name, pricePence }]
+ * and its pricePence includes them, so discounts, voids, tabs and refunds all
+ * see one price per item. Deals price the item alone and add its modifiers on
+ * top at their own price (see deals.js).
+ */
+
+export function newModifierGroup() {
+  return { id: `mg-${uid()}`, name: "", required: false, multiple: false, options: [newModifierOption()] };
+}
+
+export function newModifierOption() {
+  return { id: `mo-${uid()}`, name: "", pricePence: 0 };
+}
+
+/** The groups `product` prompts for, band's first; ids that no longer resolve are skipped. */
+export function modifierGroupsFor(product, { bandById, groupById }) {
+  const band = product.units && product.pricesPence ? null : bandById.get(product.bandId);
+  const ids = Array.from(new Set([...(band?.modifierGroupIds || []), ...(product.modifierGroupIds || [])]));
+  return ids.map((id) => groupById.get(id)).filter(Boolean);
+}
+
+/** optionId -> option, across every group. */
+export function buildOptionIndex(groups) {
+  return new Map(groups.flatMap((g) => g.options.map((o) => [o.id, o])));
+}
+
+/** Names of the options that draw on stock item `itemId`. */
+export function optionsUsingStockItem(groups, itemId) {
+  return groups.flatMap((g) => g.options.filter((o) => o.stock?.itemId === itemId).map((o) => `${g.name}: ${o.name}`));
+}
+
+/** What a line's modifiers add to each item. */
+export function modifierPence(line) {
+  return (line.modifiers || []).reduce((sum, m) => sum + m.pricePence, 0);
+}
+
+/** Whether two lines had the same things picked, so they can share a line. */
+export function sameModifiers(a, b) {
+  const ids = (l) => (l.modifiers || []).map((m) => m.optionId).join(",");
+  return ids(a) === ids(b);
+}
+
+/** Line modifiers for the picked option ids, in group order. */
+export function pickedModifiers(groups, picked) {
+  return groups.flatMap((g) =>
+    g.options
+      .filter((o) => picked.has(o.id))
+      .map((o) => ({ groupId: g.id, optionId: o.id, name: o.name, pricePence: o.pricePence }))
+  );
+}
+
+/** Why `picked` can't be rung up yet, or null: a required group with nothing picked. */
+export function missingChoice(groups, picked) {
+  const group = groups.find((g) => g.required && !g.options.some((o) => picked.has(o.id)));
+  return group ? `Pick an option for ${group.name}.` : null;
+}
+
+/** "Coke +£0.70", or just "No ice" when it's free. */
+export function describeModifier(m) {
+  return m.pricePence ? `${m.name} +${formatPence(m.pricePence)}` : m.name;
+}
+
+/**
+ * Field-level errors for a group about to be saved, as { field: message }.
+ * Option ids must be unique across all groups, since lines and stock look them up alone.
+ */
+export function validateModifierGroup(group, { groups, stockItems }) {
+  const errors = {};
+  if (!(group.name || "").trim()) errors.name = "Name is required.";
+
+  const otherOptionIds = new Set(groups.filter((g) => g.id !== group.id).flatMap((g) => g.options.map((o) => o.id)));
+  const options = group.options || [];
+  const names = options.map((o) => (o.name || "").trim().toLowerCase());
+  if (!options.length) errors.options = "Add at least one option.";
+  else if (names.some((n) => !n)) errors.options = "Option names can't be blank.";
+  else if (new Set(names).size !== names.length) errors.options = "Option names must be unique.";
+  else if (options.some((o) => !Number.isInteger(o.pricePence) || o.pricePence < 0)) {
+    errors.options = `Enter a price of ${formatPence(0)} or more for every option.`;
+  } else if (
+    options.some((o) => otherOptionIds.has(o.id)) ||
+    new Set(options.map((o) => o.id)).size !== options.length
+  ) {
+    errors.options = "Option IDs must be unique across all groups.";
+  } else {
+    const bad = options.find(
+      (o) => o.stock && (!stockItems.some((i) => i.id === o.stock.itemId) || !(o.stock.amount > 0))
+    );
+    if (bad) errors.options = `Stock use for ${bad.name} needs a stock item and an amount more than 0.`;
+  }
+  return errors;
+}
@@ -0,0 +1,74 @@
+/**
+ * The venue's currency (venue.money). Amounts stay integers in the currency's
+ * minor unit everywhere (pence, cents); this only decides how they're shown,
+ * typed, rounded for cash and counted.
+ *
+ * {
+ *   currency: "GBP",              // ISO 4217; must have 2 decimal places
+ *   locale: "en-GB",              // formats amounts and dates
+ *   decimalSeparator: ".",        // what staff type in amount fields: "." or ","
+ *   cashRoundingPence: 1,         // a balance settled in cash rounds to the nearest multiple (5 for Irish 5c rounding)
+ *   quickCashPence: [500, ...],   // the quick-cash buttons
+ *   denominationsPence: [...]     // notes and coins counted at cash-up, largest first
+ * }
+ *
+ * formatPence() and parsePounds() in helpers.js follow setMoneyFormat(), which
+ * App calls whenever the venue changes.
+ */
+
+export const CASH_ROUNDING = {
+  1: "No rounding",
+  5: "Nearest 5 (e.g. Irish 5c rounding)",
+  10: "Nearest 10",
+};
+
+export const MONEY_PRESETS = {
+  GBP: {
+    currency: "GBP",
+    locale: "en-GB",
+    decimalSeparator: ".",
+    cashRoundingPence: 1,
+    quickCashPence: [500, 1000, 2000, 5000],
+    denominationsPence: [5000, 2000, 1000, 500, 200, 100, 50, 20, 10, 5, 2, 1],
+  },
+  EUR: {
+    currency: "EUR",
+    locale: "en-IE",
+    decimalSeparator: ".",
+    cashRoundingPence: 5,
+    quickCashPence: [500, 1000, 2000, 5000],
+    denominationsPence: [10000, 5000, 2000, 1000, 500, 200, 100, 50, 20, 10, 5, 2, 1],
+  },
+};
+
+export const DEFAULT_MONEY = MONEY_PRESETS.GBP;
+
+/** `pence` rounded to the nearest `step` (halves round up), for a balance paid in cash. */
+export function roundCash(pence, step = 1) {
+  if (!(step > 1)) return pence;
+  return Math.floor((pence + step / 2) / step) * step;
+}
+
+const isAmountList = (list) => Array.isArray(list) && list.length > 0 && list.every((p) => Number.isInteger(p) && p > 0);
+
+/** Field-level errors for venue.money, as { field: message }. */
+export function validateMoney(money) {
+  const errors = {};
+  let format = null;
+  try {
+    format = new Intl.NumberFormat(money.locale, { style: "currency", currency: money.currency });
+  } catch {
+    errors.currency = "Unknown currency or locale.";
+  }
+  // Intl formats any three letters, so check the code is a real one where the browser can say
+  if (format && Intl.supportedValuesOf && !Intl.supportedValuesOf("currency").includes(money.currency)) {
+    errors.currency = `Unknown currency "${money.currency}".`;
+  } else if (format && format.resolvedOptions().maximumFractionDigits !== 2) {
+    errors.currency = `${money.currency} doesn't have 2 decimal places, which the till needs.`;
+  }
+  if (![".", ","].includes(money.decimalSeparator)) errors.decimalSeparator = 'Must be "." or ",".';
+  if (!CASH_ROUNDING[money.cashRoundingPence]) errors.cashRoundingPence = "Pick 1, 5 or 10.";
+  if (!isAmountList(money.quickCashPence)) errors.quickCashPence = "Enter at least one amount.";
+  if (!isAmountList(money.denominationsPence)) errors.denominationsPence = "Enter at least one note or coin.";
+  return errors;
+}
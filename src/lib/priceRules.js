@@ -0,0 +1,122 @@
+import { isOverridePriced } from "./catalog.js";
+import { uid } from "./helpers.js";
+
+/**
+ * Scheduled price rules ("happy hour"), kept in state.priceRules.
+ *
+ * Rule shape:
+ * {
+ *   id, name,
+ *   days: [1, 2, 3, 4, 5],          // Date#getDay(): 0 = Sunday
+ *   start: "17:00", end: "19:00",   // till clock; an end at or before the start runs past midnight
+ *   changes: [
+ *     { kind: "band", id: bandId, pricesPence: { Pint: 500 } },        // set band unit prices
+ *     { kind: "product", id: productId, pricesPence: { One: 600 } },   // set override prices
+ *     { kind: "category", id: "Cocktails", percentOff: 25 },           // % off everything in a category
+ *   ]
+ * }
+ *
+ * Prices are only looked up when an item is added to the basket, and the basket
+ * line keeps that price, so a rule ending mid-sale doesn't reprice what's already rung up.
+ */
+
+export const WEEKDAYS = [
+  [1, "Mon"],
+  [2, "Tue"],
+  [3, "Wed"],
+  [4, "Thu"],
+  [5, "Fri"],
+  [6, "Sat"],
+  [0, "Sun"],
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function minutesOf(hhmm) {
+  const m = TIME_PATTERN.exec(hhmm || "");
+  return m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+}
+
+export function newPriceRule() {
+  return { id: `r-${uid()}`, name: "Happy Hour", days: [1, 2, 3, 4, 5], start: "17:00", end: "19:00", changes: [] };
+}
+
+export function ruleIsActive(rule, now = new Date()) {
+  const start = minutesOf(rule.start);
+  const end = minutesOf(rule.end);
+  if (Number.isNaN(start) || Number.isNaN(end) || !rule.days?.length) return false;
+
+  const day = now.getDay();
+  const minute = now.getHours() * 60 + now.getMinutes();
+
+  if (start < end) return rule.days.includes(day) && minute >= start && minute < end;
+  // Overnight window: the late part belongs to the day it started on
+  const yesterday = (day + 6) % 7;
+  return (rule.days.includes(day) && minute >= start) || (rule.days.includes(yesterday) && minute < end);
+}
+
+export function activeRules(rules, now = new Date()) {
+  return (rules || []).filter((r) => ruleIsActive(r, now));
+}
+
+/**
+ * Price of one unit of a product right now.
+ * `basePricesPence` is the normal band or override price list; `rules` are the active rules.
+ * Returns { pricePence, basePence, rule } where `rule` is the rule that set the price (or null).
+ * When several rules touch the same item the cheapest price wins.
+ */
+export function priceWithRules(product, unit, basePricesPence, rules) {
+  const basePence = basePricesPence[unit] ?? 0;
+  let best = { pricePence: basePence, basePence, rule: null };
+
+  for (const rule of rules) {
+    for (const c of rule.changes || []) {
+      let pence = null;
+      if (c.kind === "band" && !isOverridePriced(product) && c.id === product.bandId) pence = c.pricesPence?.[unit];
+      else if (c.kind === "product" && c.id === product.id) pence = c.pricesPence?.[unit];
+      else if (c.kind === "category" && c.id === product.category) {
+        pence = Math.round(basePence * (1 - (c.percentOff || 0) / 100));
+      }
+
+      if (Number.isInteger(pence) && pence >= 0 && pence < best.pricePence) best = { pricePence: pence, basePence, rule };
+    }
+  }
+  return best;
+}
+
+/** Field-level errors for a rule about to be saved, as { field: message }. */
+export function validatePriceRule(rule) {
+  const errors = {};
+  if (!rule.name?.trim()) errors.name = "Name the rule.";
+  if (!rule.days?.length) errors.days = "Pick at least one day.";
+  if (Number.isNaN(minutesOf(rule.start)) || Number.isNaN(minutesOf(rule.end))) {
+    errors.time = "Times must be HH:MM (24-hour).";
+  } else if (rule.start === rule.end) {
+    errors.time = "Start and end can't be the same.";
+  }
+
+  if (!rule.changes?.length) {
+    errors.changes = "Add at least one price change.";
+  } else {
+    for (const c of rule.changes) {
+      if (!c.id) {
+        errors.changes = "Every change needs a band, product or category.";
+      } else if (c.kind === "category") {
+        if (!(c.percentOff > 0 && c.percentOff <= 100)) errors.changes = "Percent off must be between 0 and 100.";
+      } else if (!Object.keys(c.pricesPence || {}).length) {
+        errors.changes = "Enter at least one unit price for each band or product.";
+      } else if (Object.values(c.pricesPence).some((p) => !Number.isInteger(p) || p < 0)) {
+        errors.changes = "Prices must be zero or more.";
+      }
+    }
+  }
+  return errors;
+}
+
+/** "Mon–Fri 17:00–19:00" style summary for lists. */
+export function describeSchedule(rule) {
+  const names = WEEKDAYS.filter(([d]) => rule.days.includes(d)).map(([, n]) => n);
+  const weekdays = [1, 2, 3, 4, 5].every((d) => rule.days.includes(d)) && rule.days.length === 5;
+  const days = rule.days.length === 7 ? "Every day" : weekdays ? "Mon–Fri" : names.join(", ");
+  return `${days} ${rule.start}–${rule.end}`;
+}
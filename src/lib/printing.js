@@ -0,0 +1,51 @@
+import { flushSync } from "react-dom";
+import { createRoot } from "react-dom/client";
+
+/** Renders a React element off-screen and prints the resulting markup. */
+export function printElement(title, element, options) {
+  const host = document.createElement("div");
+  const root = createRoot(host);
+  flushSync(() => root.render(element));
+  const html = host.innerHTML;
+  root.unmount();
+  printHtml(title, html, options);
+}
+
+/**
+ * Prints an HTML fragment in its own window so the till's dark UI and layout
+ * never end up on paper. The caller supplies body markup; basic print CSS is added here.
+ */
+export function printHtml(title, bodyHtml, { css = "" } = {}) {
+  const w = window.open("", "_blank", "width=480,height=720");
+  if (!w) {
+    alert("Allow pop-ups for this site to print.");
+    return;
+  }
+
+  w.document.write(`<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; color: #000; background: #fff; margin: 16px; }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { padding: 2px 4px; text-align: left; vertical-align: top; }
+      td.num, th.num { text-align: right; white-space: nowrap; }
+      ${css}
+    </style>
+  </head>
+  <body>${bodyHtml}</body>
+</html>`);
+  w.document.close();
+  w.focus();
+  // Give the new document a tick to lay out before the print dialog snapshots it
+  w.setTimeout(() => {
+    w.print();
+    w.close();
+  }, 50);
+}
+
+export function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
@@ -0,0 +1,77 @@
+/**
+ * Installable app: service worker registration, updates and the install prompt.
+ *
+ * The service worker (src/sw.js) serves the till from a versioned cache, so a
+ * reload with the Wi-Fi down still starts it. A new deploy installs in the
+ * background and then waits; it only takes over when applyUpdate() is called,
+ * and every open window reloads once its own basket is empty — so the version
+ * never changes under a sale in progress.
+ *
+ * Only registered in production builds; `vite` dev serves modules straight from disk.
+ */
+
+// A till can stay open all day, so look for new deploys now and then
+const UPDATE_CHECK_MS = 30 * 60 * 1000;
+
+/**
+ * Registers the service worker. `onUpdateReady(worker)` fires when a new version
+ * is installed and waiting; `onControllerChange()` when one has taken over this
+ * page, which should then reload when it safely can. Returns a cleanup function.
+ */
+export function registerServiceWorker({ onUpdateReady, onControllerChange }) {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return () => {};
+
+  const sw = navigator.serviceWorker;
+  let cancelled = false;
+  let timer = null;
+
+  // The very first install also takes control, but there's nothing to reload for then
+  const hadController = !!sw.controller;
+  const changed = () => hadController && onControllerChange();
+  sw.addEventListener("controllerchange", changed);
+
+  sw.register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((reg) => {
+      if (cancelled) return;
+      const ready = (worker) => !cancelled && sw.controller && onUpdateReady(worker);
+      if (reg.waiting) ready(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        worker?.addEventListener("statechange", () => worker.state === "installed" && ready(worker));
+      });
+      timer = setInterval(() => reg.update().catch(() => {}), UPDATE_CHECK_MS);
+    })
+    .catch((err) => console.warn("Service worker not registered; the till won't start offline.", err));
+
+  // Ask the browser not to evict the journal and stock data under storage pressure
+  navigator.storage?.persist?.().catch(() => {});
+
+  return () => {
+    cancelled = true;
+    clearInterval(timer);
+    sw.removeEventListener("controllerchange", changed);
+  };
+}
+
+/** Lets a waiting version take over; open windows then get onControllerChange(). */
+export function applyUpdate(worker) {
+  worker.postMessage({ type: "SKIP_WAITING" });
+}
+
+/**
+ * Holds on to the browser's install prompt so the till can offer its own
+ * Install button. `onPrompt(event)` gets the deferred prompt, or null once installed.
+ */
+export function listenForInstallPrompt(onPrompt) {
+  const deferred = (e) => {
+    e.preventDefault();
+    onPrompt(e);
+  };
+  const installed = () => onPrompt(null);
+  window.addEventListener("beforeinstallprompt", deferred);
+  window.addEventListener("appinstalled", installed);
+  return () => {
+    window.removeEventListener("beforeinstallprompt", deferred);
+    window.removeEventListener("appinstalled", installed);
+  };
+}
@@ -0,0 +1,262 @@
+import { formatDateTime, formatPence } from "./helpers.js";
+import { describeModifier } from "./modifiers.js";
+import { escapeHtml, printHtml } from "./printing.js";
+import { TENDER_LABELS, saleTenders } from "./tenders.js";
+import { vatBreakdown } from "./vat.js";
+
+/**
+ * Customer receipts for a completed sale, from the journal record.
+ *
+ * buildReceipt() turns a sale and the venue settings (state.venue) into one
+ * receipt model; receiptHtml() lays it out for an 80mm roll in the browser's
+ * print dialog and receiptEscPos() encodes it as raw ESC/POS bytes for a thermal
+ * printer. Both render the same model so paper and screen always agree.
+ */
+
+// Characters per line in font A on 80mm paper (576 dots / 12)
+export const RECEIPT_WIDTH = 48;
+
+/**
+ * VAT included in the sale, by rate: [{ ratePercent, netPence, vatPence, grossPence }].
+ * Zero-rated lines aren't listed. Sales from before lines recorded their rate use the venue's.
+ */
+export function vatSummary(sale, venue) {
+  return vatBreakdown(sale.lines, venue.vatRatePercent || 0).filter((v) => v.ratePercent > 0);
+}
+
+export function buildReceipt(sale, venue, { reprint = false } = {}) {
+  const listPence = sale.lines.reduce((sum, l) => sum + l.pricePence * l.qty, 0);
+  const discountPence = sale.discountPence || 0;
+
+  return {
+    venueName: venue.name,
+    addressLines: venue.addressLines || [],
+    vatNumber: venue.vatNumber || "",
+    reprint,
+    refundOf: sale.refundOf || null,
+    when: formatDateTime(sale.createdAt),
+    saleId: sale.id,
+    staffName: sale.staffName || null,
+    tabName: sale.tabName || null,
+    lines: sale.lines.map((l) => ({
+      text: `${l.qty} x ${l.label}`,
+      each: l.qty > 1 ? `@ ${formatPence(l.pricePence)}` : null,
+      totalPence: l.totalPence,
+      notes: [
+        ...(l.modifiers || []).map((m) => `+ ${describeModifier(m)}`),
+        l.priceRule,
+        l.dealNote && `Deal: ${l.dealNote}`,
+        l.discountNote && `Discount: ${l.discountNote}`,
+      ].filter(Boolean),
+    })),
+    savedPence: listPence - sale.totalPence - discountPence,
+    discounts: (sale.discounts || []).map((d) => ({
+      text: d.label ? `${d.name} (${d.label})` : d.name,
+      amountPence: d.amountPence,
+    })),
+    totalPence: sale.totalPence,
+    tenders: saleTenders(sale).map((t) => ({ label: TENDER_LABELS[t.method] || t.method, amountPence: t.amountPence })),
+    changePence: sale.changePence,
+    roundingPence: sale.roundingPence || 0,
+    vat: vatSummary(sale, venue),
+    footer: venue.receiptFooter || "",
+  };
+}
+
+// ---------- HTML (80mm) ----------
+
+const RECEIPT_CSS = `
+  @page { size: 80mm auto; margin: 0; }
+  body { margin: 0; }
+  .receipt { width: 72mm; margin: 0 auto; padding: 4mm 0; font: 12px/1.35 "Courier New", monospace; }
+  .center { text-align: center; }
+  .venue { font-size: 16px; font-weight: 700; }
+  .rule { border-top: 1px dashed #000; margin: 6px 0; }
+  .note { font-size: 11px; padding-left: 8px; }
+  .total td { font-size: 15px; font-weight: 700; }
+`;
+
+export function receiptHtml(r) {
+  const row = (left, pence, cls = "") =>
+    `<tr class="${cls}"><td>${escapeHtml(left)}</td><td class="num">${escapeHtml(formatPence(pence))}</td></tr>`;
+
+  const lines = r.lines
+    .map(
+      (l) =>
+        row(l.each ? `${l.text} ${l.each}` : l.text, l.totalPence) +
+        l.notes.map((n) => `<tr><td colspan="2" class="note">${escapeHtml(n)}</td></tr>`).join("")
+    )
+    .join("");
+
+  return `<div class="receipt">
+  <div class="center venue">${escapeHtml(r.venueName)}</div>
+  ${r.addressLines.map((a) => `<div class="center">${escapeHtml(a)}</div>`).join("")}
+  ${r.vatNumber ? `<div class="center">VAT No. ${escapeHtml(r.vatNumber)}</div>` : ""}
+  ${r.reprint ? `<div class="center"><b>*** REPRINT ***</b></div>` : ""}
+  ${r.refundOf ? `<div class="center"><b>REFUND of sale #${escapeHtml(r.refundOf)}</b></div>` : ""}
+  <div class="rule"></div>
+  <div>${escapeHtml(r.when)}${r.staffName ? ` &middot; Served by ${escapeHtml(r.staffName)}` : ""}</div>
+  ${r.tabName ? `<div>Tab: ${escapeHtml(r.tabName)}</div>` : ""}
+  <div>Sale #${escapeHtml(r.saleId)}</div>
+  <div class="rule"></div>
+  <table>${lines}</table>
+  <div class="rule"></div>
+  <table>
+    ${r.savedPence > 0 ? row("Deals saved you", r.savedPence) : ""}
+    ${r.discounts.map((d) => row(d.text, -d.amountPence)).join("")}
+    ${row("TOTAL", r.totalPence, "total")}
+    ${r.roundingPence ? row("Cash rounding", r.roundingPence) : ""}
+    ${r.tenders.map((t) => row(t.label, t.amountPence)).join("")}
+    ${row("Change", r.changePence)}
+  </table>
+  ${
+    r.vat.length
+      ? `<div class="rule"></div><table>${r.vat
+          .map((v) => row(`VAT ${v.ratePercent}% on ${formatPence(v.netPence)}`, v.vatPence))
+          .join("")}</table>`
+      : ""
+  }
+  ${r.footer ? `<div class="rule"></div><div class="center">${escapeHtml(r.footer)}</div>` : ""}
+</div>`;
+}
+
+export function printReceipt(sale, venue, options) {
+  const r = buildReceipt(sale, venue, options);
+  printHtml(`Receipt ${sale.id}`, receiptHtml(r), { css: RECEIPT_CSS });
+}
+
+// ---------- ESC/POS ----------
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// Code page 437 has £ at 0x9C; anything else outside ASCII is simplified or replaced
+const CP437 = { "£": 0x9c, "×": 0x78, "•": 0x2a, "–": 0x2d, "—": 0x2d, "−": 0x2d, "…": 0x2e, "’": 0x27, "‘": 0x27 };
+
+function encodeText(text) {
+  const out = [];
+  // No euro sign in code page 437
+  for (const ch of text.replace(/€/g, "EUR").normalize("NFD").replace(/[\u0300-\u036f]/g, "")) {
+    const code = ch.charCodeAt(0);
+    if (code >= 0x20 && code < 0x7f) out.push(code);
+    else out.push(CP437[ch] ?? 0x3f);
+  }
+  return out;
+}
+
+/** Splits text into lines of at most `width` characters, breaking on spaces where possible. */
+function wrap(text, width) {
+  const lines = [];
+  let rest = text;
+  while (rest.length > width) {
+    let cut = rest.lastIndexOf(" ", width);
+    if (cut <= 0) cut = width;
+    lines.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).trimStart();
+  }
+  lines.push(rest);
+  return lines;
+}
+
+/** Left text and a right-aligned amount on one line (label wraps above if it won't fit). */
+function columns(left, right, width) {
+  const room = width - right.length - 1;
+  const wrapped = wrap(left, room);
+  const last = wrapped.pop();
+  return [...wrapped, last.padEnd(room) + " " + right];
+}
+
+export function receiptEscPos(r, { width = RECEIPT_WIDTH } = {}) {
+  const bytes = [ESC, 0x40, ESC, 0x74, 0x00]; // initialise, code page 437
+  const align = (n) => bytes.push(ESC, 0x61, n);
+  const bold = (on) => bytes.push(ESC, 0x45, on ? 1 : 0);
+  const size = (n) => bytes.push(GS, 0x21, n);
+  const line = (text = "") => bytes.push(...encodeText(text), LF);
+  const rule = () => line("-".repeat(width));
+  const amount = (label, pence) => columns(label, formatPence(pence), width).forEach((t) => line(t));
+
+  align(1);
+  bold(true);
+  size(0x11);
+  wrap(r.venueName, width / 2).forEach((t) => line(t));
+  size(0);
+  bold(false);
+  r.addressLines.forEach((a) => wrap(a, width).forEach((t) => line(t)));
+  if (r.vatNumber) line(`VAT No. ${r.vatNumber}`);
+  if (r.reprint || r.refundOf) {
+    bold(true);
+    if (r.reprint) line("*** REPRINT ***");
+    if (r.refundOf) line(`REFUND of sale #${r.refundOf}`);
+    bold(false);
+  }
+
+  align(0);
+  rule();
+  line(r.when);
+  if (r.staffName) line(`Served by ${r.staffName}`);
+  if (r.tabName) line(`Tab: ${r.tabName}`);
+  line(`Sale #${r.saleId}`);
+  rule();
+
+  for (const l of r.lines) {
+    amount(l.each ? `${l.text} ${l.each}` : l.text, l.totalPence);
+    l.notes.forEach((n) => wrap(n, width - 2).forEach((t) => line(`  ${t}`)));
+  }
+  rule();
+
+  if (r.savedPence > 0) amount("Deals saved you", r.savedPence);
+  r.discounts.forEach((d) => amount(d.text, -d.amountPence));
+  bold(true);
+  size(0x01); // double height only, so the total still fits the line
+  amount("TOTAL", r.totalPence);
+  size(0);
+  bold(false);
+  if (r.roundingPence) amount("Cash rounding", r.roundingPence);
+  r.tenders.forEach((t) => amount(t.label, t.amountPence));
+  amount("Change", r.changePence);
+
+  if (r.vat.length) {
+    rule();
+    r.vat.forEach((v) => amount(`VAT ${v.ratePercent}% on ${formatPence(v.netPence)}`, v.vatPence));
+  }
+  if (r.footer) {
+    rule();
+    align(1);
+    wrap(r.footer, width).forEach((t) => line(t));
+    align(0);
+  }
+
+  bytes.push(LF, LF, LF, GS, 0x56, 0x42, 0x03); // feed past the cutter, partial cut
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Sends ESC/POS bytes to a USB/serial receipt printer via Web Serial where the
+ * browser has it (Chrome/Edge), otherwise downloads them as a .bin file for
+ * the printer's own tools. Must be called from a click.
+ */
+export async function sendEscPos(bytes, fileName = "receipt.bin") {
+  if (navigator.serial) {
+    const port = await navigator.serial.requestPort();
+    await port.open({ baudRate: 9600 });
+    try {
+      const writer = port.writable.getWriter();
+      // Release even if the write fails (printer unplugged, out of paper), or the port can't close
+      try {
+        await writer.write(bytes);
+      } finally {
+        writer.releaseLock();
+      }
+    } finally {
+      await port.close();
+    }
+    return;
+  }
+
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([bytes], { type: "application/octet-stream" }));
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
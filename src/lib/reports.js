@@ -0,0 +1,261 @@
+import { getAll, tx } from "./db.js";
+import { listDrawerMoves, summariseDrawer } from "./drawer.js";
+import { isRefund, listSales } from "./journal.js";
+import { netByMethod } from "./tenders.js";
+import { vatBreakdown } from "./vat.js";
+import { listVoids } from "./voids.js";
+
+/**
+ * X and Z reports.
+ *
+ * A "period" runs from the close of the previous Z report (or the first sale
+ * ever) up to now. An X report is a live summary of the open period and changes
+ * nothing. A Z report summarises the same period, records the cash-up and is
+ * stored read-only; its `closedAt` becomes the start of the next period, which
+ * is what "resets the counters".
+ *
+ * Z record shape:
+ * {
+ *   number, openedAt, closedAt,
+ *   summary,                      // see summariseSales()
+ *   voids,                        // voids and refunds by staff member, see summariseVoids()
+ *   drawer,                       // float, pay-ins/outs and safe drops, see summariseDrawer() in drawer.js
+ *   openTabs: { count, totalPence, names },  // tabs still open, not settled, at the time
+ *   cashCount: { [denomPence]: count },
+ *   countedPence, expectedPence, overShortPence,  // over is +, short is -; expected is drawer.expectedPence
+ *   closedBy: { id, name } | null                 // who authorised the Z
+ * }
+ */
+
+/**
+ * Totals for a list of journal records.
+ * Refunds count against takings, items and their groups, but not as sales.
+ * Grouped figures are arrays sorted by value so they render in a sensible order;
+ * `vat` is the net/VAT/gross split by rate (see vatBreakdown() in vat.js).
+ */
+export function summariseSales(sales) {
+  const byCategory = new Map();
+  const byProduct = new Map();
+  const byBand = new Map();
+  const byMethod = new Map();
+  const byStaff = new Map();
+  const byDiscount = new Map();
+
+  let grossPence = 0;
+  let refundCount = 0;
+  let refundPence = 0;
+  let itemCount = 0;
+  let dealDiscountPence = 0;
+  let manualDiscountPence = 0;
+  let cashExpectedPence = 0;
+  let cashRoundingPence = 0;
+
+  const bump = (map, key, fields, qty, pence) => {
+    const row = map.get(key) || { ...fields, qty: 0, totalPence: 0 };
+    row.qty += qty;
+    row.totalPence += pence;
+    map.set(key, row);
+  };
+
+  for (const sale of sales) {
+    const count = isRefund(sale) ? 0 : 1;
+    grossPence += sale.totalPence;
+    cashRoundingPence += sale.roundingPence || 0;
+    if (!count) {
+      refundCount += 1;
+      refundPence -= sale.totalPence;
+    }
+    // Sales from before staff logins have no staff recorded
+    bump(byStaff, sale.staffId || "", { name: sale.staffName || "Unknown" }, count, sale.totalPence);
+    for (const [method, pence] of Object.entries(netByMethod(sale))) {
+      bump(byMethod, method, { method }, count, pence);
+      // Only cash ends up in the drawer, net of change given
+      if (method === "cash") cashExpectedPence += pence;
+    }
+
+    for (const l of sale.lines) {
+      itemCount += l.qty;
+      // What came off the list price is deals, apart from what manual discounts took
+      dealDiscountPence += l.pricePence * l.qty - l.totalPence - (l.discountPence || 0);
+      manualDiscountPence += l.discountPence || 0;
+
+      bump(byCategory, l.category || "Uncategorised", { category: l.category || "Uncategorised" }, l.qty, l.totalPence);
+      bump(byProduct, `${l.productId}|${l.unit}`, { label: l.label, unit: l.unit }, l.qty, l.totalPence);
+      if (l.bandId) bump(byBand, l.bandId, { bandId: l.bandId, name: l.bandName || l.bandId }, l.qty, l.totalPence);
+    }
+  }
+
+  for (const sale of sales) {
+    for (const d of sale.discounts || []) bump(byDiscount, d.name, { name: d.name }, 1, d.amountPence);
+  }
+
+  const sorted = (map) => Array.from(map.values()).sort((a, b) => b.totalPence - a.totalPence);
+
+  return {
+    saleCount: sales.length - refundCount,
+    itemCount,
+    grossPence,
+    refundCount,
+    refundPence,
+    dealDiscountPence,
+    manualDiscountPence,
+    cashExpectedPence,
+    cashRoundingPence,
+    byCategory: sorted(byCategory),
+    byProduct: sorted(byProduct),
+    byBand: sorted(byBand),
+    byMethod: sorted(byMethod),
+    byStaff: sorted(byStaff),
+    byDiscount: sorted(byDiscount),
+    vat: vatBreakdown(sales.flatMap((s) => s.lines)),
+  };
+}
+
+/**
+ * Voids and refunds per staff member, plus a line-by-line log for the period.
+ * `sales` may include ordinary sales; only refunds are counted. Values are positive pence.
+ * { voidCount, voidPence, refundCount, refundPence,
+ *   byStaff: [{ name, voidCount, voidPence, refundCount, refundPence }],
+ *   entries: [{ kind, createdAt, staffName, authorisedBy, reason, items, totalPence }] }   // newest first
+ */
+export function summariseVoids(voids, sales) {
+  const byStaff = new Map();
+  const entries = [];
+  const totals = { voidCount: 0, voidPence: 0, refundCount: 0, refundPence: 0 };
+
+  const add = (kind, record, pence) => {
+    const key = record.staffId || "";
+    const row = byStaff.get(key) || { name: record.staffName || "Unknown", voidCount: 0, voidPence: 0, refundCount: 0, refundPence: 0 };
+    row[`${kind}Count`] += 1;
+    row[`${kind}Pence`] += pence;
+    totals[`${kind}Count`] += 1;
+    totals[`${kind}Pence`] += pence;
+    byStaff.set(key, row);
+    entries.push({
+      kind,
+      createdAt: record.createdAt,
+      staffName: record.staffName || "Unknown",
+      authorisedBy: record.authorisedBy?.name || null,
+      reason: record.reason || "",
+      items: record.lines.map((l) => `${Math.abs(l.qty)} × ${l.label}`).join(", "),
+      totalPence: pence,
+    });
+  };
+
+  for (const v of voids) add("void", v, v.totalPence);
+  for (const r of sales.filter(isRefund)) add("refund", r, -r.totalPence);
+
+  return {
+    ...totals,
+    byStaff: Array.from(byStaff.values()).sort((a, b) => b.voidPence + b.refundPence - (a.voidPence + a.refundPence)),
+    entries: entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+  };
+}
+
+export function countDrawer(cashCount) {
+  return Object.entries(cashCount || {}).reduce((sum, [denom, n]) => sum + Number(denom) * (Number(n) || 0), 0);
+}
+
+export function overShortLabel(pence) {
+  if (pence > 0) return "Over";
+  if (pence < 0) return "Short";
+  return "Over / short";
+}
+
+/** All closed Z reports, newest first. */
+export async function listZReports() {
+  const rows = await getAll("zReports");
+  return rows.sort((a, b) => b.number - a.number);
+}
+
+async function lastZReport() {
+  const rows = await listZReports();
+  return rows[0] || null;
+}
+
+/**
+ * Open tabs are not takings yet, but they belong on the report so nobody
+ * cashes up while a tab is still running. `tabs` need `name` and `totalPence`.
+ */
+export function summariseOpenTabs(tabs = []) {
+  return {
+    count: tabs.length,
+    totalPence: tabs.reduce((sum, t) => sum + (t.totalPence || 0), 0),
+    names: tabs.map((t) => t.name),
+  };
+}
+
+/** Live X report for the open period. */
+export async function buildXReport({ openTabs, now = new Date() } = {}) {
+  const last = await lastZReport();
+  const openedAt = last ? last.closedAt : null;
+  const sales = await salesAfter(openedAt);
+  const voids = await voidsAfter(openedAt);
+  const summary = summariseSales(sales);
+
+  return {
+    kind: "X",
+    number: (last?.number || 0) + 1,
+    openedAt: openedAt || sales[sales.length - 1]?.createdAt || now.toISOString(),
+    takenAt: now.toISOString(),
+    summary,
+    voids: summariseVoids(voids, sales),
+    drawer: summariseDrawer(await drawerMovesAfter(openedAt), summary.cashExpectedPence),
+    openTabs: summariseOpenTabs(openTabs),
+  };
+}
+
+/**
+ * Closes the open period: summarises it, records the cash count and stores the Z.
+ * Sales made while this runs land in the next period, since they are after `closedAt`.
+ */
+export async function closeZReport({ cashCount, openTabs, closedBy = null, now = new Date() }) {
+  const closedAt = now.toISOString();
+  const last = await lastZReport();
+  const openedAt = last ? last.closedAt : null;
+  const sales = (await salesAfter(openedAt)).filter((s) => s.createdAt <= closedAt);
+  const voids = (await voidsAfter(openedAt)).filter((v) => v.createdAt <= closedAt);
+  const moves = (await drawerMovesAfter(openedAt)).filter((m) => m.createdAt <= closedAt);
+  const summary = summariseSales(sales);
+  const drawer = summariseDrawer(moves, summary.cashExpectedPence);
+
+  const countedPence = countDrawer(cashCount);
+  const z = {
+    number: (last?.number || 0) + 1,
+    openedAt: openedAt || sales[sales.length - 1]?.createdAt || closedAt,
+    closedAt,
+    summary,
+    voids: summariseVoids(voids, sales),
+    drawer,
+    openTabs: summariseOpenTabs(openTabs),
+    cashCount: { ...cashCount },
+    countedPence,
+    expectedPence: drawer.expectedPence,
+    overShortPence: countedPence - drawer.expectedPence,
+    closedBy: closedBy ? { id: closedBy.id, name: closedBy.name } : null,
+  };
+
+  // `add` rejects if another till/tab already closed this number
+  await tx("zReports", "readwrite", (s) => s.zReports.add(z));
+  return z;
+}
+
+/** Sales strictly after `iso` (all sales if null), newest first. */
+async function salesAfter(iso) {
+  if (!iso) return listSales();
+  // The index range is inclusive; a sale stamped exactly at closedAt belongs to the closed period
+  const rows = await listSales({ from: iso });
+  return rows.filter((s) => s.createdAt > iso);
+}
+
+/** Voids strictly after `iso` (all voids if null), newest first. */
+async function voidsAfter(iso) {
+  const rows = await listVoids(iso ? { from: iso } : {});
+  return iso ? rows.filter((v) => v.createdAt > iso) : rows;
+}
+
+/** Drawer movements strictly after `iso` (all of them if null), newest first. */
+async function drawerMovesAfter(iso) {
+  const rows = await listDrawerMoves(iso ? { from: iso } : {});
+  return iso ? rows.filter((m) => m.createdAt > iso) : rows;
+}
@@ -0,0 +1,82 @@
+import { isOverridePriced, productsUsingBand } from "./catalog.js";
+import { formatPence } from "./helpers.js";
+
+/**
+ * Bulk repricing: "+X%" or "+Yp" across a band or a category, with rounding.
+ *
+ * planReprice() only works out the changes so the admin can preview them;
+ * applyReprice() commits a plan to state. Scopes:
+ *   { kind: "band", id }          every unit price on that band
+ *   { kind: "category", id }      override-priced products in that category
+ *                                 (band-priced ones are only listed in `notes`: reprice their band)
+ */
+
+export const ROUNDING_STEPS = [1, 5, 10];
+
+/** "Nearest £0.05" in the venue's currency; labelled when shown, as the money format can change. */
+export function roundingLabel(step) {
+  return step > 1 ? `Nearest ${formatPence(step)}` : "No rounding";
+}
+
+export function roundTo(pence, step) {
+  if (!step || step <= 1) return Math.round(pence);
+  return Math.round(pence / step) * step;
+}
+
+/** `mode` is "percent" or "pence"; `amount` may be negative for a price cut. Never goes below 0. */
+export function adjustPrice(pence, { mode, amount, roundStep }) {
+  const raw = mode === "percent" ? pence * (1 + amount / 100) : pence + amount;
+  return Math.max(0, roundTo(raw, roundStep));
+}
+
+export function planReprice({ bands, products }, { scope, mode, amount, roundStep }) {
+  const changes = [];
+  const notes = [];
+  const adjust = (p) => adjustPrice(p, { mode, amount, roundStep });
+
+  if (scope.kind === "band") {
+    const band = bands.find((b) => b.id === scope.id);
+    if (band) {
+      for (const unit of band.units) {
+        const oldPence = band.pricesPence[unit] || 0;
+        changes.push({ kind: "band", id: band.id, name: band.name, unit, oldPence, newPence: adjust(oldPence) });
+      }
+      // Listed so the admin can see every product the change reaches
+      for (const p of productsUsingBand(products, band.id)) notes.push({ id: p.id, name: p.name, reason: "follows band" });
+    }
+  } else if (scope.kind === "category") {
+    for (const p of products.filter((x) => x.category === scope.id)) {
+      if (!isOverridePriced(p)) {
+        const bandName = bands.find((b) => b.id === p.bandId)?.name || p.bandId;
+        notes.push({ id: p.id, name: p.name, reason: `priced by band ${bandName}` });
+        continue;
+      }
+      for (const unit of p.units) {
+        const oldPence = p.pricesPence[unit] || 0;
+        changes.push({ kind: "product", id: p.id, name: p.name, unit, oldPence, newPence: adjust(oldPence) });
+      }
+    }
+  }
+
+  return { changes, notes };
+}
+
+export function applyReprice(state, plan) {
+  const byTarget = new Map();
+  for (const c of plan.changes) {
+    const key = `${c.kind}:${c.id}`;
+    byTarget.set(key, { ...(byTarget.get(key) || {}), [c.unit]: c.newPence });
+  }
+
+  return {
+    ...state,
+    bands: state.bands.map((b) => {
+      const prices = byTarget.get(`band:${b.id}`);
+      return prices ? { ...b, pricesPence: { ...b.pricesPence, ...prices } } : b;
+    }),
+    products: state.products.map((p) => {
+      const prices = byTarget.get(`product:${p.id}`);
+      return prices ? { ...p, pricesPence: { ...p.pricesPence, ...prices } } : p;
+    }),
+  };
+}
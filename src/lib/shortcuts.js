@@ -0,0 +1,64 @@
+/**
+ * Keyboard shortcuts on the till screen, for a numeric keypad, a full keyboard
+ * or a USB barcode scanner (which types the digits and presses Enter).
+ *
+ * Digits build up an entry that Enter rings up as a PLU or barcode (see codes.js);
+ * "×" before it sets the quantity, so "3 × 101 Enter" rings up three of PLU 101.
+ * Enter with nothing entered completes the sale.
+ *
+ * Ignored while typing in a field or with a dialog open, so they never fight the
+ * search box, PIN pad or editors. Enter on a focused button or link presses it
+ * rather than completing the sale, unless it ends a code being typed or scanned.
+ */
+
+export const SHORTCUTS = [
+  ["0–9 then Enter", "Ring up a PLU code (or scan a barcode)"],
+  ["* or x", "Quantity: 3 * 101 Enter rings up three"],
+  ["Backspace / Esc", "Rub out a digit / clear the entry"],
+  ["+ / -", "One more / one less of the last item"],
+  ["F2 or Ctrl+Z", "Undo the last item"],
+  ["F4", "Exact cash"],
+  ["Enter (nothing entered) or F12", "Complete the sale"],
+  ["?", "Show these keys"],
+];
+
+export const MAX_QTY = 99;
+
+/**
+ * What a keydown means on the till screen, or null when it isn't a shortcut:
+ * { action: "digit", digit } | { action: "backspace" | "clear" | "multiply" | "enter" | "more" | "less" |
+ *   "undo" | "exactCash" | "complete" | "help" }
+ */
+export function keyAction(e) {
+  if (e.altKey || e.metaKey) return null;
+  if (e.ctrlKey) return e.key.toLowerCase() === "z" ? { action: "undo" } : null;
+
+  if (/^\d$/.test(e.key)) return { action: "digit", digit: e.key };
+  const action = {
+    Backspace: "backspace",
+    Escape: "clear",
+    "*": "multiply",
+    x: "multiply",
+    X: "multiply",
+    Enter: "enter",
+    "+": "more",
+    "-": "less",
+    F2: "undo",
+    F4: "exactCash",
+    F12: "complete",
+    "?": "help",
+  }[e.key];
+  return action ? { action } : null;
+}
+
+/** Whether a key event presses the focused button or link (Enter or Space), as it would without the till. */
+export function activatesControl(e) {
+  if (e.key !== "Enter" && e.key !== " ") return false;
+  return !!e.target?.closest?.("button, a[href], [role=button]");
+}
+
+/** Whether a key event belongs to a field being typed in rather than the till screen. */
+export function isTyping(target) {
+  const tag = target?.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || !!target?.isContentEditable;
+}
@@ -0,0 +1,107 @@
+import { uid } from "./helpers.js";
+
+/**
+ * Staff accounts, roles and permissions (state.staff).
+ *
+ * Member shape:
+ * {
+ *   id, name, role,                          // role: key of ROLES
+ *   pin: { salt, hash, iterations }          // PBKDF2-SHA256, hex; the PIN itself is never stored
+ * }
+ *
+ * Whoever is signed in serves the sale and is written into the journal. Actions
+ * their role doesn't allow can be authorised on the spot by someone whose role does.
+ */
+
+export const ROLES = {
+  bar: "Bar staff",
+  supervisor: "Supervisor",
+  manager: "Manager",
+};
+
+export const PERMISSIONS = {
+  editPrices: "Edit prices & settings",
+  voidLines: "Void lines",
+  refund: "Give refunds",
+  discount: "Give discounts",
+  comp: "Give items away free (comps)",
+  cashDrawer: "Pay in, pay out & safe drops",
+  zReport: "Run Z reports",
+  manageStock: "Book deliveries & stock-takes",
+  manageStaff: "Manage staff",
+};
+
+const ROLE_PERMISSIONS = {
+  bar: [],
+  supervisor: ["voidLines", "refund", "discount", "cashDrawer", "manageStock"],
+  manager: Object.keys(PERMISSIONS),
+};
+
+const PIN_ITERATIONS = 100000;
+const PIN_PATTERN = /^\d{4,8}$/;
+
+export function can(member, permission) {
+  return !!member && (ROLE_PERMISSIONS[member.role] || []).includes(permission);
+}
+
+export function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+const toHex = (bytes) => Array.from(new Uint8Array(bytes), (b) => b.toString(16).padStart(2, "0")).join("");
+const fromHex = (hex) => new Uint8Array(hex.match(/../g).map((h) => parseInt(h, 16)));
+
+async function derive(pin, saltHex, iterations) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(pin), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: fromHex(saltHex), iterations },
+    key,
+    256
+  );
+  return toHex(bits);
+}
+
+export async function hashPin(pin) {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return { salt, hash: await derive(pin, salt, PIN_ITERATIONS), iterations: PIN_ITERATIONS };
+}
+
+export async function verifyPin(member, pin) {
+  if (!member?.pin || !pin) return false;
+  const hash = await derive(pin, member.pin.salt, member.pin.iterations);
+  // Compare every character so a wrong PIN takes the same time however close it was
+  let diff = hash.length ^ member.pin.hash.length;
+  for (let i = 0; i < hash.length; i++) diff |= hash.charCodeAt(i) ^ member.pin.hash.charCodeAt(i);
+  return diff === 0;
+}
+
+export async function createStaffMember({ name, role, pin }) {
+  return { id: `s-${uid()}`, name: name.trim(), role, pin: await hashPin(pin) };
+}
+
+export function validatePin(pin) {
+  return PIN_PATTERN.test(pin || "") ? null : "PIN must be 4 to 8 digits.";
+}
+
+/** Field-level errors for a member about to be saved; `pin` is only checked when given. */
+export function validateStaffMember({ id, name, role, pin }, staff) {
+  const errors = {};
+  const trimmed = (name || "").trim();
+  if (!trimmed) errors.name = "Enter a name.";
+  else if (staff.some((m) => m.id !== id && m.name.toLowerCase() === trimmed.toLowerCase())) {
+    errors.name = "Someone already has that name.";
+  }
+  if (!ROLES[role]) errors.role = "Pick a role.";
+  if (pin !== undefined) {
+    const problem = validatePin(pin);
+    if (problem) errors.pin = problem;
+  }
+  if (id && role !== "manager" && lastManagerBlocker(staff, id)) errors.role = lastManagerBlocker(staff, id);
+  return errors;
+}
+
+/** Why `id` can't stop being a manager (or be deleted), or null if it can. */
+export function lastManagerBlocker(staff, id) {
+  const managers = staff.filter((m) => m.role === "manager");
+  return managers.length === 1 && managers[0].id === id ? "There must always be at least one manager." : null;
+}
@@ -0,0 +1,145 @@
+import { getAll, getAllByIndex, tx } from "./db.js";
+import { uid } from "./helpers.js";
+
+/**
+ * Stock tracking.
+ *
+ * Stock items are config (state.stockItems):
+ *   { id, name, measure: "ml" | "each", packSize: 700, packName: "bottle", lowPacks: 1 }
+ * and a product says how much of one item each of its units uses (product.stock):
+ *   { itemId, usage: { Single: 25, Double: 50 } }          // in the item's measure
+ * A modifier option can use stock too, per item it's picked on (see modifiers.js).
+ *
+ * Levels and movements grow with trade, so they live in IndexedDB:
+ *   stockLevels: { itemId, quantity }                       // may go negative if sales outrun bookings
+ *   stockMoves:  { id, createdAt, itemId, delta, reason: "sale" | "delivery" | "stocktake",
+ *                  saleId?, expected?, counted?, note, staffName }
+ *
+ * An item with no level yet (never booked in or counted) is "untracked" and shows no warnings.
+ */
+
+export const MEASURES = {
+  ml: "ml",
+  each: "each",
+};
+
+export function newStockItem() {
+  return { id: `st-${uid()}`, name: "", measure: "ml", packSize: 700, packName: "bottle", lowPacks: 1 };
+}
+
+/** Field-level errors for a stock item about to be saved, as { field: message }. */
+export function validateStockItem(item, items) {
+  const errors = {};
+  const name = (item.name || "").trim();
+  if (!name) errors.name = "Name is required.";
+  else if (items.some((i) => i.id !== item.id && i.name.trim().toLowerCase() === name.toLowerCase())) {
+    errors.name = "Another stock item already has this name.";
+  }
+  if (!MEASURES[item.measure]) errors.measure = "Pick a measure.";
+  if (!(item.packSize > 0)) errors.packSize = "Pack size must be more than 0.";
+  if (!(item.packName || "").trim()) errors.packName = "Name the pack (e.g. bottle, keg).";
+  if (!(item.lowPacks >= 0)) errors.lowPacks = "Enter 0 or more.";
+  return errors;
+}
+
+/** Field-level errors for a product's stock link; `units` are the product's sale units. */
+export function validateStockLink(stock, { stockItems, units }) {
+  if (!stock) return {};
+  if (!stockItems.some((i) => i.id === stock.itemId)) return { stock: `Stock item "${stock.itemId}" doesn't exist.` };
+  const entries = Object.entries(stock.usage || {});
+  if (!entries.length) return { stock: "Enter how much at least one unit uses." };
+  const bad = entries.find(([unit, amount]) => !units.includes(unit) || !(amount > 0));
+  return bad ? { stock: `Usage for ${bad[0]} must be more than 0.` } : {};
+}
+
+export function productsUsingStockItem(products, itemId) {
+  return products.filter((p) => p.stock?.itemId === itemId);
+}
+
+/** "out" | "low" | null; an untracked level (undefined) is never low. */
+export function stockStatus(item, quantity) {
+  if (!item || quantity === undefined) return null;
+  if (quantity <= 0) return "out";
+  return quantity <= item.lowPacks * item.packSize ? "low" : null;
+}
+
+/** "3.4 bottles (2380 ml)", or "24 each" for items counted singly. */
+export function formatStock(item, quantity) {
+  const base = `${Math.round(quantity * 10) / 10} ${MEASURES[item.measure]}`;
+  if (item.packSize === 1) return base;
+  const packs = Math.round((quantity / item.packSize) * 10) / 10;
+  return `${packs} ${item.packName}${packs === 1 ? "" : "s"} (${base})`;
+}
+
+/**
+ * The stock a completed sale used, as moves ready for applyStockMoves().
+ * `optionById` (see buildOptionIndex() in modifiers.js) adds what picked modifiers used.
+ */
+export function saleStockMoves(sale, productById, optionById = new Map()) {
+  const used = new Map();
+  const addUse = (itemId, amount) => used.set(itemId, (used.get(itemId) || 0) + amount);
+  for (const l of sale.lines) {
+    const stock = productById.get(l.productId)?.stock;
+    const amount = stock?.usage?.[l.unit];
+    if (amount) addUse(stock.itemId, amount * l.qty);
+    for (const m of l.modifiers || []) {
+      const extra = optionById.get(m.optionId)?.stock;
+      if (extra) addUse(extra.itemId, extra.amount * l.qty);
+    }
+  }
+  return Array.from(used, ([itemId, amount]) =>
+    newMove({ itemId, delta: -amount, reason: "sale", saleId: sale.id, staffName: sale.staffName, now: new Date(sale.createdAt) })
+  );
+}
+
+export function newMove({ itemId, delta, reason, saleId = null, note = "", staffName = null, now = new Date() }) {
+  return { id: `${now.getTime().toString(36)}-${uid()}`, createdAt: now.toISOString(), itemId, delta, reason, saleId, note, staffName };
+}
+
+/** Current levels as { [itemId]: quantity }; items never booked in are absent. */
+export async function getStockLevels() {
+  const rows = await getAll("stockLevels");
+  return Object.fromEntries(rows.map((r) => [r.itemId, r.quantity]));
+}
+
+/** Writes moves and adjusts levels by their deltas in one transaction. */
+export function applyStockMoves(moves) {
+  return tx(["stockLevels", "stockMoves"], "readwrite", (s) => {
+    const totals = new Map();
+    for (const m of moves) totals.set(m.itemId, (totals.get(m.itemId) || 0) + m.delta);
+    for (const [itemId, delta] of totals) {
+      const req = s.stockLevels.get(itemId);
+      req.onsuccess = () => s.stockLevels.put({ itemId, quantity: (req.result?.quantity || 0) + delta });
+    }
+    for (const m of moves) s.stockMoves.add(m);
+    return moves;
+  });
+}
+
+/**
+ * Sets levels to what was counted. The expected level is read in the same
+ * transaction, so sales rung up while counting can't skew the variance.
+ * `counts` is { [itemId]: counted }; resolves with the stocktake moves (delta = counted - expected).
+ */
+export function recordStockTake(counts, { staffName = null, now = new Date() } = {}) {
+  return tx(["stockLevels", "stockMoves"], "readwrite", (s) => {
+    const moves = [];
+    for (const [itemId, counted] of Object.entries(counts)) {
+      const req = s.stockLevels.get(itemId);
+      req.onsuccess = () => {
+        const expected = req.result?.quantity ?? 0;
+        const move = { ...newMove({ itemId, delta: counted - expected, reason: "stocktake", staffName, now }), expected, counted };
+        moves.push(move);
+        s.stockLevels.put({ itemId, quantity: counted });
+        s.stockMoves.add(move);
+      };
+    }
+    return moves;
+  });
+}
+
+/** Moves since `from` (ISO, optional), newest first. */
+export async function listStockMoves({ from } = {}) {
+  const rows = await getAllByIndex("stockMoves", "createdAt", { from });
+  return rows.reverse();
+}
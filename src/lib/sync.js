@@ -0,0 +1,387 @@
+import { parseConfig, validateConfig } from "./config.js";
+
+/**
+ * Multi-till sync: config and open tabs shared between tills through a small
+ * self-hosted sync server (server/sync-server.js), and between windows of the
+ * same browser over a BroadcastChannel.
+ *
+ * Everything shared is a "doc": "config" (the whole config blob) and one
+ * "tab:<id>" per open tab, null once it's settled or cancelled. The server
+ * keeps each doc's latest value and revision, and only takes a write made
+ * against the revision it holds. It forgets settled tabs after a while; a till
+ * that was away longer gets every doc again and drops the tabs that are missing.
+ *
+ * A till keeps the last revision it got from the server (the base) and its own
+ * unsent changes (the outbox) in localStorage, so changes made while the server
+ * is unreachable go up when it's back. When both sides changed a doc it is
+ * merged three ways against the base (see mergeConfig and mergeTab).
+ *
+ * Sales, stock and reports are not synced; each till keeps its own journal.
+ * Only one window per browser talks to the server (see whileLeader).
+ */
+
+const SETTINGS_KEY = "pub-till-sync-v1";
+const STORE_KEY = "pub-till-sync-state-v1";
+const CHANNEL_NAME = "pub-till";
+const LOCK_NAME = "pub-till-sync";
+
+const POLL_WAIT_S = 25;
+const RETRY_MS = 5000;
+
+const CONFIG_LISTS = [
+  "bands",
+  "products",
+  "deals",
+  "priceRules",
+  "staff",
+  "stockItems",
+  "discountPresets",
+  "modifierGroups",
+];
+
+// ---------- Settings (per device, never synced) ----------
+
+export function loadSyncSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { url: saved?.url || "", secret: saved?.secret || "" };
+  } catch {
+    return { url: "", secret: "" };
+  }
+}
+
+export function saveSyncSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// ---------- Docs ----------
+
+// JSON with sorted keys, so the same data built in a different order still compares equal
+const canonical = (x) =>
+  JSON.stringify(x ?? null, (_k, v) =>
+    v && typeof v === "object" && !Array.isArray(v) ? Object.fromEntries(Object.keys(v).sort().map((k) => [k, v[k]])) : v
+  );
+
+export const sameDoc = (a, b) => canonical(a) === canonical(b);
+
+/**
+ * The docs among `config` and `tabs` that differ from `seen` (key -> value last
+ * shared or received), as [key, value] pairs; `seen` is updated to match. A tab
+ * in `seen` that is no longer open comes out as null.
+ */
+export function changedDocs(seen, { config, tabs }) {
+  const docs = new Map([["config", config], ...tabs.map((t) => [`tab:${t.id}`, t])]);
+  for (const [key, value] of seen) if (value !== null && !docs.has(key)) docs.set(key, null);
+
+  const changed = [];
+  for (const [key, value] of docs) {
+    if (seen.has(key) && sameDoc(seen.get(key), value)) continue;
+    seen.set(key, value);
+    changed.push([key, value]);
+  }
+  return changed;
+}
+
+/**
+ * Three-way merge of two tills' configs against the last one they shared.
+ * Each band, product, deal, etc. is merged by id, and everything else (venue,
+ * settings) as a whole: a side's change is kept when the other side left that
+ * item alone. When both changed the same item, `remote` wins and the item's
+ * name is listed in `conflicts`.
+ */
+export function mergeConfig(base, local, remote) {
+  // A till that has never synced takes the shared config as it stands
+  if (!base) return { value: remote, conflicts: [] };
+
+  const conflicts = [];
+  const pick = (b, l, r, label) => {
+    if (sameDoc(l, b)) return r;
+    if (sameDoc(r, b) || sameDoc(l, r)) return l;
+    conflicts.push(label);
+    return r;
+  };
+
+  const value = {};
+  for (const key of new Set([...Object.keys(remote), ...Object.keys(local)])) {
+    const merged = CONFIG_LISTS.includes(key)
+      ? mergeById(base[key] || [], local[key] || [], remote[key] || [], pick)
+      : pick(base[key], local[key], remote[key], key);
+    if (merged !== undefined) value[key] = merged;
+  }
+
+  // e.g. a product of ours still on a band the other till deleted
+  if (validateConfig(value).length) return { value: remote, conflicts: ["this till's unsent changes"] };
+  return { value, conflicts };
+}
+
+function mergeById(base, local, remote, pick) {
+  const byId = (list) => new Map(list.map((x) => [x.id, x]));
+  const [b, l, r] = [byId(base), byId(local), byId(remote)];
+  const ids = [...r.keys(), ...Array.from(l.keys()).filter((id) => !r.has(id))];
+  return ids.map((id) => pick(b.get(id), l.get(id), r.get(id), l.get(id)?.name || r.get(id)?.name || id)).filter(Boolean);
+}
+
+/**
+ * Three-way merge of a tab changed on two tills. Quantities are merged line by
+ * line (rounds added on both tills all stay on the tab); other fields are
+ * taken from whichever side changed them, `remote` if both did.
+ *
+ * A tab settled on one till while the other added to it stays open with just
+ * the lines added since, since those haven't been paid for.
+ */
+export function mergeTab(base, local, remote) {
+  const qtyOf = (tab, key) => tab?.lines.find((l) => l.key === key)?.qty || 0;
+
+  if (!local || !remote) {
+    const open = local || remote;
+    if (!open) return { value: null, conflicts: [] };
+    const lines = open.lines.map((l) => ({ ...l, qty: l.qty - qtyOf(base, l.key) })).filter((l) => l.qty > 0);
+    return { value: lines.length ? { ...open, lines } : null, conflicts: [] };
+  }
+
+  const keys = [...remote.lines.map((l) => l.key), ...local.lines.map((l) => l.key)];
+  const lines = Array.from(new Set(keys))
+    .map((key) => {
+      const [b, l, r] = [base, local, remote].map((t) => t?.lines.find((x) => x.key === key));
+      // Anything but the quantity (e.g. a line discount) comes from the side that changed it
+      const changedHere = l && !sameDoc({ ...l, qty: 0 }, b && { ...b, qty: 0 });
+      const line = changedHere || !r ? l : r;
+      return { ...line, qty: qtyOf(remote, key) + qtyOf(local, key) - qtyOf(base, key) };
+    })
+    .filter((l) => l.qty > 0);
+
+  const field = (f) => (sameDoc(local[f], base?.[f]) ? remote[f] : local[f]);
+  const updatedAt = [local.updatedAt, remote.updatedAt].sort().pop();
+  return { value: { ...remote, name: field("name"), discount: field("discount"), lines, updatedAt }, conflicts: [] };
+}
+
+function mergeDoc(key, base, local, remote) {
+  if (key === "config") return mergeConfig(base, local, remote);
+  if (key.startsWith("tab:")) return mergeTab(base, local, remote);
+  return { value: remote, conflicts: [] };
+}
+
+// ---------- Sync server ----------
+
+function loadStore(url) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORE_KEY));
+    if (saved?.url === url) return saved;
+  } catch {
+    // Start afresh
+  }
+  return { url, seq: 0, docs: {}, outbox: {} };
+}
+
+/**
+ * Starts syncing with the server at `url`.
+ *
+ *   snapshot()                    this till's current docs, as a Map of key -> value
+ *   onDoc(key, value, conflicts)  a doc changed on another till (merged with ours if we'd changed it too)
+ *   onStatus({ state, pending, error })
+ *     state: "connecting" | "online" | "offline"; pending: changes not yet on the server
+ *
+ * Returns { push(key, value), stop() }; push every local change.
+ */
+export function startSync({ url, secret, snapshot, onDoc, onStatus }) {
+  const root = url.trim().replace(/\/*$/, "/");
+  const controller = new AbortController();
+  let store = loadStore(root);
+  let stopped = false;
+  let flushing = false;
+  let retryTimer = null;
+  let status = "connecting";
+  let problem = null; // why the shared config can't be used here, if it can't
+
+  const save = () => localStorage.setItem(STORE_KEY, JSON.stringify(store));
+  const report = (state, error = null) => {
+    status = state;
+    onStatus({ state, error: problem || error, pending: Object.keys(store.outbox).length });
+  };
+
+  async function call(path, body) {
+    const res = await fetch(new URL(path, root), {
+      method: body ? "POST" : "GET",
+      headers: { "Content-Type": "application/json", ...(secret ? { "X-Till-Key": secret } : {}) },
+      body: body && JSON.stringify(body),
+      signal: controller.signal,
+    });
+    if (res.status === 409) return { conflict: (await res.json()).doc };
+    if (!res.ok) throw new Error((await res.json().catch(() => null))?.error || `Sync server said ${res.status}.`);
+    return res.json();
+  }
+
+  function push(key, value) {
+    if (stopped || (key === "config" && problem)) return;
+    const current = key in store.outbox ? store.outbox[key] : store.docs[key]?.value ?? null;
+    if (sameDoc(value, current)) return;
+    // A tab opened and closed between syncs never needs to reach the server
+    if (value === null && !store.docs[key]) delete store.outbox[key];
+    else store.outbox[key] = value;
+    save();
+    report(status);
+    flush();
+  }
+
+  function receive(doc) {
+    const known = store.docs[doc.key];
+    if (known && known.rev >= doc.rev) return;
+
+    let { value } = doc;
+    if (doc.key === "config") {
+      const parsed = parseConfig(value);
+      if (parsed.errors.length) {
+        // Most likely a till on a newer version; keep ours until this one is updated too
+        problem = `Another till's config can't be used here (${parsed.errors[0].message})`;
+        delete store.outbox.config;
+        return;
+      }
+      problem = null;
+      value = parsed.config;
+    }
+    store.docs[doc.key] = { rev: doc.rev, value };
+
+    if (!(doc.key in store.outbox)) return onDoc(doc.key, value, []);
+    const merged = mergeDoc(doc.key, known?.value ?? null, store.outbox[doc.key], value);
+    if (sameDoc(merged.value, value)) delete store.outbox[doc.key];
+    else store.outbox[doc.key] = merged.value;
+    onDoc(doc.key, merged.value, merged.conflicts);
+  }
+
+  // Sends the outbox one doc at a time until it's empty
+  async function flush() {
+    if (flushing || stopped) return;
+    flushing = true;
+    clearTimeout(retryTimer);
+    try {
+      for (;;) {
+        const key = Object.keys(store.outbox)[0];
+        if (key === undefined || stopped) break;
+        const value = store.outbox[key];
+        const baseRev = store.docs[key]?.rev ?? 0;
+        const res = await call("docs", { key, baseRev, value });
+        if (res.conflict) {
+          // The server holds an older revision than ours: it lost its data, so merge as if new
+          if (baseRev >= res.conflict.rev) delete store.docs[key];
+          receive(res.conflict);
+        } else {
+          if (!(store.docs[key]?.rev > res.rev)) store.docs[key] = { rev: res.rev, value };
+          if (sameDoc(store.outbox[key], value)) delete store.outbox[key];
+        }
+        save();
+      }
+      if (!stopped) report("online");
+    } catch (err) {
+      if (stopped) return;
+      report("offline", err.message);
+      retryTimer = setTimeout(flush, RETRY_MS);
+    } finally {
+      flushing = false;
+    }
+  }
+
+  // A full resync leaves out docs deleted too long ago for the server to remember: delete them here too
+  function forgetMissing({ seq, docs }) {
+    const present = new Set(docs.map((d) => d.key));
+    for (const [key, known] of Object.entries(store.docs)) {
+      if (present.has(key)) continue;
+      if (known.value === null) delete store.docs[key];
+      else receive({ key, rev: seq, value: null });
+    }
+  }
+
+  // Everything this till has now goes in the outbox; push() drops what the server already has
+  function seed() {
+    const docs = snapshot();
+    for (const key of Object.keys(store.docs)) if (!docs.has(key)) push(key, null);
+    docs.forEach((value, key) => push(key, value));
+  }
+
+  async function poll() {
+    while (!stopped) {
+      try {
+        const res = await call(`docs?since=${store.seq}&wait=${POLL_WAIT_S}`);
+        if (res.seq < store.seq) {
+          // The server was reset or replaced: send it everything again
+          store = { url: root, seq: 0, docs: {}, outbox: {} };
+          save();
+          seed();
+          continue;
+        }
+        if (res.full) forgetMissing(res);
+        res.docs.forEach(receive);
+        store.seq = res.seq;
+        save();
+        report("online");
+        flush();
+      } catch (err) {
+        if (stopped) return;
+        report("offline", err.message);
+        await new Promise((resolve) => setTimeout(resolve, RETRY_MS));
+      }
+    }
+  }
+
+  report("connecting");
+  seed();
+  poll();
+
+  return {
+    push,
+    stop() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      controller.abort();
+    },
+  };
+}
+
+/** Short status for the header, from onStatus's last report (null while another window syncs). */
+export function syncLabel(status) {
+  if (!status) return "Synced by another window";
+  const queued = status.pending ? ` · ${status.pending} to send` : "";
+  if (status.state === "offline") return `Sync offline${queued}`;
+  if (status.state === "connecting") return "Sync connecting…";
+  return status.pending ? `Syncing${queued}` : "Synced";
+}
+
+// ---------- Windows in the same browser ----------
+
+/** Shares doc changes with the till's other windows. `onDoc(key, value)` gets theirs. */
+export function openTillChannel(onDoc) {
+  if (typeof BroadcastChannel === "undefined") return { post: () => {}, close: () => {} };
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = (e) => e.data?.type === "doc" && onDoc(e.data.key, e.data.value);
+  return {
+    post: (key, value) => channel.postMessage({ type: "doc", key, value }),
+    close: () => channel.close(),
+  };
+}
+
+/**
+ * Runs `start()` (which returns a stop function) in one window of this browser
+ * at a time, so two windows never send the same change twice. When that window
+ * closes, another takes over. Returns a function that stops or gives up waiting.
+ */
+export function whileLeader(start) {
+  // Without Web Locks (e.g. plain http on the LAN) every window syncs for itself
+  if (!navigator.locks) return start();
+
+  let stop = null;
+  let release = null;
+  let cancelled = false;
+  navigator.locks
+    .request(LOCK_NAME, () => {
+      if (cancelled) return;
+      stop = start();
+      return new Promise((resolve) => {
+        release = resolve;
+      });
+    })
+    .catch(() => {});
+  return () => {
+    cancelled = true;
+    stop?.();
+    release?.();
+  };
+}
@@ -0,0 +1,61 @@
+import { uid } from "./helpers.js";
+import { sameModifiers } from "./modifiers.js";
+
+/**
+ * Open tabs: named baskets (customer name or table number) that can be parked,
+ * recalled, added to and settled later.
+ *
+ * Kept in their own localStorage key rather than the config blob so importing
+ * or resetting prices never touches somebody's bar tab.
+ *
+ * Tab shape: { id, name, lines: [basket lines], discount, openedAt, updatedAt }
+ *   discount: basket-wide manual discount, or null (see discounts.js)
+ */
+
+const TABS_KEY = "pub-till-tabs-v1";
+
+export function loadTabs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TABS_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveTabs(tabs) {
+  localStorage.setItem(TABS_KEY, JSON.stringify(tabs));
+}
+
+export function createTab(name, lines, discount = null, now = new Date()) {
+  const at = now.toISOString();
+  return { id: uid(), name: name.trim(), lines, discount, openedAt: at, updatedAt: at };
+}
+
+export function findTabByName(tabs, name) {
+  const n = name.trim().toLowerCase();
+  return tabs.find((t) => t.name.toLowerCase() === n) || null;
+}
+
+/**
+ * Appends lines to a tab, merging into an existing line with the same
+ * product, unit, price and modifiers (the same grouping the basket uses).
+ * Discounted lines keep to themselves, as each discount was authorised for its own line.
+ */
+export function mergeLines(lines, extra) {
+  const out = lines.map((l) => ({ ...l }));
+  for (const l of extra) {
+    const match = out.find(
+      (o) =>
+        o.productId === l.productId &&
+        o.unit === l.unit &&
+        o.pricePence === l.pricePence &&
+        sameModifiers(o, l) &&
+        !o.discount &&
+        !l.discount
+    );
+    if (match) match.qty += l.qty;
+    else out.push({ ...l });
+  }
+  return out;
+}
@@ -0,0 +1,62 @@
+import { roundCash } from "./money.js";
+
+/**
+ * Payment tenders.
+ *
+ * A sale is paid by any mix of cash and card. Each tender is kept separately on
+ * the sale record ({ method, amountPence }) so reports can split takings.
+ * Change only ever comes out of the cash part: a card can be charged for the
+ * balance left after cash, never more.
+ *
+ * Where cash is rounded (venue.money.cashRoundingPence, e.g. to 5c in Ireland)
+ * the balance left for cash is rounded when cash settles it; card always pays exact.
+ */
+
+export const TENDER_METHODS = ["cash", "card"];
+
+export const TENDER_LABELS = { cash: "Cash", card: "Card" };
+
+/**
+ * Works out what is still owed, or what change is due, for the amounts entered.
+ * Returns { owedPence, changePence, roundingPence, error } — `error` is set when
+ * card exceeds the balance; roundingPence is what cash rounding added (negative
+ * when it took off) once cash settles the sale.
+ */
+export function settleTenders({ totalPence, cashPence, cardPence, cashRoundingPence = 1 }) {
+  const cash = Math.max(0, cashPence || 0);
+  const card = Math.max(0, cardPence || 0);
+  const afterCard = totalPence - card;
+
+  if (afterCard < 0) {
+    return { owedPence: 0, changePence: 0, roundingPence: 0, error: "Card is more than the total." };
+  }
+
+  // Nothing in cash yet: the balance may still go on card, so it isn't rounded
+  const cashDue = cash > 0 ? roundCash(afterCard, cashRoundingPence) : afterCard;
+  const owedPence = Math.max(0, cashDue - cash);
+  const changePence = Math.max(0, cash - cashDue);
+  const roundingPence = owedPence === 0 ? cashDue - afterCard : 0;
+  return { owedPence, changePence, roundingPence, error: null };
+}
+
+/** Tender list for a sale record, dropping zero amounts. */
+export function buildTenders({ cashPence, cardPence }) {
+  return [
+    { method: "cash", amountPence: cashPence || 0 },
+    { method: "card", amountPence: cardPence || 0 },
+  ].filter((t) => t.amountPence > 0);
+}
+
+/** A sale's tenders. Sales recorded before tenders existed were all cash. */
+export function saleTenders(sale) {
+  return sale.tenders || [{ method: "cash", amountPence: sale.tenderedPence }];
+}
+
+/** Net takings per method for one sale, with change taken off the cash. */
+export function netByMethod(sale) {
+  const out = {};
+  for (const t of saleTenders(sale)) out[t.method] = (out[t.method] || 0) + t.amountPence;
+  out.cash = (out.cash || 0) - (sale.changePence || 0);
+  if (!out.cash) delete out.cash;
+  return out;
+}
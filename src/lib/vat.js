@@ -0,0 +1,54 @@
+/**
+ * VAT. Prices are VAT-inclusive; the VAT in them is split out by rate for
+ * receipts and reports.
+ *
+ * A product's rate is the first one set of:
+ *   product.vatRatePercent -> its band's vatRatePercent (band-priced products only)
+ *   -> its category's (state.categories[].vatRatePercent, see layout.js) -> venue.vatRatePercent
+ * Leaving a rate off (undefined, or null on a category) means "inherit".
+ *
+ * Each sale line records the vatRatePercent it was sold at, so changing a rate
+ * later doesn't rewrite history; a line's modifiers are taxed at the item's rate.
+ * Lines sold before rates were recorded have none, and are reported as not recorded.
+ */
+
+/** Error message for a rate, or null if it's fine. */
+export function validateVatRate(rate) {
+  const ok = typeof rate === "number" && Number.isFinite(rate) && rate >= 0 && rate <= 100;
+  return ok ? null : "VAT rate must be between 0 and 100.";
+}
+
+/** The rate `product` sells at. */
+export function vatRateFor(product, { bandById, categoryByName, venue }) {
+  if (product.vatRatePercent !== undefined) return product.vatRatePercent;
+  const band = product.units && product.pricesPence ? null : bandById.get(product.bandId);
+  if (band?.vatRatePercent !== undefined) return band.vatRatePercent;
+  const category = categoryByName.get(product.category);
+  if (category?.vatRatePercent != null) return category.vatRatePercent;
+  return venue.vatRatePercent || 0;
+}
+
+/** The VAT inside a VAT-inclusive amount; refunds (negative amounts) round the same way as sales. */
+export function vatIncluded(grossPence, ratePercent) {
+  if (!ratePercent) return 0;
+  return Math.sign(grossPence) * Math.round((Math.abs(grossPence) * ratePercent) / (100 + ratePercent));
+}
+
+/**
+ * Lines totalled by rate, highest first: [{ ratePercent, netPence, vatPence, grossPence }].
+ * VAT is worked out once per rate on the total, not per line, so the pennies add up.
+ * Lines with no recorded rate use `fallbackRatePercent`; without one they form a
+ * row with ratePercent, netPence and vatPence null.
+ */
+export function vatBreakdown(lines, fallbackRatePercent = null) {
+  const gross = new Map();
+  for (const l of lines) {
+    const rate = l.vatRatePercent ?? fallbackRatePercent;
+    gross.set(rate, (gross.get(rate) || 0) + l.totalPence);
+  }
+  return Array.from(gross, ([ratePercent, grossPence]) => {
+    if (ratePercent === null) return { ratePercent, netPence: null, vatPence: null, grossPence };
+    const vatPence = vatIncluded(grossPence, ratePercent);
+    return { ratePercent, netPence: grossPence - vatPence, vatPence, grossPence };
+  }).sort((a, b) => (b.ratePercent ?? -1) - (a.ratePercent ?? -1));
+}
@@ -0,0 +1,65 @@
+import { getAllByIndex, tx } from "./db.js";
+import { uid } from "./helpers.js";
+
+/**
+ * Voids: items taken off a sale after they were rung up.
+ *
+ * Taking off the item that was *just* rung up (the last add, within
+ * CORRECTION_WINDOW_MS) is a correction and isn't logged — that's a mis-key.
+ * Anything else is a void: it needs a reason, a supervisor PIN when
+ * settings.voidsNeedAuthorisation is on, and is written to the "voids" store:
+ * {
+ *   id, createdAt, reason,
+ *   lines: [{ productId, label, unit, pricePence, modifiers, qty, totalPence }],   // at list price
+ *   totalPence,
+ *   tabName,
+ *   staffId, staffName,                 // who was signed in
+ *   authorisedBy: { id, name } | null   // who approved it, when approval was needed
+ * }
+ *
+ * Refunds against completed sales are journal records instead (see journal.js).
+ */
+
+export const CORRECTION_WINDOW_MS = 60 * 1000;
+
+export const VOID_REASONS = ["Customer changed mind", "Wrong item rung up", "Spilt or dropped", "Quality complaint"];
+
+/** Whether taking one `key` item off is a correction: it's the last add and still fresh. */
+export function isCorrection(lastAdd, key, now = Date.now()) {
+  return !!lastAdd && lastAdd.key === key && now - lastAdd.at <= CORRECTION_WINDOW_MS;
+}
+
+export function buildVoidRecord({ lines, reason, tabName = null, staff = null, authorisedBy = null, now = new Date() }) {
+  const voided = lines.map((l) => ({
+    productId: l.productId,
+    label: l.label,
+    unit: l.unit,
+    pricePence: l.pricePence,
+    modifiers: (l.modifiers || []).map((m) => ({ ...m })),
+    qty: l.qty,
+    totalPence: l.pricePence * l.qty,
+  }));
+  return {
+    id: `${now.getTime().toString(36)}-${uid()}`,
+    createdAt: now.toISOString(),
+    reason,
+    lines: voided,
+    totalPence: voided.reduce((sum, l) => sum + l.totalPence, 0),
+    tabName,
+    staffId: staff?.id ?? null,
+    staffName: staff?.name ?? null,
+    authorisedBy: authorisedBy ? { id: authorisedBy.id, name: authorisedBy.name } : null,
+  };
+}
+
+/** Writes a void. Uses `add`, so an existing id can never be overwritten. */
+export async function recordVoid(record) {
+  await tx("voids", "readwrite", (s) => s.voids.add(record));
+  return record;
+}
+
+/** Voids between two ISO timestamps (inclusive), newest first. */
+export async function listVoids({ from, to } = {}) {
+  const rows = await getAllByIndex("voids", "createdAt", { from, to });
+  return rows.reverse();
+}
@@ -0,0 +1,420 @@
+// ---------- Styles ----------
+export const styles = {
+  page: {
+    minHeight: "100vh",
+    background:
+      "radial-gradient(1200px 800px at 20% 0%, rgba(255,255,255,0.08), transparent), #0b0f16",
+    color: "white",
+    fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif",
+  },
+  header: {
+    padding: 16,
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    borderBottom: "1px solid rgba(255,255,255,0.12)",
+    position: "sticky",
+    top: 0,
+    background: "rgba(11,15,22,0.8)",
+    backdropFilter: "blur(10px)",
+    zIndex: 5,
+    gap: 12,
+  },
+  title: { fontSize: 18, fontWeight: 1000 },
+  subtitle: { fontSize: 12, opacity: 0.75, marginTop: 2 },
+
+  main: {
+    display: "grid",
+    gridTemplateColumns: "1.2fr 0.8fr",
+    gap: 14,
+    padding: 14,
+    alignItems: "start",
+  },
+
+  panel: {
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.10)",
+    borderRadius: 16,
+    padding: 12,
+    boxShadow: "0 10px 30px rgba(0,0,0,0.25)",
+    minHeight: 0,
+  },
+
+  panelHeader: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 10,
+    gap: 8,
+  },
+
+  tabs: {
+    display: "flex",
+    gap: 8,
+    flexWrap: "wrap",
+    marginBottom: 10,
+  },
+  tab: {
+    padding: "8px 10px",
+    borderRadius: 999,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(255,255,255,0.06)",
+    color: "white",
+    cursor: "pointer",
+    fontWeight: 800,
+    fontSize: 13,
+  },
+  tabActive: {
+    background: "rgba(255,255,255,0.16)",
+    borderColor: "rgba(255,255,255,0.25)",
+  },
+
+  searchRow: { display: "flex", gap: 8, marginBottom: 10 },
+  keyEntry: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "baseline",
+    gap: 12,
+    marginBottom: 10,
+    padding: "8px 12px",
+    borderRadius: 12,
+    border: "1px solid rgba(140,170,255,0.45)",
+    background: "rgba(120,160,255,0.10)",
+    fontSize: 18,
+  },
+  input: {
+    width: "100%",
+    padding: "10px 12px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(0,0,0,0.25)",
+    color: "white",
+    outline: "none",
+    fontSize: 14,
+  },
+
+  btn: {
+    padding: "10px 12px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.16)",
+    background: "rgba(255,255,255,0.10)",
+    color: "white",
+    cursor: "pointer",
+    fontWeight: 900,
+    whiteSpace: "nowrap",
+  },
+  btnDanger: {
+    padding: "10px 12px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,120,120,0.35)",
+    background: "rgba(255,80,80,0.18)",
+    color: "white",
+    cursor: "pointer",
+    fontWeight: 1000,
+    whiteSpace: "nowrap",
+  },
+  btnPrimary: {
+    padding: "12px 14px",
+    borderRadius: 12,
+    border: "1px solid rgba(120,220,150,0.40)",
+    background: "rgba(80,200,120,0.22)",
+    color: "white",
+    cursor: "pointer",
+    fontWeight: 1000,
+    fontSize: 16,
+    whiteSpace: "nowrap",
+  },
+
+  grid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(170px, 1fr))",
+    gap: 10,
+    maxHeight: "calc(100vh - 190px)",
+    overflow: "auto",
+    paddingRight: 4,
+  },
+
+  card: {
+    textAlign: "left",
+    borderRadius: 16,
+    border: "1px solid rgba(255,255,255,0.12)",
+    background: "rgba(0,0,0,0.22)",
+    padding: 12,
+    cursor: "pointer",
+    minHeight: 74,
+  },
+  cardMulti: {
+    borderRadius: 16,
+    border: "1px solid rgba(255,255,255,0.12)",
+    background: "rgba(0,0,0,0.22)",
+    padding: 12,
+    minHeight: 74,
+  },
+  cardName: { fontWeight: 1000, marginBottom: 6 },
+  cardMeta: { opacity: 0.8, fontSize: 13 },
+  unitRow: { display: "flex", gap: 8, flexWrap: "wrap" },
+  unitBtn: {
+    flex: 1,
+    minWidth: 84,
+    borderRadius: 14,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(255,255,255,0.08)",
+    color: "white",
+    padding: "8px 10px",
+    cursor: "pointer",
+    textAlign: "left",
+  },
+  // The category's default unit, added by tapping the product name
+  unitBtnDefault: { border: "1px solid rgba(255,255,255,0.35)", background: "rgba(255,255,255,0.16)" },
+  // Timed price rule (happy hour) in effect
+  unitBtnRule: { border: "1px solid rgba(250,204,21,0.55)", background: "rgba(250,204,21,0.12)" },
+  ruleTag: {
+    display: "inline-block",
+    marginLeft: 6,
+    padding: "1px 6px",
+    borderRadius: 999,
+    fontSize: 11,
+    fontWeight: 800,
+    color: "#facc15",
+    border: "1px solid rgba(250,204,21,0.45)",
+  },
+
+  syncTag: {
+    display: "inline-block",
+    marginLeft: 6,
+    padding: "1px 6px",
+    borderRadius: 999,
+    fontSize: 11,
+    fontWeight: 800,
+    color: "rgba(180,200,255,0.9)",
+    border: "1px solid rgba(140,170,255,0.45)",
+  },
+
+  syncTagOffline: {
+    color: "#fca5a5",
+    border: "1px solid rgba(252,165,165,0.5)",
+  },
+
+  stockTag: {
+    display: "inline-block",
+    marginLeft: 6,
+    padding: "1px 6px",
+    borderRadius: 999,
+    fontSize: 11,
+    fontWeight: 800,
+    color: "#ff9a9a",
+    border: "1px solid rgba(255,120,120,0.5)",
+  },
+
+  configBanner: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "flex-start",
+    gap: 12,
+    marginBottom: 12,
+    padding: 12,
+    borderRadius: 14,
+    border: "1px solid rgba(255,120,120,0.45)",
+    background: "rgba(255,120,120,0.10)",
+    fontSize: 14,
+  },
+
+  updateBanner: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 12,
+    marginBottom: 12,
+    padding: 12,
+    borderRadius: 14,
+    border: "1px solid rgba(140,170,255,0.45)",
+    background: "rgba(120,160,255,0.10)",
+    fontSize: 14,
+  },
+
+  basket: {
+    maxHeight: "calc(100vh - 380px)",
+    overflow: "auto",
+    paddingRight: 4,
+  },
+
+  // grid basket row to prevent layout shift
+  line: {
+    display: "grid",
+    gridTemplateColumns: "1fr auto 92px 34px 34px",
+    gap: 10,
+    alignItems: "center",
+    padding: 10,
+    borderRadius: 14,
+    background: "rgba(0,0,0,0.20)",
+    border: "1px solid rgba(255,255,255,0.10)",
+    marginBottom: 8,
+    minWidth: 0,
+  },
+
+  dealBox: {
+    padding: 10,
+    borderRadius: 14,
+    background: "rgba(80,200,120,0.10)",
+    border: "1px dashed rgba(120,220,150,0.35)",
+    marginBottom: 8,
+  },
+
+  // Manual discounts, kept apart from the green deal boxes
+  discountBox: {
+    padding: 10,
+    borderRadius: 14,
+    background: "rgba(120,160,255,0.10)",
+    border: "1px dashed rgba(140,170,255,0.40)",
+    marginBottom: 8,
+  },
+  modifierLine: { display: "flex", justifyContent: "space-between", gap: 8, paddingLeft: 10, fontSize: 12, opacity: 0.85 },
+  discountTag: {
+    display: "inline-block",
+    marginLeft: 6,
+    padding: "1px 6px",
+    borderRadius: 999,
+    fontSize: 11,
+    fontWeight: 800,
+    color: "#9db4ff",
+    border: "1px solid rgba(140,170,255,0.5)",
+  },
+
+  qtyBox: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    padding: 6,
+    borderRadius: 14,
+    border: "1px solid rgba(255,255,255,0.12)",
+    background: "rgba(255,255,255,0.06)",
+  },
+  qtyBtn: {
+    width: 30,
+    height: 30,
+    borderRadius: 10,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(255,255,255,0.10)",
+    color: "white",
+    cursor: "pointer",
+    fontWeight: 1000,
+  },
+  trashBtn: {
+    width: 34,
+    height: 34,
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(255,255,255,0.08)",
+    color: "white",
+    cursor: "pointer",
+    fontWeight: 1000,
+    lineHeight: "30px",
+  },
+
+  totalBox: {
+    marginTop: 10,
+    paddingTop: 10,
+    borderTop: "1px solid rgba(255,255,255,0.12)",
+    display: "grid",
+    gap: 10,
+  },
+
+  totalRow: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "baseline",
+    gap: 10,
+  },
+  cashRow: { display: "grid", gap: 8 },
+  quickCash: { display: "flex", gap: 8, flexWrap: "wrap" },
+  quickBtn: {
+    padding: "10px 12px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(255,255,255,0.10)",
+    color: "white",
+    cursor: "pointer",
+    fontWeight: 1000,
+    whiteSpace: "nowrap",
+  },
+
+  footer: {
+    padding: 14,
+    opacity: 0.7,
+    fontSize: 12,
+    textAlign: "center",
+  },
+
+  modalOverlay: {
+    position: "fixed",
+    inset: 0,
+    background: "rgba(0,0,0,0.65)",
+    display: "grid",
+    placeItems: "center",
+    zIndex: 50,
+    padding: 14,
+  },
+  modal: {
+    width: "min(900px, 100%)",
+    maxHeight: "min(85vh, 900px)",
+    overflow: "auto",
+    background: "#0b0f16",
+    border: "1px solid rgba(255,255,255,0.14)",
+    borderRadius: 16,
+    padding: 12,
+  },
+  modalHeader: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 10,
+    gap: 10,
+  },
+  editCard: {
+    padding: 10,
+    borderRadius: 14,
+    border: "1px solid rgba(255,255,255,0.12)",
+    background: "rgba(255,255,255,0.06)",
+  },
+  historyRow: {
+    width: "100%",
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 10,
+    padding: 0,
+    border: "none",
+    background: "transparent",
+    color: "white",
+    cursor: "pointer",
+    textAlign: "left",
+  },
+  denomGrid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(110px, 1fr))",
+    gap: 10,
+  },
+  editField: { display: "grid", gap: 6, minWidth: 140 },
+  statGrid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(160px, 1fr))",
+    gap: 10,
+  },
+  statCard: {
+    padding: 10,
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.12)",
+    background: "rgba(255,255,255,0.04)",
+  },
+  linkBtn: {
+    padding: 0,
+    border: "none",
+    background: "transparent",
+    color: "inherit",
+    cursor: "pointer",
+    textDecoration: "underline",
+    fontSize: 12,
+  },
+  fieldError: { color: "#ff9a9a", fontSize: 12, fontWeight: 700 },
+  checkboxRow: { display: "flex", alignItems: "center", gap: 10 },
+};
@@ -0,0 +1,47 @@
+/**
+ * Service worker: serves the till from a versioned cache so it starts with no network.
+ *
+ * Not bundled with the app. The precache plugin in vite.config.js builds it into
+ * dist/sw.js, filling in the precache placeholder with { version, urls } for that build.
+ *
+ * A new build installs alongside the old one and then waits. It only takes over
+ * when the page posts SKIP_WAITING, which the till does between sales (see lib/pwa.js).
+ */
+
+const { version, urls } = self.__PRECACHE__;
+const CACHE_PREFIX = "pub-till-";
+const CACHE = `${CACHE_PREFIX}${version}`;
+const INDEX_URL = new URL("index.html", self.registration.scope).href;
+const PRECACHED = new Set(urls.map((u) => new URL(u, self.registration.scope).href));
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(urls)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE).map((k) => caches.delete(k))))
+      // The first install takes the open page straight away so it works offline without a reload
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  // Every page in scope is the app shell; everything else we built is served from the cache
+  if (request.mode === "navigate") {
+    event.respondWith(caches.match(INDEX_URL, { cacheName: CACHE }).then((hit) => hit || fetch(request)));
+    return;
+  }
+  // Anything not precached (e.g. a sync server) goes to the network untouched
+  if (!PRECACHED.has(request.url)) return;
+  event.respondWith(caches.match(request, { cacheName: CACHE }).then((hit) => hit || fetch(request)));
+});
@@ -1,7 +1,50 @@
+import { createHash } from "node:crypto";
+import { readFileSync, readdirSync } from "node:fs";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
+/** Every file under `dir`, as paths relative to it ("icons/icon-192.png"). */
+function listFiles(dir, prefix = "") {
+  return readdirSync(`${dir}/${prefix}`, { withFileTypes: true }).flatMap((entry) => {
+    if (entry.isDirectory()) return listFiles(dir, `${prefix}${entry.name}/`);
+    return entry.isFile() ? [`${prefix}${entry.name}`] : [];
+  });
+}
+
+/**
+ * Builds src/sw.js into dist/sw.js with the list of files to precache (every
+ * emitted file plus public/) and a version that changes whenever any of them
+ * does, so each deploy installs as a new service worker.
+ */
+function precache() {
+  let publicDir;
+  return {
+    name: "pub-till-precache",
+    apply: "build",
+    enforce: "post",
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    generateBundle(_options, bundle) {
+      const files = new Map();
+      for (const [fileName, out] of Object.entries(bundle)) {
+        if (!fileName.endsWith(".map")) files.set(fileName, out.type === "chunk" ? out.code : out.source);
+      }
+      for (const name of listFiles(publicDir)) files.set(name, readFileSync(`${publicDir}/${name}`));
+
+      const source = readFileSync("src/sw.js", "utf8");
+      const hash = createHash("sha256").update(source);
+      const urls = Array.from(files.keys()).sort();
+      for (const name of urls) hash.update(name).update(files.get(name));
+
+      const manifest = JSON.stringify({ version: hash.digest("hex").slice(0, 12), urls });
+      const sw = source.replace("= self.__PRECACHE__;", () => `= ${manifest};`);
+      this.emitFile({ type: "asset", fileName: "sw.js", source: sw });
+    },
+  };
+}
+
 export default defineConfig({
   base: "/pubTill/",
-  plugins: [react()],
-});
\ No newline at end of file
+  plugins: [react(), precache()],
+});